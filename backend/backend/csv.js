@@ -0,0 +1,86 @@
+// Comma-separated values (RFC 4180) for admin imports and exports
+//
+// Fields may be quoted with double quotes, which lets them hold commas, line
+// breaks and doubled "" quotes. Lines end with \n or \r\n, and a byte order
+// mark left by spreadsheet exports is ignored.
+
+// Split CSV text into rows of string fields. Throws on an unterminated quote.
+const parse = (text) => {
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let i = 0;
+
+    while (i < input.length) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i += 2;
+                continue;
+            }
+            if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+            i++;
+            continue;
+        }
+
+        if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+            if (char === '\r' && input[i + 1] === '\n') i++;
+        } else {
+            field += char;
+        }
+        i++;
+    }
+    if (quoted) {
+        throw new Error('Unterminated quoted field');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines carry no record
+    return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+};
+
+// Parse CSV with a header row into { headers, records }, where each record
+// maps a header to its field ('' when the row is short)
+const parseRecords = (text) => {
+    const [headers = [], ...rows] = parse(text);
+    const records = rows.map(fields =>
+        Object.fromEntries(headers.map((header, index) => [header, fields[index] ?? '']))
+    );
+    return { headers, records };
+};
+
+// Spreadsheets run text starting with these as a formula, so exported text
+// gets a leading apostrophe to keep it a plain value
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Format one row of values as a CSV line ending in \r\n. null and undefined
+// become empty fields; fields are quoted only when they need it.
+const formatRow = (values) => values.map(value => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',') + '\r\n';
+
+module.exports = { parse, parseRecords, formatRow };
@@ -0,0 +1,114 @@
+// Login brute-force protection
+//
+// Failed logins are counted per account (email) and per client IP. Too many
+// failures inside the window lock the key for a while, and each lock of the
+// same key lasts twice as long as the previous one, up to maxLockMs.
+//
+// State lives in a store with async get/set/delete, so the in-memory store
+// below can be swapped for a shared one (Redis, a table) without touching the
+// limiter. The memory store keeps everything offline for local runs and for
+// tests/login-limiter.test.js, which also moves the clock through now().
+
+const MINUTE = 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+    maxAccountFailures: 5,
+    maxIpFailures: 20,
+    windowMs: 15 * MINUTE,
+    baseLockMs: 15 * MINUTE,
+    maxLockMs: 24 * 60 * MINUTE
+};
+
+const createMemoryStore = () => {
+    const entries = new Map();
+    return {
+        async get(key) {
+            return entries.get(key) || null;
+        },
+        async set(key, value) {
+            entries.set(key, value);
+        },
+        async delete(key) {
+            entries.delete(key);
+        }
+    };
+};
+
+const accountKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// now() can be replaced to move the clock in tests; other options override DEFAULT_OPTIONS
+const createLoginLimiter = ({ store = createMemoryStore(), now = Date.now, ...overrides } = {}) => {
+    const options = { ...DEFAULT_OPTIONS, ...overrides };
+
+    // Entry shape: { failures, windowStart, lockedUntil, lockCount }
+    const load = async (key) => {
+        const entry = await store.get(key);
+        if (!entry) return null;
+
+        const current = now();
+        const windowOver = entry.windowStart + options.windowMs <= current;
+
+        // The lock count is only forgotten a full maxLockMs after the last
+        // lock ended, so repeat offenders keep getting longer locks
+        if (windowOver && entry.lockedUntil + options.maxLockMs <= current) {
+            await store.delete(key);
+            return null;
+        }
+        return windowOver ? { ...entry, failures: 0, windowStart: current } : entry;
+    };
+
+    const recordFailure = async (key, maxFailures) => {
+        const entry = (await load(key)) || { failures: 0, windowStart: now(), lockedUntil: 0, lockCount: 0 };
+        entry.failures += 1;
+
+        if (entry.failures >= maxFailures) {
+            entry.lockCount += 1;
+            const lockMs = Math.min(options.baseLockMs * 2 ** (entry.lockCount - 1), options.maxLockMs);
+            entry.lockedUntil = now() + lockMs;
+            entry.failures = 0;
+            entry.windowStart = now();
+        }
+
+        await store.set(key, entry);
+        return entry;
+    };
+
+    const lockedUntilFor = async (key) => {
+        const entry = await load(key);
+        return entry && entry.lockedUntil > now() ? new Date(entry.lockedUntil) : null;
+    };
+
+    // Latest lock on either key, or null when the attempt may go ahead
+    const check = async (email, ip) => {
+        const locks = (await Promise.all([lockedUntilFor(accountKey(email)), lockedUntilFor(ipKey(ip))])).filter(Boolean);
+        if (locks.length === 0) return null;
+        return new Date(Math.max(...locks.map(date => date.getTime())));
+    };
+
+    // Count a failed attempt; returns the lock it caused, if any
+    const recordFailedAttempt = async (email, ip) => {
+        const [account, client] = await Promise.all([
+            recordFailure(accountKey(email), options.maxAccountFailures),
+            recordFailure(ipKey(ip), options.maxIpFailures)
+        ]);
+        const lockedUntil = Math.max(account.lockedUntil, client.lockedUntil);
+        return lockedUntil > now() ? new Date(lockedUntil) : null;
+    };
+
+    // A successful login clears the account's failures. The IP count is kept
+    // so logging into one account can't reset guesses against others.
+    const recordSuccess = async (email) => {
+        await store.delete(accountKey(email));
+    };
+
+    return {
+        check,
+        recordFailedAttempt,
+        recordSuccess,
+        accountLockedUntil: (email) => lockedUntilFor(accountKey(email)),
+        unlockAccount: (email) => store.delete(accountKey(email))
+    };
+};
+
+module.exports = { createLoginLimiter, createMemoryStore };
@@ -0,0 +1,70 @@
+// Outgoing email
+//
+// Routes send mail through mailer.send({ to, subject, text }). The transport
+// behind it is anything with an async send(message): pick one with
+// MAIL_TRANSPORT, or swap it at runtime with mailer.useTransport() (the tests
+// use the memory transport to read the links that were sent).
+//
+//   console (default)  prints each message to stdout; never in production,
+//                      where it would put reset links and codes in the logs
+//   file               writes each message to MAIL_OUTBOX_DIR as a .txt file
+//
+// In production without a usable transport every send fails, so callers log
+// the error instead of leaking the message. A real provider (SMTP, an HTTP
+// API) only needs another transport here.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const createConsoleTransport = () => ({
+    async send(message) {
+        console.log(`[MAIL] To: ${message.to}\n[MAIL] Subject: ${message.subject}\n${message.text}\n`);
+    }
+});
+
+const createFileTransport = (dir) => ({
+    async send(message) {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.txt`;
+        const contents = `From: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`;
+        await fs.promises.writeFile(path.join(dir, fileName), contents);
+    }
+});
+
+// Keeps sent messages in an array instead of delivering them
+const createMemoryTransport = () => {
+    const sent = [];
+    return {
+        sent,
+        async send(message) {
+            sent.push(message);
+        }
+    };
+};
+
+// Stands in for the console transport in production
+const createUnconfiguredTransport = () => ({
+    async send() {
+        throw new Error('No mail transport is configured for production. Set MAIL_TRANSPORT.');
+    }
+});
+
+const transportFromEnv = () => {
+    if (process.env.MAIL_TRANSPORT === 'file') {
+        return createFileTransport(process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'rating-platform-mail'));
+    }
+    if (process.env.NODE_ENV === 'production') {
+        return createUnconfiguredTransport();
+    }
+    return createConsoleTransport();
+};
+
+const createMailer = (transport = transportFromEnv(), from = process.env.MAIL_FROM || 'no-reply@rating-platform.local') => ({
+    send: (message) => transport.send({ from, ...message }),
+    useTransport(nextTransport) {
+        transport = nextTransport;
+    }
+});
+
+module.exports = { createMailer, createConsoleTransport, createFileTransport, createMemoryTransport };
@@ -6,15 +6,38 @@ const { Pool } = require('pg');
 const cors = require('cors');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const totp = require('./totp');
+const csv = require('./csv');
+const { createLoginLimiter } = require('./login-limiter');
+const { createMailer } = require('./mailer');
 
 const app = express();
-const port = 3001; 
+const port = process.env.PORT || 3001;
 
 // JWT Secret (In production, use a strong secret from environment variables)
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
 const SALT_ROUNDS = 10;
 
-// Middleware to parse JSON request bodies
+// Access tokens are short-lived; the client renews them with a refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+
+// Tracks failed logins per account and IP (in memory; see login-limiter.js)
+const loginLimiter = createLoginLimiter();
+
+// Outgoing email (transport chosen by MAIL_TRANSPORT; see mailer.js)
+const mailer = createMailer();
+
+// Links in emails point at the frontend, which reads the token from the URL
+const APP_URL = process.env.APP_URL || 'http://localhost:8000';
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL = '24h';
+
+// Middleware to parse JSON request bodies. Bulk imports carry a whole file,
+// so they are parsed first with a bigger limit.
+app.use(['/api/admin/users/import', '/api/admin/stores/import'], express.json({ limit: '2mb' }));
 app.use(express.json());
 
 // Enable CORS (Allow multiple origins for development)
@@ -63,6 +86,30 @@ const validate = {
         if (address.length > 400) return 'Address cannot exceed 400 characters.';
         return null;
     },
+    // Structured address parts go through parseAddress first, so they are trimmed
+    street: (street) => {
+        if (typeof street !== 'string' || street.length < 3) return 'Street must be at least 3 characters.';
+        if (street.length > 200) return 'Street cannot exceed 200 characters.';
+        return null;
+    },
+    city: (city) => {
+        if (typeof city !== 'string' || city.length < 2) return 'City must be at least 2 characters.';
+        if (city.length > 100) return 'City cannot exceed 100 characters.';
+        return null;
+    },
+    // The postal code is optional, as not every country uses one
+    postalCode: (postalCode) => {
+        if (postalCode === null) return null;
+        if (typeof postalCode !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9 -]{1,19}$/.test(postalCode)) {
+            return 'Postal code must be 2-20 letters, digits, spaces or dashes.';
+        }
+        return null;
+    },
+    country: (country) => {
+        if (typeof country !== 'string' || country.length < 2) return 'Country must be at least 2 characters.';
+        if (country.length > 60) return 'Country cannot exceed 60 characters.';
+        return null;
+    },
     password: (password) => {
         if (!password || password.length < 8) return 'Password must be 8-16 characters.';
         if (password.length > 16) return 'Password must be 8-16 characters.';
@@ -78,13 +125,529 @@ const validate = {
         const r = Number(rating);
         if (isNaN(r) || r < 1 || r > 5) return 'Rating must be between 1 and 5.';
         return null;
+    },
+    // Review fields are optional; empty values are stored as NULL
+    reviewTitle: (title) => {
+        if (title === undefined || title === null || title === '') return null;
+        if (typeof title !== 'string') return 'Review title must be text.';
+        if (title.trim().length < 3) return 'Review title must be at least 3 characters.';
+        if (title.length > 100) return 'Review title cannot exceed 100 characters.';
+        return null;
+    },
+    reviewBody: (body) => {
+        if (body === undefined || body === null || body === '') return null;
+        if (typeof body !== 'string') return 'Review must be text.';
+        if (body.trim().length < 10) return 'Review must be at least 10 characters.';
+        if (body.length > 2000) return 'Review cannot exceed 2000 characters.';
+        return null;
+    },
+    reply: (body) => {
+        if (!body || typeof body !== 'string' || body.trim().length < 2) return 'Reply must be at least 2 characters.';
+        if (body.length > 1000) return 'Reply cannot exceed 1000 characters.';
+        return null;
+    },
+    categoryName: (name) => {
+        if (typeof name !== 'string' || name.trim().length < 2) return 'Category name must be at least 2 characters.';
+        if (name.trim().length > 50) return 'Category name cannot exceed 50 characters.';
+        return null;
+    },
+    // Tags go through parseTags first, so each is trimmed and lowercase
+    tags: (tags) => {
+        if (tags.length > MAX_STORE_TAGS) return `A store can have at most ${MAX_STORE_TAGS} tags.`;
+        for (const tag of tags) {
+            if (tag.length < 2 || tag.length > 30) return 'Tags must be 2-30 characters.';
+            if (!/^[a-z0-9][a-z0-9 &'-]*$/.test(tag)) return 'Tags can only use letters, numbers, spaces, &, \' and -.';
+        }
+        return null;
+    }
+};
+
+const MAX_STORE_TAGS = 10;
+// Most common tags returned as facets
+const MAX_TAG_FACETS = 30;
+// Most common cities returned as facets
+const MAX_CITY_FACETS = 50;
+// Largest radius for the nearby-store search, about half the earth's circumference
+const MAX_RADIUS_KM = 20000;
+
+// Tags arrive as an array or a comma-separated string. Returns them trimmed,
+// lowercase and without duplicates.
+const parseTags = (value) => {
+    const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+    return [...new Set(list.map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, ' ')).filter(Boolean))];
+};
+
+// Parse a numeric route parameter, returning null when it is not an integer
+const parseId = (value) => {
+    const id = parseInt(value, 10);
+    return isNaN(id) ? null : id;
+};
+
+// Validate the fields present in an update body. PUT requires every field,
+// PATCH only checks the ones that were sent.
+const validateFields = (body, fields, requireAll) => {
+    for (const field of fields) {
+        if (!requireAll && body[field] === undefined) continue;
+        const error = validate[field](body[field]);
+        if (error) return error;
+    }
+    return null;
+};
+
+const USER_STATUSES = ['active', 'suspended'];
+const STORE_STATUSES = ['active', 'inactive'];
+
+// --- LIST QUERY HELPERS ---
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+// Parse paging, search and sort options from the query string.
+// sortColumns maps the sort keys a client may send to SQL expressions, so the
+// ORDER BY clause never contains raw user input.
+const parseListQuery = (query, sortColumns, defaultSortKey) => {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const search = typeof query.search === 'string' ? query.search.trim() : '';
+
+    return {
+        page,
+        pageSize,
+        offset: (page - 1) * pageSize,
+        search,
+        // Escape LIKE wildcards so a search for "50%" matches literally
+        searchPattern: search ? `%${search.replace(/[\\%_]/g, '\\$&')}%` : null,
+        sortColumn: sortColumns[query.sortBy] || sortColumns[defaultSortKey],
+        sortDirection: String(query.sortOrder).toLowerCase() === 'desc' ? 'DESC' : 'ASC'
+    };
+};
+
+// Shape shared by every paginated list endpoint
+const paginated = (items, total, { page, pageSize }) => ({
+    items,
+    total,
+    page,
+    pageSize,
+    totalPages: Math.ceil(total / pageSize)
+});
+
+// --- SESSION HELPERS ---
+
+// Only a hash of each refresh token is stored, so a database leak can't be replayed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue an access token and a new refresh token for a user.
+// user needs id, email, role and token_version. Pass a transaction client to
+// store the refresh token as part of it.
+const issueSession = async (user, client = pool) => {
+    const token = jwt.sign(
+        { id: user.id, email: user.email, role: user.role, ver: user.token_version },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+    await client.query(
+        `INSERT INTO refresh_tokens (user_id, token_hash, expires_at)
+         VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(days => $3))`,
+        [user.id, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]
+    );
+
+    return { token, refreshToken };
+};
+
+// End every session of a user: outstanding access tokens stop matching the
+// bumped token_version and all refresh tokens are revoked
+const revokeAllSessions = async (userId, client = pool) => {
+    await client.query('UPDATE users SET token_version = token_version + 1 WHERE id = $1', [userId]);
+    await client.query(
+        'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+        [userId]
+    );
+};
+
+// Email verification links carry a signed token instead of a stored one.
+// It names the email it was sent to, so changing the email voids old links.
+const sendVerificationEmail = async (user) => {
+    const verifyToken = jwt.sign(
+        { id: user.id, email: user.email, purpose: 'verify-email' },
+        JWT_SECRET,
+        { expiresIn: EMAIL_VERIFICATION_TTL }
+    );
+
+    await mailer.send({
+        to: user.email,
+        subject: 'Confirm your Rating Platform email address',
+        text: `Welcome to the Rating Platform!\n\n`
+            + `Open this link within 24 hours to confirm your email address and start rating stores:\n`
+            + `${APP_URL}/?verifyToken=${verifyToken}\n`
+    });
+};
+
+// Random password for accounts an admin creates without choosing one. It
+// always passes validate.password (16 chars, an uppercase letter, a special
+// character) and has to be changed at first login.
+const ONE_TIME_PASSWORD_CHARS = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ONE_TIME_PASSWORD_SPECIALS = '!@#$%^&*()';
+
+const generateOneTimePassword = () => {
+    const pick = (chars) => chars[crypto.randomInt(chars.length)];
+    const characters = [pick('ABCDEFGHJKLMNPQRSTUVWXYZ'), pick(ONE_TIME_PASSWORD_SPECIALS)];
+    while (characters.length < 16) {
+        characters.push(pick(ONE_TIME_PASSWORD_CHARS));
+    }
+    // Shuffle so the required characters aren't always first
+    for (let i = characters.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [characters[i], characters[j]] = [characters[j], characters[i]];
+    }
+    return characters.join('');
+};
+
+// --- AUDIT HELPERS ---
+
+// Every route that changes an account, store, category, rating, role or
+// setting records an entry in audit_log. Pass the transaction client so the
+// entry commits or rolls back with the change itself.
+//
+// entry: targetType, targetId and targetLabel (an email or name to search by;
+// looked up for user and store targets that still exist), before/after (the
+// target's state around the change; leave one out for creations and
+// deletions) and any other details. The actor is the signed-in user; routes
+// without a session (signup, token links) pass actorId.
+const recordAudit = (client, req, action, { targetType = null, targetId = null, targetLabel = null, before = null, after = null, details = null, actorId = req.user?.id ?? null } = {}) =>
+    client.query(
+        `INSERT INTO audit_log (actor_id, actor_email, action, target_type, target_id, target_label, before_state, after_state, details, ip_address)
+         VALUES (
+             $1, (SELECT email FROM users WHERE id = $1), $2, $3::varchar, $4::int,
+             COALESCE($5, CASE $3::varchar
+                 WHEN 'user' THEN (SELECT email FROM users WHERE id = $4::int)
+                 WHEN 'store' THEN (SELECT name FROM stores WHERE id = $4::int)
+             END),
+             $6, $7, $8, $9
+         )`,
+        [actorId, action, targetType, targetId, targetLabel, before, after, details, req.ip]
+    );
+
+// Audited state of each kind of target, without secrets like password hashes
+const addressAuditState = (row) => ({
+    address: row.address,
+    street: row.street ?? null,
+    city: row.city ?? null,
+    postal_code: row.postal_code ?? null,
+    country: row.country ?? null
+});
+const userAuditState = (row) => ({ name: row.name, email: row.email, ...addressAuditState(row), role: row.role, status: row.status });
+const storeAuditState = (row, tags) => ({
+    name: row.name,
+    email: row.email,
+    ...addressAuditState(row),
+    latitude: row.latitude ?? null,
+    longitude: row.longitude ?? null,
+    status: row.status,
+    category_id: row.category_id ?? null,
+    tags
+});
+const ratingAuditState = (row) => ({ user_id: row.user_id, store_id: row.store_id, rating: row.rating, review_title: row.review_title, review_body: row.review_body });
+
+// --- PERMISSION HELPERS ---
+
+// Roles grant permissions through role_permissions. Routes check permissions,
+// never role names; only store membership still follows the store_owner role,
+// which the store routes assign.
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{2,29}$/;
+
+const permissionsForRole = async (role, client = pool) => {
+    const result = await client.query('SELECT permission FROM role_permissions WHERE role = $1 ORDER BY permission', [role]);
+    return result.rows.map(row => row.permission);
+};
+
+const hasPermission = (user, permission) => user.permissions.includes(permission);
+
+// Nobody can hand out more access than they have: a role can only be created
+// with, or assigned to a user when, its permissions are all held by the caller.
+// Returns an error message, or null when the role can be assigned.
+const checkAssignableRole = async (role, user, client = pool) => {
+    if (role === 'store_owner') {
+        return 'Store owners are assigned by adding them to a store.';
+    }
+    const roleResult = await client.query('SELECT 1 FROM roles WHERE name = $1', [role]);
+    if (roleResult.rows.length === 0) {
+        return 'Invalid role.';
+    }
+    const missing = (await permissionsForRole(role, client)).filter(permission => !hasPermission(user, permission));
+    return missing.length > 0 ? `You cannot assign a role with permissions you don't have (${missing.join(', ')}).` : null;
+};
+
+// The same rule for accounts: users:write only reaches an account whose role's
+// permissions are all held by the caller, so staff can't take over an admin by
+// resetting their password or two-factor login. ratings:reply doesn't count,
+// as it only works on the account's own stores. Returns an error message, or
+// null when the account can be managed.
+const checkManageableAccount = async (targetRole, user, client = pool) => {
+    const missing = (await permissionsForRole(targetRole, client))
+        .filter(permission => permission !== 'ratings:reply' && !hasPermission(user, permission));
+    return missing.length > 0 ? 'You cannot manage an account with permissions you don\'t have.' : null;
+};
+
+// --- STORE MEMBERSHIP HELPERS ---
+
+// Accounts manage stores through store_members, as an owner or a manager.
+// Anyone with at least one membership has the store_owner role (which grants
+// ratings:reply); losing the last one makes them a normal user again.
+const STORE_MEMBER_ROLES = ['owner', 'manager'];
+
+// The account's role in the store ('owner' or 'manager'), or null
+const storeMemberRole = async (userId, storeId, client = pool) => {
+    const result = await client.query('SELECT role FROM store_members WHERE store_id = $1 AND user_id = $2', [storeId, userId]);
+    return result.rows[0]?.role || null;
+};
+
+// Every store the account belongs to, with its role there
+const storesForMember = async (userId, client = pool) => {
+    const result = await client.query(`
+        SELECT s.id, s.name, s.status, m.role
+        FROM store_members m
+        JOIN stores s ON m.store_id = s.id
+        WHERE m.user_id = $1
+        ORDER BY LOWER(s.name), s.id
+    `, [userId]);
+    return result.rows;
+};
+
+// Bring the store_owner role in line with the accounts' memberships. Only
+// normal users and store owners can be members, so other roles are left alone.
+const syncStoreOwnerRoles = (userIds, client) =>
+    client.query(`
+        UPDATE users u
+        SET role = CASE WHEN EXISTS (SELECT 1 FROM store_members m WHERE m.user_id = u.id) THEN 'store_owner' ELSE 'user' END
+        WHERE u.id = ANY($1::int[]) AND u.role IN ('user', 'store_owner')
+    `, [userIds]);
+
+// --- STORE CATEGORY HELPERS ---
+
+// A store has at most one category, which admins manage in categories, and
+// any number of free-form tags (up to MAX_STORE_TAGS) in store_tags.
+
+// Read categoryId and tags from a store create/update body. A field that was
+// not sent comes back undefined so an update leaves it alone; an empty
+// categoryId clears the category. Returns { error } when a field is invalid.
+const parseStoreClassification = async ({ categoryId, tags }, client = pool) => {
+    const classification = {};
+
+    if (categoryId === null || categoryId === '') {
+        classification.categoryId = null;
+    } else if (categoryId !== undefined) {
+        classification.categoryId = parseId(categoryId);
+        if (classification.categoryId === null) {
+            return { error: 'Invalid category ID' };
+        }
+        const category = await client.query('SELECT 1 FROM categories WHERE id = $1', [classification.categoryId]);
+        if (category.rows.length === 0) {
+            return { error: 'Category not found' };
+        }
+    }
+
+    if (tags !== undefined && tags !== null) {
+        classification.tags = parseTags(tags);
+        const tagsError = validate.tags(classification.tags);
+        if (tagsError) {
+            return { error: tagsError };
+        }
+    }
+    return classification;
+};
+
+const storeTags = async (storeId, client = pool) => {
+    const result = await client.query('SELECT tag FROM store_tags WHERE store_id = $1 ORDER BY tag', [storeId]);
+    return result.rows.map(row => row.tag);
+};
+
+// Replace the store's tags with the given set
+const setStoreTags = async (storeId, tags, client) => {
+    await client.query('DELETE FROM store_tags WHERE store_id = $1', [storeId]);
+    await client.query('INSERT INTO store_tags (store_id, tag) SELECT $1, UNNEST($2::varchar[])', [storeId, tags]);
+};
+
+// --- ADDRESS HELPERS ---
+
+// Users and stores keep a one-line address, which lists and search use, and
+// optionally its parts (street, city, postal code and country) so stores can
+// be filtered by city. Accounts created before the parts existed only have
+// the one-line address until db/migrateAddresses.js or an edit fills them in.
+const ADDRESS_PARTS = ['street', 'city', 'postalCode', 'country'];
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// The one-line address for a set of parts, e.g. "12 Main Street, Springfield 62701, USA"
+const composeAddress = ({ street, city, postalCode, country }) =>
+    `${street}, ${postalCode ? `${city} ${postalCode}` : city}, ${country}`;
+
+// Read the address of a user or store create/update body. When any part is
+// sent, street, city and country are required and the one-line address is
+// built from them; a one-line address sent on its own clears the parts.
+// Returns { address, street, city, postalCode, country }, where address is
+// undefined when neither was sent so an update leaves it alone, or { error }.
+const parseAddress = (body) => {
+    if (ADDRESS_PARTS.every(part => isBlank(body[part]))) {
+        if (body.address === undefined) {
+            return { address: undefined };
+        }
+        return { address: body.address, street: null, city: null, postalCode: null, country: null };
+    }
+
+    const parts = Object.fromEntries(ADDRESS_PARTS.map(part => [
+        part,
+        isBlank(body[part]) ? null : (typeof body[part] === 'string' ? body[part].trim().replace(/\s+/g, ' ') : body[part])
+    ]));
+    for (const part of ADDRESS_PARTS) {
+        const error = validate[part](parts[part]);
+        if (error) return { error };
+    }
+    if (parts.postalCode) {
+        parts.postalCode = parts.postalCode.toUpperCase();
+    }
+    return { address: composeAddress(parts), ...parts };
+};
+
+// Read a latitude/longitude pair, such as a store's location or the origin
+// of a distance search. Both must be sent together: blank values clear the
+// location and leaving both out keeps it, in which case the result is empty.
+// Returns { latitude, longitude } or { error }.
+const parseCoordinates = ({ latitude, longitude }) => {
+    if (latitude === undefined && longitude === undefined) {
+        return {};
+    }
+    if (isBlank(latitude) && isBlank(longitude)) {
+        return { latitude: null, longitude: null };
+    }
+    if (isBlank(latitude) || isBlank(longitude)) {
+        return { error: 'Latitude and longitude must be given together.' };
+    }
+
+    const coordinates = { latitude: Number(latitude), longitude: Number(longitude) };
+    if (typeof latitude === 'boolean' || !Number.isFinite(coordinates.latitude) || Math.abs(coordinates.latitude) > 90) {
+        return { error: 'Latitude must be a number between -90 and 90.' };
+    }
+    if (typeof longitude === 'boolean' || !Number.isFinite(coordinates.longitude) || Math.abs(coordinates.longitude) > 180) {
+        return { error: 'Longitude must be a number between -180 and 180.' };
+    }
+    return coordinates;
+};
+
+// A create/update body with its address parsed (see parseAddress), and with
+// location its latitude and longitude too (see parseCoordinates), ready for
+// the field checks and the insert and update queries. Returns { error } when
+// either is invalid.
+const parseAddressFields = (body, { location = false } = {}) => {
+    const address = parseAddress(body);
+    if (address.error) {
+        return { error: address.error };
+    }
+    const coordinates = location ? parseCoordinates(body) : {};
+    if (coordinates.error) {
+        return { error: coordinates.error };
+    }
+    return { ...body, ...address, ...coordinates };
+};
+
+// Great-circle distance in kilometres between a store and the point at the
+// given placeholders (haversine formula). NULL for stores without a location.
+const EARTH_RADIUS_KM = 6371;
+const distanceSql = (latitude, longitude) => `(${EARTH_RADIUS_KM} * 2 * ASIN(LEAST(1, SQRT(
+        POWER(SIN(RADIANS(s.latitude - ${latitude}::float8) / 2), 2)
+        + COS(RADIANS(${latitude}::float8)) * COS(RADIANS(s.latitude))
+          * POWER(SIN(RADIANS(s.longitude - ${longitude}::float8) / 2), 2)
+    ))))`;
+
+// --- TWO-FACTOR HELPERS ---
+
+// Two-factor login is for accounts with any permission: admins, store owners
+// and custom staff roles. Normal users have none.
+const canUseTwoFactor = (permissions) => permissions.length > 0;
+const TWO_FACTOR_ISSUER = 'Rating Platform';
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+const isTwoFactorRequired = async (client = pool) => {
+    const result = await client.query("SELECT value FROM app_settings WHERE key = 'require_two_factor'");
+    return result.rows[0]?.value === 'true';
+};
+
+// Replace a user's recovery codes with a fresh set. Only hashes are stored, so
+// the plain codes returned here are shown to the user once.
+const replaceRecoveryCodes = async (userId, client = pool) => {
+    await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const code = crypto.randomBytes(5).toString('hex');
+        codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+    }
+    await client.query(
+        'INSERT INTO two_factor_recovery_codes (user_id, code_hash) SELECT $1, UNNEST($2::text[])',
+        [userId, codes.map(code => hashToken(code.replace('-', '')))]
+    );
+    return codes;
+};
+
+// Check an authenticator code or a recovery code for a user with 2FA set up.
+// user needs id, totp_secret and totp_last_counter. A code is accepted once:
+// TOTP codes must be newer than the last accepted one and recovery codes are
+// marked used.
+const verifySecondFactor = async (user, { code, recoveryCode }, client = pool) => {
+    if (recoveryCode) {
+        const normalized = String(recoveryCode).trim().toLowerCase().replace(/[\s-]/g, '');
+        const result = await client.query(
+            `UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP
+             WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+            [user.id, hashToken(normalized)]
+        );
+        return result.rowCount > 0;
+    }
+
+    const counter = totp.verifyCode(user.totp_secret, code);
+    if (counter === null || (user.totp_last_counter !== null && counter <= Number(user.totp_last_counter))) {
+        return false;
+    }
+    await client.query('UPDATE users SET totp_last_counter = $1 WHERE id = $2', [counter, user.id]);
+    return true;
+};
+
+// Response for a finished login: the user (without secrets), the stores they
+// manage for store owners, their permissions, whether the 2FA policy still
+// needs them to enroll, and a session
+const completeLogin = async (user) => {
+    delete user.password;
+    delete user.totp_secret;
+    delete user.totp_last_counter;
+
+    if (user.role === 'store_owner') {
+        user.stores = await storesForMember(user.id);
     }
+
+    user.permissions = await permissionsForRole(user.role);
+    user.two_factor_setup_required = canUseTwoFactor(user.permissions)
+        && !user.totp_enabled
+        && await isTwoFactorRequired();
+
+    const session = await issueSession(user);
+    delete user.token_version;
+    return { ...user, ...session };
 };
 
 // --- AUTHENTICATION MIDDLEWARE ---
 
 // Middleware to verify JWT token
-const authenticateToken = (req, res, next) => {
+// A valid signature isn't enough: the token's version must still match the
+// user's, so a password change or suspension ends the session immediately.
+// Tokens signed for one purpose (the 2FA login challenge, email verification)
+// are never sessions.
+// The role and permissions are read fresh too, so role changes apply at once.
+// Accounts flagged must_change_password, and accounts the 2FA policy requires
+// to enroll, can only reach routes built with allowPendingSetup (the password
+// change and two-factor enrollment).
+const verifySession = (allowPendingSetup) => (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
     
@@ -92,35 +655,57 @@ const authenticateToken = (req, res, next) => {
         return res.status(401).json({ message: 'Access token required' });
     }
     
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({ message: 'Invalid or expired token' });
+    jwt.verify(token, JWT_SECRET, async (err, user) => {
+        if (err || user.purpose !== undefined) {
+            return res.status(401).json({ message: 'Invalid or expired token' });
+        }
+
+        try {
+            const result = await pool.query(`
+                SELECT u.status, u.token_version, u.must_change_password, u.role, u.totp_enabled,
+                    ARRAY(SELECT rp.permission FROM role_permissions rp WHERE rp.role = u.role) AS permissions,
+                    EXISTS (SELECT 1 FROM app_settings WHERE key = 'require_two_factor' AND value = 'true') AS two_factor_required
+                FROM users u WHERE u.id = $1
+            `, [user.id]);
+            const account = result.rows[0];
+            if (!account || account.status !== 'active' || account.token_version !== user.ver) {
+                return res.status(401).json({ message: 'Session has ended. Please log in again.' });
+            }
+            if (account.must_change_password && !allowPendingSetup) {
+                return res.status(403).json({ message: 'You must change your password before continuing.', mustChangePassword: true });
+            }
+            const needsTwoFactor = account.two_factor_required && canUseTwoFactor(account.permissions) && !account.totp_enabled;
+            if (needsTwoFactor && !allowPendingSetup) {
+                return res.status(403).json({ message: 'You must set up two-factor authentication before continuing.', twoFactorSetupRequired: true });
+            }
+
+            // Attach user info to request
+            req.user = { ...user, role: account.role, permissions: account.permissions };
+        } catch (error) {
+            console.error('Session check error:', error);
+            return res.status(500).json({ message: 'Server error.' });
         }
-        req.user = user; // Attach user info to request
+
         next();
     });
 };
 
-// Middleware to check if user is admin
-const requireAdmin = (req, res, next) => {
-    if (req.user.role !== 'admin') {
-        return res.status(403).json({ message: 'Admin access required' });
-    }
-    next();
-};
+const authenticateToken = verifySession(false);
+const authenticateAccountSetup = verifySession(true);
 
-// Middleware to check if user is store owner
-const requireStoreOwner = (req, res, next) => {
-    if (req.user.role !== 'store_owner') {
-        return res.status(403).json({ message: 'Store owner access required' });
+// Middleware to check the user holds a permission. With several, any one of
+// them is enough.
+const requirePermission = (...permissions) => (req, res, next) => {
+    if (!permissions.some(permission => hasPermission(req.user, permission))) {
+        return res.status(403).json({ message: 'You do not have permission to do this.', permission: permissions[0] });
     }
     next();
 };
 
-// Middleware to check if user is a normal user
-const requireUser = (req, res, next) => {
-    if (req.user.role !== 'user') {
-        return res.status(403).json({ message: 'User access required' });
+// Middleware to check the user's account can use two-factor login
+const requireTwoFactorEligible = (req, res, next) => {
+    if (!canUseTwoFactor(req.user.permissions)) {
+        return res.status(403).json({ message: 'Two-factor authentication is available to admin, staff and store owner accounts.' });
     }
     next();
 };
@@ -133,9 +718,11 @@ app.get('/', (req, res) => {
 });
 
 // Implement Login route with JWT
+// Failed attempts are counted per account and per IP; a locked account or IP
+// gets 429 with lockedUntil until the lock runs out or an admin unlocks it.
+// Accounts with two-factor login get a short-lived challenge token instead of
+// a session, to be completed at /api/auth/login/2fa.
 app.post('/api/auth/login', async (req, res) => {
-    console.log('[LOGIN] Request received:', { email: req.body?.email, hasPassword: !!req.body?.password });
-    
     const { email, password } = req.body;
     
     // Validation
@@ -145,56 +732,109 @@ app.post('/api/auth/login', async (req, res) => {
     }
     
     try {
-        console.log('[LOGIN] Querying database for user:', email);
+        const lockedUntil = await loginLimiter.check(email, req.ip);
+        if (lockedUntil) {
+            console.log('[LOGIN] Rejected, locked until', lockedUntil.toISOString());
+            return res.status(429).json({ message: 'Too many failed login attempts.', lockedUntil });
+        }
+
         const result = await pool.query(
-            'SELECT id, name, email, role, address, password FROM users WHERE email = $1', 
+            'SELECT id, name, email, role, address, status, email_verified, must_change_password, totp_enabled, token_version, password FROM users WHERE email = $1', 
             [email]
         );
-        
-        console.log('[LOGIN] Query result:', { found: result.rows.length > 0, rowCount: result.rows.length });
-        
-        if (result.rows.length === 0) {
-            console.log('[LOGIN] User not found');
-            return res.status(401).json({ message: 'Invalid credentials' });
-        }
-        
         const user = result.rows[0];
-        console.log('[LOGIN] User found:', { id: user.id, email: user.email, role: user.role, hasHashedPassword: !!user.password });
         
         // Compare hashed password
-        console.log('[LOGIN] Comparing passwords...');
-        const passwordMatch = await bcrypt.compare(password, user.password);
-        console.log('[LOGIN] Password match result:', passwordMatch);
+        const passwordMatch = user ? await bcrypt.compare(password, user.password) : false;
         
         if (!passwordMatch) {
-            console.log('[LOGIN] Password mismatch');
+            console.log('[LOGIN] Invalid credentials');
+            const newLock = await loginLimiter.recordFailedAttempt(email, req.ip);
+            if (newLock) {
+                return res.status(429).json({ message: 'Too many failed login attempts.', lockedUntil: newLock });
+            }
             return res.status(401).json({ message: 'Invalid credentials' });
         }
         
-        // Remove password from user object
-        delete user.password;
+        // Checked after the password so suspension doesn't reveal which emails exist
+        if (user.status === 'suspended') {
+            console.log('[LOGIN] Account suspended:', user.id);
+            return res.status(403).json({ message: 'This account has been suspended. Please contact an administrator.' });
+        }
         
-        // Get storeId for store owners
-        if (user.role === 'store_owner') {
-            console.log('[LOGIN] Fetching store ID for store owner');
-            const storeResult = await pool.query('SELECT id FROM stores WHERE owner_id = $1', [user.id]);
-            user.storeId = storeResult.rows[0]?.id;
-            console.log('[LOGIN] Store ID:', user.storeId);
+        // Failures are only cleared once the second step passes, so the
+        // limiter also covers guessing authenticator codes
+        if (user.totp_enabled) {
+            const challengeToken = jwt.sign(
+                { id: user.id, ver: user.token_version, purpose: 'login-2fa' },
+                JWT_SECRET,
+                { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+            );
+            console.log('[LOGIN] Password accepted, waiting for second factor for user', user.id);
+            return res.json({ twoFactorRequired: true, challengeToken });
         }
         
-        // Generate JWT token
-        console.log('[LOGIN] Generating JWT token');
-        const token = jwt.sign(
-            { id: user.id, email: user.email, role: user.role },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        await loginLimiter.recordSuccess(email);
         
-        console.log('[LOGIN] Login successful for user:', user.email);
-        res.json({ ...user, token });
+        console.log('[LOGIN] Login successful for user', user.id);
+        res.json(await completeLogin(user));
     } catch (error) {
         console.error('[LOGIN] ERROR:', error);
-        console.error('[LOGIN] Error stack:', error.stack);
+        res.status(500).json({ message: 'Server error during login.' });
+    }
+});
+
+
+// Implement Two-Factor Login route
+// Second login step: the challenge token from /api/auth/login plus either an
+// authenticator code or an unused recovery code. Wrong codes count as failed
+// logins for the account and IP.
+app.post('/api/auth/login/2fa', async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
+        return res.status(400).json({ message: 'A verification code is required' });
+    }
+
+    let challenge;
+    try {
+        challenge = jwt.verify(challengeToken, JWT_SECRET);
+    } catch (error) {
+        return res.status(401).json({ message: 'Login attempt has expired. Please log in again.' });
+    }
+    if (challenge.purpose !== 'login-2fa') {
+        return res.status(401).json({ message: 'Login attempt has expired. Please log in again.' });
+    }
+
+    try {
+        const result = await pool.query(
+            'SELECT id, name, email, role, address, status, email_verified, must_change_password, totp_enabled, totp_secret, totp_last_counter, token_version FROM users WHERE id = $1',
+            [challenge.id]
+        );
+        const user = result.rows[0];
+        if (!user || user.status !== 'active' || !user.totp_enabled || user.token_version !== challenge.ver) {
+            return res.status(401).json({ message: 'Login attempt has expired. Please log in again.' });
+        }
+
+        const lockedUntil = await loginLimiter.check(user.email, req.ip);
+        if (lockedUntil) {
+            return res.status(429).json({ message: 'Too many failed login attempts.', lockedUntil });
+        }
+
+        if (!await verifySecondFactor(user, { code, recoveryCode })) {
+            console.log('[LOGIN] Invalid second factor for user', user.id);
+            const newLock = await loginLimiter.recordFailedAttempt(user.email, req.ip);
+            if (newLock) {
+                return res.status(429).json({ message: 'Too many failed login attempts.', lockedUntil: newLock });
+            }
+            return res.status(401).json({ message: 'Invalid verification code' });
+        }
+
+        await loginLimiter.recordSuccess(user.email);
+
+        console.log('[LOGIN] Login successful with second factor for user', user.id);
+        res.json(await completeLogin(user));
+    } catch (error) {
+        console.error('[LOGIN] 2FA ERROR:', error);
         res.status(500).json({ message: 'Server error during login.' });
     }
 });
@@ -202,12 +842,13 @@ app.post('/api/auth/login', async (req, res) => {
 
 // Implement Signup route (Normal User only)
 app.post('/api/auth/signup', async (req, res) => {
-    const { name, email, address, password } = req.body;
+    const { name, email, password } = req.body;
+    const address = parseAddress(req.body);
     
     // Validation
     const nameError = validate.name(name);
     const emailError = validate.email(email);
-    const addressError = validate.address(address);
+    const addressError = address.error || validate.address(address.address);
     const passwordError = validate.password(password);
     
     if (nameError || emailError || addressError || passwordError) {
@@ -216,228 +857,3378 @@ app.post('/api/auth/signup', async (req, res) => {
         });
     }
     
+    const client = await pool.connect();
     try {
-        const existing = await pool.query('SELECT 1 FROM users WHERE email = $1', [email]);
+        await client.query('BEGIN');
+        const existing = await client.query('SELECT 1 FROM users WHERE email = $1', [email]);
         if (existing.rows.length > 0) {
+            await client.query('ROLLBACK');
             return res.status(400).json({ message: 'Email already exists' });
         }
         
         // Hash password
         const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
         
-        const result = await pool.query(
-            'INSERT INTO users (name, email, password, address, role) VALUES ($1, $2, $3, $4, $5) RETURNING id, name, email, role, address',
-            [name, email, hashedPassword, address, 'user']
+        // Self-service accounts stay unverified until the emailed link is opened
+        const result = await client.query(
+            `INSERT INTO users (name, email, password, address, street, city, postal_code, country, role, email_verified)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, FALSE)
+             RETURNING id, name, email, role, address, street, city, postal_code, country, status, email_verified, token_version`,
+            [name, email, hashedPassword, address.address, address.street, address.city, address.postalCode, address.country, 'user']
         );
         
         const user = result.rows[0];
+        await recordAudit(client, req, 'user.signup', { targetType: 'user', targetId: user.id, after: userAuditState(user), actorId: user.id });
+        delete user.status;
         
-        // Generate JWT token
-        const token = jwt.sign(
-            { id: user.id, email: user.email, role: user.role },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        user.permissions = await permissionsForRole(user.role, client);
+        
+        // Generate access and refresh tokens
+        const session = await issueSession(user, client);
+        delete user.token_version;
+
+        await client.query('COMMIT');
+
+        // The account works without the email; the user can ask for it again
+        try {
+            await sendVerificationEmail(user);
+        } catch (mailError) {
+            console.error('Verification email error:', mailError);
+        }
         
-        res.status(201).json({ ...user, token });
+        res.status(201).json({ ...user, ...session });
     } catch (error) {
+        await client.query('ROLLBACK');
         console.error('Signup error:', error);
         res.status(500).json({ message: 'Server error during signup.' });
+    } finally {
+        client.release();
     }
 });
 
 
-// Implement Get Users route (Requires authentication - admin or any logged-in user for viewing)
-app.get('/api/data/users', authenticateToken, async (req, res) => {
+// Implement Refresh route
+// Trades a refresh token for a new access token and a new refresh token. Each
+// refresh token works once: presenting a revoked one means it was copied, so
+// every session of that user is ended.
+app.post('/api/auth/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+        return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const client = await pool.connect();
     try {
-        // Use a JOIN to get the storeId for store owners in a single query
-        const usersResult = await pool.query(`
-            SELECT 
-                u.id, 
-                u.name, 
-                u.email, 
-                u.role, 
-                u.address, 
-                s.id AS store_id 
-            FROM users u
-            LEFT JOIN stores s ON u.id = s.owner_id
-            ORDER BY u.id
-        `);
-        
-        const users = usersResult.rows.map(row => ({
-            id: row.id,
-            name: row.name,
-            email: row.email,
-            role: row.role,
-            address: row.address,
-            storeId: row.store_id // Null for non-owners
-        }));
+        await client.query('BEGIN');
+
+        const result = await client.query(`
+            SELECT rt.id, rt.revoked_at, rt.expires_at < CURRENT_TIMESTAMP AS expired,
+                u.id AS user_id, u.email, u.role, u.status, u.token_version
+            FROM refresh_tokens rt
+            JOIN users u ON rt.user_id = u.id
+            WHERE rt.token_hash = $1
+            FOR UPDATE OF rt
+        `, [hashToken(refreshToken)]);
+        const stored = result.rows[0];
 
-        res.json(users);
+        if (!stored) {
+            await client.query('ROLLBACK');
+            return res.status(401).json({ message: 'Invalid refresh token' });
+        }
+
+        if (stored.revoked_at) {
+            console.log('[REFRESH] Revoked refresh token reused, ending all sessions for user', stored.user_id);
+            await revokeAllSessions(stored.user_id, client);
+            await client.query('COMMIT');
+            return res.status(401).json({ message: 'Invalid refresh token' });
+        }
+
+        if (stored.expired || stored.status !== 'active') {
+            await client.query('ROLLBACK');
+            return res.status(401).json({ message: 'Session has ended. Please log in again.' });
+        }
+
+        await client.query('UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1', [stored.id]);
+        const session = await issueSession({ ...stored, id: stored.user_id }, client);
+
+        await client.query('COMMIT');
+        res.json(session);
     } catch (error) {
-        console.error('Get Users error:', error);
-        res.status(500).json({ message: 'Server error.' });
+        await client.query('ROLLBACK');
+        console.error('Refresh error:', error);
+        res.status(500).json({ message: 'Server error during refresh.' });
+    } finally {
+        client.release();
     }
 });
 
 
-// Implement Get Stores route (Public or authenticated)
-app.get('/api/data/stores', authenticateToken, async (req, res) => {
+// Implement Logout route
+// Revokes the given refresh token. The access token expires on its own shortly.
+app.post('/api/auth/logout', async (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+        return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
     try {
-        const storesResult = await pool.query('SELECT id, name, email, address, owner_id FROM stores ORDER BY id');
-        res.json(storesResult.rows);
+        await pool.query(
+            'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE token_hash = $1 AND revoked_at IS NULL',
+            [hashToken(refreshToken)]
+        );
+        res.json({ message: 'Logged out successfully' });
     } catch (error) {
-        console.error('Get Stores error:', error);
-        res.status(500).json({ message: 'Server error.' });
+        console.error('Logout error:', error);
+        res.status(500).json({ message: 'Server error during logout.' });
     }
 });
 
 
-// Implement Get Ratings route (Authenticated)
-app.get('/api/data/ratings', authenticateToken, async (req, res) => {
+// Implement Verify Email route
+// Marks the account verified when the signed link is still valid and was sent
+// to the account's current email
+app.post('/api/auth/verify-email', async (req, res) => {
+    const { token } = req.body;
+
+    let payload;
     try {
-        const ratingsResult = await pool.query(`
-            SELECT r.id, r.user_id, r.store_id, r.rating, u.email AS user_email
-            FROM ratings r
-            JOIN users u ON r.user_id = u.id
-            ORDER BY r.id
-        `);
-        res.json(ratingsResult.rows);
+        payload = jwt.verify(token, JWT_SECRET);
     } catch (error) {
-        console.error('Get Ratings error:', error);
-        res.status(500).json({ message: 'Server error.' });
+        payload = null;
+    }
+    if (!payload || payload.purpose !== 'verify-email') {
+        return res.status(400).json({ message: 'This verification link is invalid or has expired.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await client.query(
+            'UPDATE users SET email_verified = TRUE WHERE id = $1 AND email = $2 AND NOT email_verified RETURNING id',
+            [payload.id, payload.email]
+        );
+        if (result.rows.length > 0) {
+            await recordAudit(client, req, 'user.email_verify', { targetType: 'user', targetId: payload.id, actorId: payload.id });
+        } else {
+            const current = await client.query('SELECT 1 FROM users WHERE id = $1 AND email = $2', [payload.id, payload.email]);
+            if (current.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ message: 'This verification link is invalid or has expired.' });
+            }
+        }
+
+        await client.query('COMMIT');
+        res.json({ message: 'Email verified successfully' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Verify email error:', error);
+        res.status(500).json({ message: 'Server error. Please try again later.' });
+    } finally {
+        client.release();
     }
 });
 
 
-// Implement Add User (Admin only functionality)
-app.post('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
-    const { name, email, address, password, role } = req.body;
-    
-    // Validation
-    const nameError = validate.name(name);
+// Implement Resend Verification route (Authenticated)
+app.post('/api/auth/resend-verification', authenticateToken, async (req, res) => {
+    try {
+        const result = await pool.query('SELECT id, email, email_verified FROM users WHERE id = $1', [req.user.id]);
+        const user = result.rows[0];
+        if (user.email_verified) {
+            return res.status(400).json({ message: 'Your email address is already verified' });
+        }
+
+        await sendVerificationEmail(user);
+        res.json({ message: 'Verification email sent' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ message: 'Server error. Please try again later.' });
+    }
+});
+
+
+// Implement Forgot Password route
+// Emails a single-use reset link. The response is the same whether or not the
+// email belongs to an account, so the route can't be used to find accounts.
+app.post('/api/auth/forgot-password', async (req, res) => {
+    const { email } = req.body;
     const emailError = validate.email(email);
-    const addressError = validate.address(address);
-    const passwordError = validate.password(password);
-    
-    if (nameError || emailError || addressError || passwordError) {
-        return res.status(400).json({ 
-            message: nameError || emailError || addressError || passwordError 
+    if (emailError) {
+        return res.status(400).json({ message: emailError });
+    }
+
+    try {
+        const result = await pool.query("SELECT id, email FROM users WHERE email = $1 AND status = 'active'", [email]);
+        const user = result.rows[0];
+
+        if (user) {
+            // Only the newest link works
+            await pool.query('DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL', [user.id]);
+
+            const resetToken = crypto.randomBytes(32).toString('hex');
+            await pool.query(
+                `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+                 VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3))`,
+                [user.id, hashToken(resetToken), PASSWORD_RESET_TTL_MINUTES]
+            );
+
+            // A failed send answers like an unknown email, so the response
+            // never tells whether the account exists
+            try {
+                await mailer.send({
+                    to: user.email,
+                    subject: 'Reset your Rating Platform password',
+                    text: `Someone asked to reset the password for this account.\n\n`
+                        + `Open this link within ${PASSWORD_RESET_TTL_MINUTES} minutes to choose a new password:\n`
+                        + `${APP_URL}/?resetToken=${resetToken}\n\n`
+                        + `If it wasn't you, ignore this email and your password stays the same.`
+                });
+            } catch (mailError) {
+                console.error('Password reset link email error:', mailError);
+            }
+        }
+
+        res.json({ message: 'If an account exists for that email, a reset link has been sent.' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ message: 'Server error. Please try again later.' });
+    }
+});
+
+
+// Implement Reset Password route
+// Consumes a reset token and sets the new password. Every existing session
+// ends and any failed-login lock on the account is cleared.
+app.post('/api/auth/reset-password', async (req, res) => {
+    const { token, newPassword } = req.body;
+    if (!token) {
+        return res.status(400).json({ message: 'Reset token is required' });
+    }
+
+    const passwordError = validate.password(newPassword);
+    if (passwordError) {
+        return res.status(400).json({ message: passwordError });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(`
+            UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+            WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+            RETURNING user_id
+        `, [hashToken(token)]);
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'This reset link is invalid or has expired.' });
+        }
+
+        const userId = result.rows[0].user_id;
+        const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
+        const userResult = await client.query(
+            'UPDATE users SET password = $1, must_change_password = FALSE WHERE id = $2 RETURNING email',
+            [hashedPassword, userId]
+        );
+        await revokeAllSessions(userId, client);
+        await recordAudit(client, req, 'user.password_reset_by_email', { targetType: 'user', targetId: userId, actorId: userId });
+
+        await client.query('COMMIT');
+        await loginLimiter.unlockAccount(userResult.rows[0].email);
+        res.json({ message: 'Password has been reset. You can now log in.' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Reset password error:', error);
+        res.status(500).json({ message: 'Server error. Please try again later.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+// Implement Two-Factor Status route (Accounts with any permission)
+app.get('/api/auth/2fa', authenticateAccountSetup, requireTwoFactorEligible, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT u.totp_enabled,
+                (SELECT COUNT(*)::int FROM two_factor_recovery_codes rc WHERE rc.user_id = u.id AND rc.used_at IS NULL) AS recovery_codes_remaining
+            FROM users u WHERE u.id = $1
+        `, [req.user.id]);
+        const { totp_enabled, recovery_codes_remaining } = result.rows[0];
+
+        res.json({
+            enabled: totp_enabled,
+            required: await isTwoFactorRequired(),
+            recoveryCodesRemaining: totp_enabled ? recovery_codes_remaining : 0
+        });
+    } catch (error) {
+        console.error('Two-factor status error:', error);
+        res.status(500).json({ message: 'Server error.' });
+    }
+});
+
+
+// Implement Two-Factor Setup route (Accounts with any permission)
+// Starts enrollment with a new secret, shown as a QR code and as text for
+// manual entry. Nothing changes at login until /api/auth/2fa/enable confirms a
+// code from the authenticator app.
+app.post('/api/auth/2fa/setup', authenticateAccountSetup, requireTwoFactorEligible, async (req, res) => {
+    try {
+        const result = await pool.query('SELECT email, totp_enabled FROM users WHERE id = $1', [req.user.id]);
+        const { email, totp_enabled } = result.rows[0];
+        if (totp_enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is already enabled.' });
+        }
+
+        const secret = totp.generateSecret();
+        await pool.query('UPDATE users SET totp_secret = $1, totp_last_counter = NULL WHERE id = $2', [secret, req.user.id]);
+
+        const otpauthUrl = totp.otpauthUrl(secret, email, TWO_FACTOR_ISSUER);
+        const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+        res.json({ secret, otpauthUrl, qrCode });
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({ message: 'Server error starting two-factor setup.' });
+    }
+});
+
+
+// Implement Two-Factor Enable route (Accounts with any permission)
+// Confirms enrollment with a code from the app and returns the recovery codes,
+// which are only ever shown here.
+app.post('/api/auth/2fa/enable', authenticateAccountSetup, requireTwoFactorEligible, async (req, res) => {
+    const { code } = req.body;
+    if (!code) {
+        return res.status(400).json({ message: 'A verification code is required' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await client.query(
+            'SELECT id, totp_secret, totp_last_counter, totp_enabled FROM users WHERE id = $1 FOR UPDATE',
+            [req.user.id]
+        );
+        const user = result.rows[0];
+
+        if (user.totp_enabled) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Two-factor authentication is already enabled.' });
+        }
+        if (!user.totp_secret) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Start two-factor setup first.' });
+        }
+        if (!await verifySecondFactor(user, { code }, client)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Invalid verification code. Check the time on your device and try again.' });
+        }
+
+        await client.query('UPDATE users SET totp_enabled = TRUE WHERE id = $1', [req.user.id]);
+        const recoveryCodes = await replaceRecoveryCodes(req.user.id, client);
+        await recordAudit(client, req, 'user.two_factor_enable', { targetType: 'user', targetId: req.user.id });
+
+        await client.query('COMMIT');
+        res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Two-factor enable error:', error);
+        res.status(500).json({ message: 'Server error enabling two-factor authentication.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+// Implement Two-Factor Recovery Codes route (Accounts with any permission)
+// Replaces all recovery codes, for when they're used up or lost. Needs a
+// current authenticator code.
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, requireTwoFactorEligible, async (req, res) => {
+    const { code } = req.body;
+    if (!code) {
+        return res.status(400).json({ message: 'A verification code is required' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await client.query(
+            'SELECT id, totp_secret, totp_last_counter, totp_enabled FROM users WHERE id = $1 FOR UPDATE',
+            [req.user.id]
+        );
+        const user = result.rows[0];
+
+        if (!user.totp_enabled) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+        }
+        if (!await verifySecondFactor(user, { code }, client)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Invalid verification code' });
+        }
+
+        const recoveryCodes = await replaceRecoveryCodes(req.user.id, client);
+        await recordAudit(client, req, 'user.recovery_codes_replace', { targetType: 'user', targetId: req.user.id });
+
+        await client.query('COMMIT');
+        res.json({ message: 'New recovery codes generated', recoveryCodes });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Recovery codes error:', error);
+        res.status(500).json({ message: 'Server error generating recovery codes.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+// Implement Two-Factor Disable route (Accounts with any permission)
+// Needs the current password and an authenticator or recovery code. Not
+// allowed while the admin policy requires two-factor login. Wrong answers
+// count as failed logins, so a stolen session can't guess the password here.
+app.post('/api/auth/2fa/disable', authenticateToken, requireTwoFactorEligible, async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+    if (!password || (!code && !recoveryCode)) {
+        return res.status(400).json({ message: 'Password and a verification code are required' });
+    }
+
+    const client = await pool.connect();
+    try {
+        if (await isTwoFactorRequired(client)) {
+            return res.status(403).json({ message: 'Two-factor authentication is required for your role and cannot be turned off.' });
+        }
+
+        await client.query('BEGIN');
+        const result = await client.query(
+            'SELECT id, email, password, totp_secret, totp_last_counter, totp_enabled FROM users WHERE id = $1 FOR UPDATE',
+            [req.user.id]
+        );
+        const user = result.rows[0];
+
+        if (!user.totp_enabled) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+        }
+
+        const lockedUntil = await loginLimiter.check(user.email, req.ip);
+        if (lockedUntil) {
+            await client.query('ROLLBACK');
+            return res.status(429).json({ message: 'Too many failed login attempts.', lockedUntil });
+        }
+
+        const passwordMatch = await bcrypt.compare(password, user.password);
+        if (!passwordMatch || !await verifySecondFactor(user, { code, recoveryCode }, client)) {
+            await client.query('ROLLBACK');
+            const newLock = await loginLimiter.recordFailedAttempt(user.email, req.ip);
+            if (newLock) {
+                return res.status(429).json({ message: 'Too many failed login attempts.', lockedUntil: newLock });
+            }
+            return res.status(400).json({ message: passwordMatch ? 'Invalid verification code' : 'Current password is incorrect' });
+        }
+
+        await client.query(
+            'UPDATE users SET totp_enabled = FALSE, totp_secret = NULL, totp_last_counter = NULL WHERE id = $1',
+            [req.user.id]
+        );
+        await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [req.user.id]);
+        await recordAudit(client, req, 'user.two_factor_disable', { targetType: 'user', targetId: req.user.id });
+
+        await client.query('COMMIT');
+        await loginLimiter.recordSuccess(user.email);
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Two-factor disable error:', error);
+        res.status(500).json({ message: 'Server error disabling two-factor authentication.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+// Sort keys accepted by GET /api/data/users
+const USER_SORT_COLUMNS = {
+    id: 'u.id',
+    name: 'LOWER(u.name)',
+    email: 'LOWER(u.email)',
+    address: 'LOWER(u.address)',
+    city: 'LOWER(u.city)',
+    role: 'u.role',
+    status: 'u.status'
+};
+
+// Users with their store count and the average rating across all their
+// stores, joined in a single query
+const USER_WITH_STORES_SQL = `
+    SELECT
+        u.id,
+        u.name,
+        u.email,
+        u.role,
+        u.address,
+        u.street,
+        u.city,
+        u.postal_code,
+        u.country,
+        u.status,
+        u.totp_enabled,
+        sm.store_count,
+        sm.average_rating AS store_rating
+    FROM users u
+    LEFT JOIN (
+        SELECT m.user_id, COUNT(DISTINCT m.store_id)::int AS store_count, AVG(r.rating)::float AS average_rating
+        FROM store_members m
+        LEFT JOIN ratings r ON r.store_id = m.store_id
+        GROUP BY m.user_id
+    ) sm ON sm.user_id = u.id
+`;
+
+// Check the role and status filters of the users list and build its WHERE
+// clause. Returns { error } when a filter is invalid.
+const userListFilters = (listQuery, { role, status }) => {
+    if (role && !ROLE_NAME_PATTERN.test(role)) {
+        return { error: 'Invalid role filter.' };
+    }
+    if (status && !USER_STATUSES.includes(status)) {
+        return { error: 'Invalid status filter.' };
+    }
+
+    const conditions = [];
+    const params = [];
+    if (listQuery.searchPattern) {
+        params.push(listQuery.searchPattern);
+        conditions.push(`(u.name ILIKE $${params.length} OR u.email ILIKE $${params.length} OR u.address ILIKE $${params.length})`);
+    }
+    if (role) {
+        params.push(role);
+        conditions.push(`u.role = $${params.length}`);
+    }
+    if (status) {
+        params.push(status);
+        conditions.push(`u.status = $${params.length}`);
+    }
+    return {
+        whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+};
+
+// Implement Get Users route (users:read - the user directory exposes emails and addresses)
+// Query: page, pageSize, search (name/email/address), role, status, sortBy, sortOrder
+app.get('/api/data/users', authenticateToken, requirePermission('users:read'), async (req, res) => {
+    const listQuery = parseListQuery(req.query, USER_SORT_COLUMNS, 'id');
+    const filters = userListFilters(listQuery, req.query);
+    if (filters.error) {
+        return res.status(400).json({ message: filters.error });
+    }
+    const { whereClause, params } = filters;
+
+    try {
+        const countResult = await pool.query(`SELECT COUNT(*) AS total FROM users u ${whereClause}`, params);
+
+        const usersResult = await pool.query(`
+            ${USER_WITH_STORES_SQL}
+            ${whereClause}
+            ORDER BY ${listQuery.sortColumn} ${listQuery.sortDirection}, u.id
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, listQuery.pageSize, listQuery.offset]);
+
+        const users = await Promise.all(usersResult.rows.map(async row => ({
+            id: row.id,
+            name: row.name,
+            email: row.email,
+            role: row.role,
+            address: row.address,
+            street: row.street,
+            city: row.city,
+            postalCode: row.postal_code,
+            country: row.country,
+            status: row.status,
+            twoFactorEnabled: row.totp_enabled,
+            storeCount: row.store_count || 0,
+            storeRating: row.store_count ? (row.store_rating || 0) : null, // Null for accounts without stores
+            lockedUntil: await loginLimiter.accountLockedUntil(row.email) // Null unless locked out by failed logins
+        })));
+
+        res.json(paginated(users, parseInt(countResult.rows[0].total, 10), listQuery));
+    } catch (error) {
+        console.error('Get Users error:', error);
+        res.status(500).json({ message: 'Server error.' });
+    }
+});
+
+
+// Store columns plus rating aggregates computed in PostgreSQL.
+// $1 must be the caller's user id so my_rating and member_role (their role in
+// the store, if they manage it) can be joined in. extraColumns adds computed
+// columns, such as the distance from a search origin.
+const storeWithRatingsSql = (extraColumns = []) => `
+    SELECT
+        s.id,
+        s.name,
+        s.email,
+        s.address,
+        s.street,
+        s.city,
+        s.postal_code,
+        s.country,
+        s.latitude,
+        s.longitude,
+        s.status,
+        s.category_id,
+        c.name AS category_name,
+        COALESCE(st.tags, '{}') AS tags,
+        COALESCE(ra.average_rating, 0) AS average_rating,
+        COALESCE(ra.rating_count, 0) AS rating_count,
+        mr.rating AS my_rating,
+        mr.review_title AS my_review_title,
+        mr.review_body AS my_review_body,
+        mm.role AS member_role${extraColumns.map(column => `,
+        ${column}`).join('')}
+    FROM stores s
+    LEFT JOIN (
+        SELECT store_id, AVG(rating)::float AS average_rating, COUNT(*)::int AS rating_count
+        FROM ratings
+        GROUP BY store_id
+    ) ra ON ra.store_id = s.id
+    LEFT JOIN categories c ON c.id = s.category_id
+    LEFT JOIN (
+        SELECT store_id, array_agg(tag ORDER BY tag) AS tags
+        FROM store_tags
+        GROUP BY store_id
+    ) st ON st.store_id = s.id
+    LEFT JOIN ratings mr ON mr.store_id = s.id AND mr.user_id = $1
+    LEFT JOIN store_members mm ON mm.store_id = s.id AND mm.user_id = $1
+`;
+const STORE_WITH_RATINGS_SQL = storeWithRatingsSql();
+
+// Sort keys accepted by GET /api/data/stores
+const STORE_SORT_COLUMNS = {
+    id: 's.id',
+    name: 'LOWER(s.name)',
+    email: 'LOWER(s.email)',
+    address: 'LOWER(s.address)',
+    city: 'LOWER(s.city)',
+    rating: 'COALESCE(ra.average_rating, 0)',
+    ratingCount: 'COALESCE(ra.rating_count, 0)',
+    category: 'LOWER(c.name)',
+    status: 's.status'
+};
+
+// Parse the stores list filters. Only stores:write sees inactive stores, so
+// everyone else always gets active ones. category is a category id or "none"
+// for uncategorized stores, tags a comma-separated list the store must all
+// have, and minRating the lowest average rating (stores without ratings are
+// left out). city matches the store's city, ignoring case. latitude and
+// longitude set an origin for the distance column and sortBy=distance, and
+// radius (in km) then keeps only stores within that distance; stores without
+// a location have no distance. Returns { error } when a filter is invalid.
+const parseStoreFilters = (user, query) => {
+    let status = 'active';
+    if (hasPermission(user, 'stores:write')) {
+        status = query.status || null;
+        if (status && !STORE_STATUSES.includes(status)) {
+            return { error: 'Invalid status filter.' };
+        }
+    }
+
+    let category = null;
+    if (query.category !== undefined && query.category !== '') {
+        category = query.category === 'none' ? 'none' : parseId(query.category);
+        if (category === null) {
+            return { error: 'Invalid category filter.' };
+        }
+    }
+
+    const tags = parseTags(query.tags);
+
+    let minRating = null;
+    if (query.minRating !== undefined && query.minRating !== '') {
+        minRating = Number(query.minRating);
+        if (isNaN(minRating) || minRating < 1 || minRating > 5) {
+            return { error: 'Minimum rating must be between 1 and 5.' };
+        }
+    }
+
+    const city = typeof query.city === 'string' && query.city.trim() ? query.city.trim().replace(/\s+/g, ' ') : null;
+
+    const coordinates = parseCoordinates(query);
+    if (coordinates.error) {
+        return { error: coordinates.error };
+    }
+    const origin = typeof coordinates.latitude === 'number' ? coordinates : null;
+    if (!origin && query.sortBy === 'distance') {
+        return { error: 'Sorting by distance needs a latitude and longitude.' };
+    }
+
+    let radius = null;
+    if (query.radius !== undefined && query.radius !== '') {
+        radius = Number(query.radius);
+        if (!origin) {
+            return { error: 'A radius needs a latitude and longitude.' };
+        }
+        if (isNaN(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+            return { error: `Radius must be between 0 and ${MAX_RADIUS_KM} km.` };
+        }
+    }
+
+    return { status, category, tags, minRating, city, origin, radius };
+};
+
+// Store search finds stores whose name, address or written reviews contain
+// the search words or words starting with them, in any order and with any
+// word ending (full-text search); names and addresses close to the search
+// text, to forgive typos (trigram similarity); and plain substrings.
+const SEARCH_CONFIG = 'english';
+
+// Lowest word similarity that counts as a typo match. pg_trgm's default for <%
+// (0.6) misses most one-letter typos in short names: "megmart" scores 0.55
+// against "MegaMart Superstore Chain".
+const TYPO_SIMILARITY = 0.3;
+
+// Prefix query for as-you-type search: "mega sto" becomes "mega:* & sto:*".
+// Only letters and digits are kept, so the text is always a valid tsquery.
+const searchTsQuery = (search) =>
+    (search.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).map(word => `${word}:*`).join(' & ');
+
+// The search condition and its rank, using the given placeholders for the
+// search text, its LIKE pattern and its tsquery. Name matches rank above
+// address matches, which rank above review matches.
+const storeSearchSql = (term, pattern, tsQuery) => {
+    const query = `to_tsquery('${SEARCH_CONFIG}', ${tsQuery})`;
+    const reviewMatch = `SELECT 1 FROM ratings r WHERE r.store_id = s.id AND r.review_vector @@ ${query}`;
+    return {
+        condition: `(s.name ILIKE ${pattern} OR s.address ILIKE ${pattern}
+            OR s.search_vector @@ ${query}
+            OR word_similarity(${term}, s.name) >= ${TYPO_SIMILARITY}
+            OR word_similarity(${term}, s.address) >= ${TYPO_SIMILARITY}
+            OR EXISTS (${reviewMatch}))`,
+        rank: `(ts_rank(s.search_vector, ${query})
+            + word_similarity(${term}, s.name) + word_similarity(${term}, s.address) / 2
+            + CASE WHEN EXISTS (${reviewMatch}) THEN 0.1 ELSE 0 END)`
+    };
+};
+
+// Build the WHERE clause for the stores list with placeholders starting at
+// $firstIndex, so the count query and the main query share the same filters.
+// except leaves one filter out, for facet counts. rank is the search
+// relevance, or null without a search. withDistance adds the origin's
+// placeholders for a query that selects or sorts by distance, the distance
+// from the origin in km (null without an origin); every placeholder has to be
+// used, so queries that only count leave it off.
+const storeListFilters = (listQuery, filters, firstIndex, { except = null, withDistance = false } = {}) => {
+    const conditions = [];
+    const params = [];
+    const addParam = (value) => {
+        params.push(value);
+        return `$${firstIndex + params.length - 1}`;
+    };
+
+    let rank = null;
+    if (listQuery.search) {
+        const search = storeSearchSql(addParam(listQuery.search), addParam(listQuery.searchPattern), addParam(searchTsQuery(listQuery.search)));
+        conditions.push(search.condition);
+        rank = search.rank;
+    }
+    if (filters.status) {
+        conditions.push(`s.status = ${addParam(filters.status)}`);
+    }
+    if (filters.category !== null && except !== 'category') {
+        conditions.push(filters.category === 'none' ? 's.category_id IS NULL' : `s.category_id = ${addParam(filters.category)}`);
+    }
+    if (filters.tags.length > 0 && except !== 'tags') {
+        conditions.push(`${addParam(filters.tags)}::varchar[] <@ ARRAY(SELECT t.tag FROM store_tags t WHERE t.store_id = s.id)`);
+    }
+    if (filters.minRating !== null) {
+        conditions.push(`(SELECT AVG(r.rating) FROM ratings r WHERE r.store_id = s.id) >= ${addParam(filters.minRating)}`);
+    }
+    if (filters.city && except !== 'city') {
+        conditions.push(`LOWER(s.city) = LOWER(${addParam(filters.city)})`);
+    }
+
+    let distance = null;
+    if (filters.origin && (withDistance || filters.radius !== null)) {
+        distance = distanceSql(addParam(filters.origin.latitude), addParam(filters.origin.longitude));
+        if (filters.radius !== null) {
+            conditions.push(`${distance} <= ${addParam(filters.radius)}`);
+        }
+    }
+
+    return {
+        whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params,
+        rank,
+        distance
+    };
+};
+
+// Searches list the best matches first unless the caller picked a sort.
+// sortBy=distance needs an origin (see parseStoreFilters); stores without a
+// location come last either way.
+const storeOrderBy = (listQuery, filters, sortBy) => {
+    if (sortBy === 'distance' && filters.distance) {
+        return `${filters.distance} ${listQuery.sortDirection} NULLS LAST, s.id`;
+    }
+    return filters.rank && !STORE_SORT_COLUMNS[sortBy]
+        ? `${filters.rank} DESC, s.id`
+        : `${listQuery.sortColumn} ${listQuery.sortDirection}, s.id`;
+};
+
+// Columns the stores list and export add to storeWithRatingsSql
+const storeListColumns = (filters) =>
+    filters.distance ? [`${filters.distance} AS distance_km`] : [];
+
+// Implement Get Stores route (Public or authenticated)
+// Only stores:write sees inactive stores; everyone else gets active stores only.
+// Query: page, pageSize, search (see storeSearchSql), status (stores:write
+// only), category, tags, minRating, city, latitude, longitude, radius (see
+// parseStoreFilters), sortBy, sortOrder. With an origin each store carries
+// distance_km.
+app.get('/api/data/stores', authenticateToken, async (req, res) => {
+    const listQuery = parseListQuery(req.query, STORE_SORT_COLUMNS, 'id');
+
+    const storeFilters = parseStoreFilters(req.user, req.query);
+    if (storeFilters.error) {
+        return res.status(400).json({ message: storeFilters.error });
+    }
+
+    try {
+        const countFilters = storeListFilters(listQuery, storeFilters, 1);
+        const countResult = await pool.query(`SELECT COUNT(*) AS total FROM stores s ${countFilters.whereClause}`, countFilters.params);
+
+        // $1 is reserved for the caller's id in STORE_WITH_RATINGS_SQL
+        const filters = storeListFilters(listQuery, storeFilters, 2, { withDistance: true });
+        const params = [req.user.id, ...filters.params];
+        const storesResult = await pool.query(`
+            ${storeWithRatingsSql(storeListColumns(filters))}
+            ${filters.whereClause}
+            ORDER BY ${storeOrderBy(listQuery, filters, req.query.sortBy)}
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, listQuery.pageSize, listQuery.offset]);
+
+        res.json(paginated(storesResult.rows, parseInt(countResult.rows[0].total, 10), listQuery));
+    } catch (error) {
+        console.error('Get Stores error:', error);
+        res.status(500).json({ message: 'Server error.' });
+    }
+});
+
+
+// ts_headline wraps matches in these; highlightSegments splits on them
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+// Names and addresses are short, so they are highlighted whole; reviews
+// give a short excerpt around the best match
+const FIELD_HIGHLIGHT_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, HighlightAll=true`;
+const REVIEW_HIGHLIGHT_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=20, MinWords=8`;
+const MAX_SEARCH_SUGGESTIONS = 20;
+
+// Split highlighted text into [{ text, match }] segments, so clients can mark
+// matches without rendering HTML. Text matched only by substring or
+// similarity has no full-text highlight, so the search text is marked where
+// it appears.
+const highlightSegments = (highlighted, search) => {
+    if (highlighted === null) {
+        return null;
+    }
+    if (!highlighted.includes(HIGHLIGHT_START)) {
+        const index = highlighted.toLowerCase().indexOf(search.toLowerCase());
+        if (index === -1) {
+            return [{ text: highlighted, match: false }];
+        }
+        const end = index + search.length;
+        highlighted = `${highlighted.slice(0, index)}${HIGHLIGHT_START}${highlighted.slice(index, end)}${HIGHLIGHT_STOP}${highlighted.slice(end)}`;
+    }
+
+    const segments = [];
+    for (const part of highlighted.split(HIGHLIGHT_START)) {
+        const [matched, rest] = part.includes(HIGHLIGHT_STOP) ? part.split(HIGHLIGHT_STOP) : [null, part];
+        if (matched) segments.push({ text: matched, match: true });
+        if (rest) segments.push({ text: rest, match: false });
+    }
+    return segments;
+};
+
+// Implement Store Search route (same filters and visibility as GET /api/data/stores)
+// Ranked suggestions for q, best first. Query: q, limit (default 5, max 20)
+// and the stores list filters. Each result carries highlights: name, address
+// and the best matching review excerpt (null when no review matched) as
+// [{ text, match }] segments.
+app.get('/api/data/stores/search', authenticateToken, async (req, res) => {
+    const listQuery = parseListQuery({ search: req.query.q }, STORE_SORT_COLUMNS, 'id');
+    if (!listQuery.search) {
+        return res.status(400).json({ message: 'Search text is required.' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 1), MAX_SEARCH_SUGGESTIONS);
+
+    const storeFilters = parseStoreFilters(req.user, req.query);
+    if (storeFilters.error) {
+        return res.status(400).json({ message: storeFilters.error });
+    }
+
+    try {
+        // $1 to $3 are the highlight query and options
+        const filters = storeListFilters(listQuery, storeFilters, 4);
+        const query = `to_tsquery('${SEARCH_CONFIG}', $1)`;
+        const result = await pool.query(`
+            SELECT s.id, s.name, s.address, s.city, s.status, c.name AS category_name,
+                COALESCE(ra.average_rating, 0) AS average_rating,
+                COALESCE(ra.rating_count, 0) AS rating_count,
+                ${filters.rank} AS rank,
+                ts_headline('${SEARCH_CONFIG}', s.name, ${query}, $2) AS name_highlight,
+                ts_headline('${SEARCH_CONFIG}', s.address, ${query}, $2) AS address_highlight,
+                rv.review_highlight
+            FROM stores s
+            LEFT JOIN categories c ON c.id = s.category_id
+            LEFT JOIN (
+                SELECT store_id, AVG(rating)::float AS average_rating, COUNT(*)::int AS rating_count
+                FROM ratings
+                GROUP BY store_id
+            ) ra ON ra.store_id = s.id
+            LEFT JOIN LATERAL (
+                SELECT ts_headline('${SEARCH_CONFIG}', CONCAT_WS(': ', r.review_title, r.review_body), ${query}, $3) AS review_highlight
+                FROM ratings r
+                WHERE r.store_id = s.id AND r.review_vector @@ ${query}
+                ORDER BY ts_rank(r.review_vector, ${query}) DESC
+                LIMIT 1
+            ) rv ON TRUE
+            ${filters.whereClause}
+            ORDER BY rank DESC, s.id
+            LIMIT $${filters.params.length + 4}
+        `, [searchTsQuery(listQuery.search), FIELD_HIGHLIGHT_OPTIONS, REVIEW_HIGHLIGHT_OPTIONS, ...filters.params, limit]);
+
+        res.json({
+            items: result.rows.map(({ name_highlight, address_highlight, review_highlight, ...store }) => ({
+                ...store,
+                highlights: {
+                    name: highlightSegments(name_highlight, listQuery.search),
+                    address: highlightSegments(address_highlight, listQuery.search),
+                    review: highlightSegments(review_highlight, listQuery.search)
+                }
+            }))
+        });
+    } catch (error) {
+        console.error('Store Search error:', error);
+        res.status(500).json({ message: 'Server error.' });
+    }
+});
+
+
+// Implement Get Store Facets route (same filters and visibility as GET /api/data/stores)
+// Counts of matching stores per category, tag and city, for facet chips and
+// the city filter. Category and city counts ignore their own filter, so every
+// category and city stays selectable; tag counts apply every filter.
+// uncategorized counts stores without a category.
+app.get('/api/data/stores/facets', authenticateToken, async (req, res) => {
+    const listQuery = parseListQuery(req.query, STORE_SORT_COLUMNS, 'id');
+    const storeFilters = parseStoreFilters(req.user, req.query);
+    if (storeFilters.error) {
+        return res.status(400).json({ message: storeFilters.error });
+    }
+
+    try {
+        const categoryFilters = storeListFilters(listQuery, storeFilters, 1, { except: 'category' });
+        const tagFilters = storeListFilters(listQuery, storeFilters, 1);
+        const cityFilters = storeListFilters(listQuery, storeFilters, 1, { except: 'city' });
+        const [categoriesResult, countsResult, tagsResult, citiesResult] = await Promise.all([
+            pool.query('SELECT id, name FROM categories ORDER BY LOWER(name)'),
+            pool.query(`
+                SELECT s.category_id, COUNT(*)::int AS count
+                FROM stores s
+                ${categoryFilters.whereClause}
+                GROUP BY s.category_id
+            `, categoryFilters.params),
+            pool.query(`
+                SELECT t.tag, COUNT(*)::int AS count
+                FROM store_tags t
+                JOIN stores s ON s.id = t.store_id
+                ${tagFilters.whereClause}
+                GROUP BY t.tag
+                ORDER BY count DESC, t.tag
+                LIMIT $${tagFilters.params.length + 1}
+            `, [...tagFilters.params, MAX_TAG_FACETS]),
+            // Cities differing only in case are counted together
+            pool.query(`
+                SELECT MIN(s.city) AS city, COUNT(*)::int AS count
+                FROM stores s
+                ${cityFilters.whereClause ? `${cityFilters.whereClause} AND` : 'WHERE'} s.city IS NOT NULL
+                GROUP BY LOWER(s.city)
+                ORDER BY count DESC, LOWER(s.city)
+                LIMIT $${cityFilters.params.length + 1}
+            `, [...cityFilters.params, MAX_CITY_FACETS])
+        ]);
+
+        const countFor = (categoryId) => (countsResult.rows.find(row => row.category_id === categoryId) || { count: 0 }).count;
+        res.json({
+            categories: categoriesResult.rows.map(category => ({ ...category, count: countFor(category.id) })),
+            uncategorized: countFor(null),
+            tags: tagsResult.rows,
+            cities: citiesResult.rows
+        });
+    } catch (error) {
+        console.error('Get Store Facets error:', error);
+        res.status(500).json({ message: 'Server error.' });
+    }
+});
+
+
+// Implement Get My Stores route (store dashboard)
+// Every store the caller is a member of, inactive ones included, with rating
+// aggregates and the caller's member_role. Empty for accounts without stores.
+app.get('/api/data/my-stores', authenticateToken, async (req, res) => {
+    try {
+        const storesResult = await pool.query(`
+            ${STORE_WITH_RATINGS_SQL}
+            WHERE mm.role IS NOT NULL
+            ORDER BY LOWER(s.name), s.id
+        `, [req.user.id]);
+        res.json(storesResult.rows);
+    } catch (error) {
+        console.error('Get My Stores error:', error);
+        res.status(500).json({ message: 'Server error.' });
+    }
+});
+
+
+// Implement Get Single Store route (used by the store owner dashboard)
+app.get('/api/data/stores/:storeId', authenticateToken, async (req, res) => {
+    const storeId = parseId(req.params.storeId);
+    if (storeId === null) {
+        return res.status(400).json({ message: 'Invalid store ID' });
+    }
+
+    try {
+        const storeResult = await pool.query(
+            `${STORE_WITH_RATINGS_SQL} WHERE s.id = $2`,
+            [req.user.id, storeId]
+        );
+
+        const store = storeResult.rows[0];
+        const canSeeInactive = hasPermission(req.user, 'stores:write') || (store && store.member_role);
+        if (!store || (store.status !== 'active' && !canSeeInactive)) {
+            return res.status(404).json({ message: 'Store not found' });
+        }
+
+        res.json(store);
+    } catch (error) {
+        console.error('Get Store error:', error);
+        res.status(500).json({ message: 'Server error.' });
+    }
+});
+
+
+// Sort keys accepted by GET /api/data/stores/:storeId/reviews
+const REVIEW_SORT_COLUMNS = {
+    date: 'r.updated_at',
+    rating: 'r.rating'
+};
+
+// Implement Get Store Reviews route (Authenticated)
+// Public view of the written reviews for one store: reviewer names only, no
+// emails. Inactive stores are visible to stores:write and their members only.
+// Query: page, pageSize, sortBy (date/rating), sortOrder (defaults to newest first)
+app.get('/api/data/stores/:storeId/reviews', authenticateToken, async (req, res) => {
+    const storeId = parseId(req.params.storeId);
+    if (storeId === null) {
+        return res.status(400).json({ message: 'Invalid store ID' });
+    }
+
+    const listQuery = parseListQuery({ sortBy: 'date', sortOrder: 'desc', ...req.query }, REVIEW_SORT_COLUMNS, 'date');
+
+    try {
+        const storeResult = await pool.query('SELECT status FROM stores WHERE id = $1', [storeId]);
+        const store = storeResult.rows[0];
+        const canSeeInactive = hasPermission(req.user, 'stores:write') || Boolean(await storeMemberRole(req.user.id, storeId));
+        if (!store || (store.status !== 'active' && !canSeeInactive)) {
+            return res.status(404).json({ message: 'Store not found' });
+        }
+
+        const whereClause = 'WHERE r.store_id = $1 AND (r.review_title IS NOT NULL OR r.review_body IS NOT NULL)';
+
+        const countResult = await pool.query(`SELECT COUNT(*) AS total FROM ratings r ${whereClause}`, [storeId]);
+
+        const reviewsResult = await pool.query(`
+            SELECT
+                r.id, r.rating, r.review_title, r.review_body, r.updated_at, u.name AS reviewer_name,
+                rr.body AS reply_body, rr.updated_at AS reply_updated_at
+            FROM ratings r
+            JOIN users u ON r.user_id = u.id
+            LEFT JOIN rating_replies rr ON rr.rating_id = r.id
+            ${whereClause}
+            ORDER BY ${listQuery.sortColumn} ${listQuery.sortDirection}, r.id
+            LIMIT $2 OFFSET $3
+        `, [storeId, listQuery.pageSize, listQuery.offset]);
+
+        res.json(paginated(reviewsResult.rows, parseInt(countResult.rows[0].total, 10), listQuery));
+    } catch (error) {
+        console.error('Get Store Reviews error:', error);
+        res.status(500).json({ message: 'Server error.' });
+    }
+});
+
+
+// Implement Dashboard Stats route (analytics:read)
+app.get('/api/data/stats', authenticateToken, requirePermission('analytics:read'), async (req, res) => {
+    try {
+        const statsResult = await pool.query(`
+            SELECT
+                (SELECT COUNT(*) FROM users)::int AS total_users,
+                (SELECT COUNT(*) FROM stores)::int AS total_stores,
+                (SELECT COUNT(*) FROM ratings)::int AS total_ratings
+        `);
+        res.json(statsResult.rows[0]);
+    } catch (error) {
+        console.error('Get Stats error:', error);
+        res.status(500).json({ message: 'Server error.' });
+    }
+});
+
+
+// Build the permission-based WHERE clause shared by the rating read routes.
+// ratings:read sees every row, store members only rows for the stores they
+// belong to and everyone else only their own rows. An optional storeId query
+// narrows it to one store. Returns null when storeId is not a valid ID.
+const ratingScope = (user, query, alias) => {
+    const conditions = [];
+    const params = [];
+
+    if (!hasPermission(user, 'ratings:read')) {
+        params.push(user.id);
+        const userParam = `$${params.length}`;
+        conditions.push(`CASE WHEN EXISTS (SELECT 1 FROM store_members WHERE user_id = ${userParam})
+            THEN ${alias}.store_id IN (SELECT store_id FROM store_members WHERE user_id = ${userParam})
+            ELSE ${alias}.user_id = ${userParam} END`);
+    }
+
+    if (query.storeId !== undefined) {
+        const storeId = parseId(query.storeId);
+        if (storeId === null) return null;
+        params.push(storeId);
+        conditions.push(`${alias}.store_id = $${params.length}`);
+    }
+
+    return {
+        whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+};
+
+// --- ANALYTICS ---
+
+const ANALYTICS_INTERVALS = ['day', 'week'];
+const DEFAULT_MIN_RATINGS = 3;
+const ANALYTICS_LIMIT = 5;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parse a from/to date range. Both are inclusive YYYY-MM-DD dates and
+// optional. Returns { error } when the input is invalid.
+const parseDateRange = (query) => {
+    const { from, to } = query;
+    for (const value of [from, to]) {
+        // The round trip rejects dates that don't exist, like 2025-02-30
+        if (value !== undefined && value !== '' && (!DATE_PATTERN.test(value) || isNaN(Date.parse(value))
+            || new Date(value).toISOString().slice(0, 10) !== value)) {
+            return { error: 'Dates must use the YYYY-MM-DD format' };
+        }
+    }
+    if (from && to && from > to) {
+        return { error: 'The start date must be on or before the end date' };
+    }
+    return { from: from || null, to: to || null };
+};
+
+// Parse the analytics query: a date range plus the options below.
+// Returns { error } when the input is invalid.
+const parseAnalyticsQuery = (query) => {
+    const range = parseDateRange(query);
+    if (range.error) {
+        return range;
+    }
+
+    const interval = query.interval || 'day';
+    if (!ANALYTICS_INTERVALS.includes(interval)) {
+        return { error: 'Interval must be day or week' };
+    }
+
+    const minRatings = query.minRatings === undefined ? DEFAULT_MIN_RATINGS : parseInt(query.minRatings, 10);
+    if (isNaN(minRatings) || minRatings < 1) {
+        return { error: 'Minimum rating count must be a positive number' };
+    }
+
+    return { ...range, interval, minRatings };
+};
+
+// Date range condition on a created_at column. $1 is the start date and $2 the
+// end date; a NULL bound is open.
+const createdBetween = (column) =>
+    `($1::date IS NULL OR ${column} >= $1::date) AND ($2::date IS NULL OR ${column} < $2::date + 1)`;
+
+// Implement Analytics route (analytics:read)
+// Query: from, to (YYYY-MM-DD, inclusive), interval (day/week),
+// minRatings (ratings a store needs to rank in the top/bottom lists)
+app.get('/api/data/analytics', authenticateToken, requirePermission('analytics:read'), async (req, res) => {
+    const options = parseAnalyticsQuery(req.query);
+    if (options.error) {
+        return res.status(400).json({ message: options.error });
+    }
+    const range = [options.from, options.to];
+
+    try {
+        const [signupsResult, ratingsResult, distributionResult, rankedResult, ratersResult] = await Promise.all([
+            pool.query(`
+                SELECT TO_CHAR(DATE_TRUNC($3, created_at), 'YYYY-MM-DD') AS period, COUNT(*)::int AS count
+                FROM users
+                WHERE ${createdBetween('created_at')}
+                GROUP BY period
+                ORDER BY period
+            `, [...range, options.interval]),
+            pool.query(`
+                SELECT TO_CHAR(DATE_TRUNC($3, created_at), 'YYYY-MM-DD') AS period, COUNT(*)::int AS count
+                FROM ratings
+                WHERE ${createdBetween('created_at')}
+                GROUP BY period
+                ORDER BY period
+            `, [...range, options.interval]),
+            pool.query(`
+                SELECT s.id AS store_id, s.name, r.rating, COUNT(*)::int AS count
+                FROM ratings r
+                JOIN stores s ON r.store_id = s.id
+                WHERE ${createdBetween('r.created_at')}
+                GROUP BY s.id, s.name, r.rating
+                ORDER BY s.name, s.id
+            `, range),
+            pool.query(`
+                SELECT s.id, s.name, s.status, AVG(r.rating)::float AS average_rating, COUNT(*)::int AS rating_count
+                FROM ratings r
+                JOIN stores s ON r.store_id = s.id
+                WHERE ${createdBetween('r.created_at')}
+                GROUP BY s.id
+                HAVING COUNT(*) >= $3
+            `, [...range, options.minRatings]),
+            pool.query(`
+                SELECT u.id, u.name, u.email, COUNT(*)::int AS rating_count
+                FROM ratings r
+                JOIN users u ON r.user_id = u.id
+                WHERE ${createdBetween('r.created_at')}
+                GROUP BY u.id
+                ORDER BY rating_count DESC, u.name
+                LIMIT $3
+            `, [...range, ANALYTICS_LIMIT])
+        ]);
+
+        // Star counts keyed 1-5, overall and per store
+        const emptyDistribution = () => ({ 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 });
+        const overall = emptyDistribution();
+        const perStore = new Map();
+        for (const row of distributionResult.rows) {
+            if (!perStore.has(row.store_id)) {
+                perStore.set(row.store_id, { store_id: row.store_id, name: row.name, counts: emptyDistribution(), total: 0 });
+            }
+            const store = perStore.get(row.store_id);
+            store.counts[row.rating] = row.count;
+            store.total += row.count;
+            overall[row.rating] += row.count;
+        }
+
+        const byAverage = (a, b) => b.average_rating - a.average_rating || b.rating_count - a.rating_count;
+        const ranked = [...rankedResult.rows].sort(byAverage);
+
+        res.json({
+            range: { from: options.from, to: options.to, interval: options.interval, minRatings: options.minRatings },
+            signups: signupsResult.rows,
+            ratings: ratingsResult.rows,
+            starDistribution: { overall, stores: [...perStore.values()] },
+            topStores: ranked.slice(0, ANALYTICS_LIMIT),
+            bottomStores: ranked.slice(-ANALYTICS_LIMIT).reverse(),
+            topRaters: ratersResult.rows
+        });
+    } catch (error) {
+        console.error('Get Analytics error:', error);
+        res.status(500).json({ message: 'Server error.' });
+    }
+});
+
+
+// Ratings with their store name, rater email and store reply; filter with
+// ratingScope on alias r
+const RATING_WITH_REPLY_SQL = `
+    SELECT
+        r.id, r.user_id, r.store_id, s.name AS store_name, r.rating, r.review_title, r.review_body, r.updated_at, u.email AS user_email,
+        rr.body AS reply_body, rr.updated_at AS reply_updated_at
+    FROM ratings r
+    JOIN users u ON r.user_id = u.id
+    JOIN stores s ON r.store_id = s.id
+    LEFT JOIN rating_replies rr ON rr.rating_id = r.id
+`;
+
+// Implement Get Ratings route (Authenticated, scoped by role)
+// Query: storeId (optional) limits the list to one store's ratings
+app.get('/api/data/ratings', authenticateToken, async (req, res) => {
+    const scope = ratingScope(req.user, req.query, 'r');
+    if (!scope) {
+        return res.status(400).json({ message: 'Invalid store ID' });
+    }
+    const { whereClause, params } = scope;
+
+    try {
+        const ratingsResult = await pool.query(`
+            ${RATING_WITH_REPLY_SQL}
+            ${whereClause}
+            ORDER BY r.id
+        `, params);
+        res.json(ratingsResult.rows);
+    } catch (error) {
+        console.error('Get Ratings error:', error);
+        res.status(500).json({ message: 'Server error.' });
+    }
+});
+
+
+// Implement Get Rating History route (Authenticated, scoped like /api/data/ratings)
+// Every submission, edit and withdrawal, newest first.
+// Query: storeId (optional), page, pageSize
+app.get('/api/data/ratings/history', authenticateToken, async (req, res) => {
+    const scope = ratingScope(req.user, req.query, 'h');
+    if (!scope) {
+        return res.status(400).json({ message: 'Invalid store ID' });
+    }
+    const { whereClause, params } = scope;
+    const listQuery = parseListQuery(req.query, {}, null);
+
+    try {
+        const countResult = await pool.query(`SELECT COUNT(*) AS total FROM rating_history h ${whereClause}`, params);
+
+        const historyResult = await pool.query(`
+            SELECT
+                h.id, h.user_id, h.store_id, h.rating, h.review_title, h.review_body, h.action, h.created_at,
+                u.email AS user_email, s.name AS store_name
+            FROM rating_history h
+            JOIN users u ON h.user_id = u.id
+            JOIN stores s ON h.store_id = s.id
+            ${whereClause}
+            ORDER BY h.created_at DESC, h.id DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, listQuery.pageSize, listQuery.offset]);
+
+        res.json(paginated(historyResult.rows, parseInt(countResult.rows[0].total, 10), listQuery));
+    } catch (error) {
+        console.error('Get Rating History error:', error);
+        res.status(500).json({ message: 'Server error.' });
+    }
+});
+
+
+// Implement Store Score History route (ratings:read, or a member of the store)
+// Replays the rating history to give the store's average and rating count at
+// the end of each day on which its ratings changed, oldest first.
+app.get('/api/data/stores/:storeId/score-history', authenticateToken, async (req, res) => {
+    const storeId = parseId(req.params.storeId);
+    if (storeId === null) {
+        return res.status(400).json({ message: 'Invalid store ID' });
+    }
+
+    try {
+        const storeResult = await pool.query('SELECT id FROM stores WHERE id = $1', [storeId]);
+        const store = storeResult.rows[0];
+        if (!store || (!hasPermission(req.user, 'ratings:read') && !(await storeMemberRole(req.user.id, storeId)))) {
+            return res.status(404).json({ message: 'Store not found' });
+        }
+
+        const historyResult = await pool.query(`
+            SELECT user_id, rating, action, TO_CHAR(created_at, 'YYYY-MM-DD') AS day
+            FROM rating_history
+            WHERE store_id = $1
+            ORDER BY created_at, id
+        `, [storeId]);
+
+        // Current rating per user as the history is replayed
+        const current = new Map();
+        const points = [];
+        for (const entry of historyResult.rows) {
+            if (entry.action === 'withdrawn' || entry.action === 'removed') {
+                current.delete(entry.user_id);
+            } else {
+                current.set(entry.user_id, entry.rating);
+            }
+
+            const ratings = [...current.values()];
+            const point = {
+                date: entry.day,
+                average_rating: ratings.length > 0 ? ratings.reduce((sum, value) => sum + value, 0) / ratings.length : 0,
+                rating_count: ratings.length
+            };
+            if (points.length > 0 && points[points.length - 1].date === entry.day) {
+                points[points.length - 1] = point;
+            } else {
+                points.push(point);
+            }
+        }
+
+        res.json({ storeId, points });
+    } catch (error) {
+        console.error('Get Score History error:', error);
+        res.status(500).json({ message: 'Server error.' });
+    }
+});
+
+
+// --- EXPORTS ---
+// The stores, users and ratings lists as CSV, JSON or a printable HTML report
+// (the browser's print dialog saves it as PDF). Exports take the same filters
+// and sort keys as the list routes, without paging. Rows are read in batches
+// from one snapshot and streamed, so large tables never sit in memory.
+
+const EXPORT_FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    html: 'text/html; charset=utf-8'
+};
+const EXPORT_BATCH_SIZE = 500;
+// Query keys that describe the dataset rather than how it is delivered
+const EXPORT_IGNORED_KEYS = ['format', 'page', 'pageSize'];
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]
+));
+
+// Writers produce the text for the start of the file, each row and the end.
+// report is { title, generatedAt, filters, summary, columns }; columns and
+// summary items are { key, label } (summary items also have a value).
+const EXPORT_WRITERS = {
+    csv: {
+        start: (report) => csv.formatRow(report.columns.map(column => column.label)),
+        row: (report, row) => csv.formatRow(report.columns.map(column => row[column.key])),
+        end: () => ''
+    },
+    json: {
+        start: (report) => `{"title":${JSON.stringify(report.title)},"generatedAt":${JSON.stringify(report.generatedAt)},`
+            + `"filters":${JSON.stringify(report.filters)},`
+            + `"summary":${JSON.stringify(Object.fromEntries(report.summary.map(item => [item.key, item.value])))},"items":[`,
+        row: (report, row, index) => `${index > 0 ? ',' : ''}\n${JSON.stringify(Object.fromEntries(report.columns.map(column => [column.key, row[column.key] ?? null])))}`,
+        end: () => '\n]}\n'
+    },
+    html: {
+        start: (report) => `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(report.title)}</title>
+<style>
+body { font-family: sans-serif; margin: 24px; color: #1f2937; }
+h1 { margin-bottom: 4px; }
+.meta { color: #6b7280; font-size: 13px; }
+table { border-collapse: collapse; width: 100%; margin-top: 16px; font-size: 13px; }
+th, td { border: 1px solid #d1d5db; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f3f4f6; }
+.summary { width: auto; }
+thead { display: table-header-group; }
+tr { page-break-inside: avoid; }
+@media print { .no-print { display: none; } body { margin: 0; } }
+</style></head><body>
+<button class="no-print" onclick="window.print()">Print or save as PDF</button>
+<h1>${escapeHtml(report.title)}</h1>
+<p class="meta">Generated ${escapeHtml(new Date(report.generatedAt).toUTCString())}${Object.keys(report.filters).length > 0
+    ? ` &middot; ${Object.entries(report.filters).map(([key, value]) => `${escapeHtml(key)}: ${escapeHtml(value)}`).join(', ')}`
+    : ''}</p>
+<table class="summary"><tbody>
+${report.summary.map(item => `<tr><th>${escapeHtml(item.label)}</th><td>${escapeHtml(item.value ?? '-')}</td></tr>`).join('\n')}
+</tbody></table>
+<table><thead><tr>${report.columns.map(column => `<th>${escapeHtml(column.label)}</th>`).join('')}</tr></thead><tbody>
+`,
+        row: (report, row) => `<tr>${report.columns.map(column => `<td>${escapeHtml(row[column.key])}</td>`).join('')}</tr>\n`,
+        end: () => '</tbody></table>\n</body></html>\n'
+    }
+};
+
+// Write a chunk, waiting for the client to catch up when its buffer is full.
+// Rejects if the client goes away, so the export stops reading.
+const writeChunk = (res, chunk) => new Promise((resolve, reject) => {
+    if (res.destroyed) {
+        return reject(new Error('The client closed the connection'));
+    }
+    if (chunk === '' || res.write(chunk)) {
+        return resolve();
+    }
+    const onDrain = () => {
+        res.off('close', onClose);
+        resolve();
+    };
+    const onClose = () => {
+        res.off('drain', onDrain);
+        reject(new Error('The client closed the connection'));
+    };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+});
+
+// Stream one export. summary(client) returns the summary items and
+// fetchBatch(client, limit, offset) the next rows, already shaped for columns.
+const streamExport = async (req, res, { name, title, columns, summary, fetchBatch }) => {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({ message: 'Format must be csv, json or html.' });
+    }
+    const writer = EXPORT_WRITERS[format];
+
+    const client = await pool.connect();
+    try {
+        // A read-only snapshot, so rows can't shift between batches
+        await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+
+        const generatedAt = new Date().toISOString();
+        const report = {
+            title,
+            generatedAt,
+            filters: Object.fromEntries(Object.entries(req.query)
+                .filter(([key, value]) => !EXPORT_IGNORED_KEYS.includes(key) && value !== '')),
+            summary: await summary(client),
+            columns
+        };
+
+        res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+        res.setHeader('Content-Disposition', `${format === 'html' ? 'inline' : 'attachment'}; filename="${name}-${generatedAt.slice(0, 10)}.${format}"`);
+        await writeChunk(res, writer.start(report));
+
+        let index = 0;
+        for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+            const rows = await fetchBatch(client, EXPORT_BATCH_SIZE, offset);
+            for (const row of rows) {
+                await writeChunk(res, writer.row(report, row, index++));
+            }
+            if (rows.length < EXPORT_BATCH_SIZE) break;
+        }
+
+        await writeChunk(res, writer.end(report));
+        await client.query('COMMIT');
+        res.end();
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Export error:', error);
+        // Once rows are on their way the status can't change, so cut the file short
+        if (res.headersSent) {
+            res.destroy();
+        } else {
+            res.status(500).json({ message: 'Server error exporting data.' });
+        }
+    } finally {
+        client.release();
+    }
+};
+
+const roundRating = (value) => value === null || value === undefined ? null : Math.round(value * 100) / 100;
+
+// Implement Export Stores (same visibility as GET /api/data/stores)
+// Query: format (csv, json or html), search, status (stores:write only),
+// category, tags, minRating, city, latitude, longitude, radius, sortBy,
+// sortOrder. With an origin the export gains a distance column.
+app.get('/api/export/stores', authenticateToken, async (req, res) => {
+    const listQuery = parseListQuery(req.query, STORE_SORT_COLUMNS, 'id');
+    const storeFilters = parseStoreFilters(req.user, req.query);
+    if (storeFilters.error) {
+        return res.status(400).json({ message: storeFilters.error });
+    }
+
+    // $1 is reserved for the caller's id in STORE_WITH_RATINGS_SQL. Both
+    // queries select the distance, so they can share the origin placeholders.
+    const filters = storeListFilters(listQuery, storeFilters, 2, { withDistance: true });
+    const params = [req.user.id, ...filters.params];
+    const storesSql = storeWithRatingsSql(storeListColumns(filters));
+
+    await streamExport(req, res, {
+        name: 'stores',
+        title: 'Stores',
+        columns: [
+            { key: 'id', label: 'ID' },
+            { key: 'name', label: 'Name' },
+            { key: 'email', label: 'Email' },
+            { key: 'address', label: 'Address' },
+            { key: 'city', label: 'City' },
+            { key: 'postalCode', label: 'Postal Code' },
+            { key: 'country', label: 'Country' },
+            { key: 'latitude', label: 'Latitude' },
+            { key: 'longitude', label: 'Longitude' },
+            ...(filters.distance ? [{ key: 'distanceKm', label: 'Distance (km)' }] : []),
+            { key: 'category', label: 'Category' },
+            { key: 'tags', label: 'Tags' },
+            { key: 'status', label: 'Status' },
+            { key: 'averageRating', label: 'Average Rating' },
+            { key: 'ratingCount', label: 'Ratings' }
+        ],
+        summary: async (client) => {
+            const result = await client.query(`
+                SELECT COUNT(*)::int AS store_count,
+                       COALESCE(SUM(rating_count), 0)::int AS rating_count,
+                       SUM(average_rating * rating_count) / NULLIF(SUM(rating_count), 0) AS average_rating
+                FROM (${storesSql} ${filters.whereClause}) filtered
+            `, params);
+            const totals = result.rows[0];
+            return [
+                { key: 'stores', label: 'Stores', value: totals.store_count },
+                { key: 'ratings', label: 'Ratings', value: totals.rating_count },
+                { key: 'averageRating', label: 'Average rating (all ratings)', value: roundRating(totals.average_rating) }
+            ];
+        },
+        fetchBatch: async (client, limit, offset) => {
+            const result = await client.query(`
+                ${storesSql}
+                ${filters.whereClause}
+                ORDER BY ${storeOrderBy(listQuery, filters, req.query.sortBy)}
+                LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+            `, [...params, limit, offset]);
+            return result.rows.map(row => ({
+                id: row.id,
+                name: row.name,
+                email: row.email,
+                address: row.address,
+                city: row.city,
+                postalCode: row.postal_code,
+                country: row.country,
+                latitude: row.latitude,
+                longitude: row.longitude,
+                ...(filters.distance ? { distanceKm: row.distance_km === null ? null : Math.round(row.distance_km * 10) / 10 } : {}),
+                category: row.category_name,
+                tags: row.tags.join(', '),
+                status: row.status,
+                averageRating: roundRating(row.average_rating),
+                ratingCount: row.rating_count
+            }));
+        }
+    });
+});
+
+// Implement Export Users (users:read)
+// Query: format (csv, json or html), search, role, status, sortBy, sortOrder
+app.get('/api/export/users', authenticateToken, requirePermission('users:read'), async (req, res) => {
+    const listQuery = parseListQuery(req.query, USER_SORT_COLUMNS, 'id');
+    const filters = userListFilters(listQuery, req.query);
+    if (filters.error) {
+        return res.status(400).json({ message: filters.error });
+    }
+    const { whereClause, params } = filters;
+
+    await streamExport(req, res, {
+        name: 'users',
+        title: 'Users',
+        columns: [
+            { key: 'id', label: 'ID' },
+            { key: 'name', label: 'Name' },
+            { key: 'email', label: 'Email' },
+            { key: 'address', label: 'Address' },
+            { key: 'city', label: 'City' },
+            { key: 'postalCode', label: 'Postal Code' },
+            { key: 'country', label: 'Country' },
+            { key: 'role', label: 'Role' },
+            { key: 'status', label: 'Status' },
+            { key: 'storeCount', label: 'Stores' },
+            { key: 'storeRating', label: 'Store Rating' },
+            { key: 'twoFactorEnabled', label: 'Two-Factor' }
+        ],
+        summary: async (client) => {
+            const result = await client.query(`
+                SELECT COUNT(*)::int AS user_count,
+                       COUNT(*) FILTER (WHERE store_count > 0)::int AS member_count,
+                       AVG(store_rating)::float AS average_store_rating
+                FROM (${USER_WITH_STORES_SQL} ${whereClause}) filtered
+            `, params);
+            const totals = result.rows[0];
+            return [
+                { key: 'users', label: 'Users', value: totals.user_count },
+                { key: 'storeMembers', label: 'With stores', value: totals.member_count },
+                { key: 'averageStoreRating', label: 'Average store rating (per account)', value: roundRating(totals.average_store_rating) }
+            ];
+        },
+        fetchBatch: async (client, limit, offset) => {
+            const result = await client.query(`
+                ${USER_WITH_STORES_SQL}
+                ${whereClause}
+                ORDER BY ${listQuery.sortColumn} ${listQuery.sortDirection}, u.id
+                LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+            `, [...params, limit, offset]);
+            return result.rows.map(row => ({
+                id: row.id,
+                name: row.name,
+                email: row.email,
+                address: row.address,
+                city: row.city,
+                postalCode: row.postal_code,
+                country: row.country,
+                role: row.role,
+                status: row.status,
+                storeCount: row.store_count || 0,
+                storeRating: row.store_count ? roundRating(row.store_rating || 0) : null,
+                twoFactorEnabled: row.totp_enabled
+            }));
+        }
+    });
+});
+
+// Implement Export Ratings (scoped like GET /api/data/ratings)
+// Query: format (csv, json or html), storeId (optional)
+app.get('/api/export/ratings', authenticateToken, async (req, res) => {
+    const scope = ratingScope(req.user, req.query, 'r');
+    if (!scope) {
+        return res.status(400).json({ message: 'Invalid store ID' });
+    }
+    const { whereClause, params } = scope;
+
+    await streamExport(req, res, {
+        name: 'ratings',
+        title: 'Ratings',
+        columns: [
+            { key: 'id', label: 'ID' },
+            { key: 'storeName', label: 'Store' },
+            { key: 'userEmail', label: 'User Email' },
+            { key: 'rating', label: 'Rating' },
+            { key: 'reviewTitle', label: 'Review Title' },
+            { key: 'reviewBody', label: 'Review' },
+            { key: 'replyBody', label: 'Store Reply' },
+            { key: 'updatedAt', label: 'Updated' }
+        ],
+        summary: async (client) => {
+            const result = await client.query(`
+                SELECT COUNT(*)::int AS rating_count, AVG(r.rating)::float AS average_rating,
+                       ${[1, 2, 3, 4, 5].map(stars => `COUNT(*) FILTER (WHERE r.rating = ${stars})::int AS stars_${stars}`).join(', ')}
+                FROM ratings r
+                ${whereClause}
+            `, params);
+            const totals = result.rows[0];
+            return [
+                { key: 'ratings', label: 'Ratings', value: totals.rating_count },
+                { key: 'averageRating', label: 'Average rating', value: roundRating(totals.average_rating) },
+                ...[5, 4, 3, 2, 1].map(stars => ({ key: `stars${stars}`, label: `${stars}-star ratings`, value: totals[`stars_${stars}`] }))
+            ];
+        },
+        fetchBatch: async (client, limit, offset) => {
+            const result = await client.query(`
+                ${RATING_WITH_REPLY_SQL}
+                ${whereClause}
+                ORDER BY r.id
+                LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+            `, [...params, limit, offset]);
+            return result.rows.map(row => ({
+                id: row.id,
+                storeName: row.store_name,
+                userEmail: row.user_email,
+                rating: row.rating,
+                reviewTitle: row.review_title,
+                reviewBody: row.review_body,
+                replyBody: row.reply_body,
+                updatedAt: row.updated_at.toISOString()
+            }));
+        }
+    });
+});
+
+
+// --- ADMIN CREATE HELPERS ---
+// Shared by the Add User/Add Store routes and the bulk imports, so every path
+// applies the same checks. The insert helpers run inside the caller's
+// transaction and return { error } when a record is refused.
+
+// Field checks for an admin-created user; a missing password is allowed when
+// the caller generates a one-time one
+const adminUserFieldsError = ({ name, email, address, password, role }, { passwordRequired = true } = {}) =>
+    validate.name(name) || validate.email(email) || validate.address(address)
+    || ((passwordRequired || password) ? validate.password(password) : null)
+    || (!role ? 'Role is required' : null);
+
+const storeFieldsError = ({ name, email, address }) =>
+    validate.name(name) || validate.email(email) || validate.address(address);
+
+// The admin chose (or generated) this password, so the user has to replace it
+// at first login
+// Address fields come from parseAddressFields.
+const insertAdminUser = async (client, req, { name, email, address, street = null, city = null, postalCode = null, country = null, role }, passwordHash) => {
+    const roleError = await checkAssignableRole(role, req.user, client);
+    if (roleError) {
+        return { error: roleError };
+    }
+
+    const existing = await client.query('SELECT 1 FROM users WHERE email = $1', [email]);
+    if (existing.rows.length > 0) {
+        return { error: 'Email already exists' };
+    }
+
+    const result = await client.query(
+        `INSERT INTO users (name, email, password, address, street, city, postal_code, country, role, must_change_password)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, TRUE)
+         RETURNING id, name, email, address, street, city, postal_code, country, role, status`,
+        [name, email, passwordHash, address, street, city, postalCode, country, role]
+    );
+    const created = result.rows[0];
+    await recordAudit(client, req, 'user.create', { targetType: 'user', targetId: created.id, after: userAuditState(created) });
+    return { user: created };
+};
+
+// Creates a store owned by ownerId, an existing normal user or store owner.
+// Without ownerId a new owner account is created with the store's email and
+// ownerPasswordHash, who gets the store's address. Address fields and the
+// location come from parseAddressFields, categoryId and tags from
+// parseStoreClassification. Returns { storeId, ownerId }.
+const insertStoreWithOwner = async (client, req, store, ownerId, ownerPasswordHash) => {
+    const { name, email, address, categoryId = null, tags = [] } = store;
+    const { street = null, city = null, postalCode = null, country = null, latitude = null, longitude = null } = store;
+    const existingStore = await client.query('SELECT 1 FROM stores WHERE email = $1', [email]);
+    if (existingStore.rows.length > 0) {
+        return { error: 'Email already exists for another store.' };
+    }
+
+    // 1. Create the store owner user, or check the existing one
+    if (ownerId === null) {
+        const existingUser = await client.query('SELECT 1 FROM users WHERE email = $1', [email]);
+        if (existingUser.rows.length > 0) {
+            return { error: 'Email already exists for a user/owner.' };
+        }
+        const ownerResult = await client.query(
+            `INSERT INTO users (name, email, password, address, street, city, postal_code, country, role, must_change_password)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, TRUE)
+             RETURNING id, name, email, address, street, city, postal_code, country, role, status`,
+            [`${name} Owner`, email, ownerPasswordHash, address, street, city, postalCode, country, 'store_owner']
+        );
+        ownerId = ownerResult.rows[0].id;
+        await recordAudit(client, req, 'user.create', { targetType: 'user', targetId: ownerId, after: userAuditState(ownerResult.rows[0]) });
+    } else {
+        const ownerResult = await client.query('SELECT role FROM users WHERE id = $1 FOR UPDATE', [ownerId]);
+        if (ownerResult.rows.length === 0) {
+            return { error: 'Owner not found' };
+        }
+        if (!['user', 'store_owner'].includes(ownerResult.rows[0].role)) {
+            return { error: 'The owner must be a normal user or a store owner.' };
+        }
+    }
+
+    // 2. Create the store
+    const storeResult = await client.query(
+        `INSERT INTO stores (name, email, address, street, city, postal_code, country, latitude, longitude, category_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING id, name, email, address, street, city, postal_code, country, latitude, longitude, status, category_id`,
+        [name, email, address, street, city, postalCode, country, latitude, longitude, categoryId]
+    );
+    const storeId = storeResult.rows[0].id;
+    await setStoreTags(storeId, tags, client);
+
+    // 3. Make them its owner
+    await client.query("INSERT INTO store_members (store_id, user_id, role) VALUES ($1, $2, 'owner')", [storeId, ownerId]);
+    await syncStoreOwnerRoles([ownerId], client);
+    await recordAudit(client, req, 'store.create', {
+        targetType: 'store',
+        targetId: storeId,
+        after: { ...storeAuditState(storeResult.rows[0], tags), owner_id: ownerId }
+    });
+    return { storeId, ownerId };
+};
+
+// The one-time password reaches a new account by email too. A failed send
+// is logged; the admin still has the password from the response.
+const sendAccountInvitation = async (email, { subject, intro }, temporaryPassword) => {
+    try {
+        await mailer.send({
+            to: email,
+            subject,
+            text: `${intro}\n\n`
+                + `Log in at ${APP_URL} with this email address and the one-time password below.\n`
+                + `You will be asked to choose your own password straight away.\n\n`
+                + `One-time password: ${temporaryPassword}\n`
+        });
+    } catch (mailError) {
+        console.error('Account invitation email error:', mailError);
+    }
+};
+
+const storeOwnerInvitation = (storeName) => ({
+    subject: 'Your Rating Platform store owner account',
+    intro: `An administrator registered ${storeName} on the Rating Platform.`
+});
+const USER_INVITATION = {
+    subject: 'Your Rating Platform account',
+    intro: 'An administrator created a Rating Platform account for you.'
+};
+
+
+// Implement Add User (users:write)
+// The address is either a one-line address or street, city, postalCode
+// (optional) and country (see parseAddress).
+app.post('/api/admin/users', authenticateToken, requirePermission('users:write'), async (req, res) => {
+    const user = parseAddressFields(req.body);
+    const fieldError = user.error || adminUserFieldsError(user);
+    if (fieldError) {
+        return res.status(400).json({ message: fieldError });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const hashedPassword = await bcrypt.hash(user.password, SALT_ROUNDS);
+        const result = await insertAdminUser(client, req, user, hashedPassword);
+        if (result.error) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: result.error });
+        }
+
+        await client.query('COMMIT');
+        res.status(201).json({ message: 'User added successfully', userId: result.user.id });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Add User error:', error);
+        res.status(500).json({ message: 'Server error adding user.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+// Implement Add Store (stores:write - creates the store and, unless ownerId
+// names an existing account, its owner)
+// Pass ownerId to add another location for a normal user or store owner;
+// otherwise a new owner account is created with the store's email. The
+// address works as for users; latitude and longitude (together), categoryId
+// and tags (an array or comma-separated list) are optional.
+app.post('/api/admin/stores', authenticateToken, requirePermission('stores:write'), async (req, res) => {
+    const { name, email } = req.body;
+
+    const store = parseAddressFields(req.body, { location: true });
+    const fieldError = store.error || storeFieldsError(store);
+    if (fieldError) {
+        return res.status(400).json({ message: fieldError });
+    }
+
+    let existingOwnerId = null;
+    if (req.body.ownerId !== undefined && req.body.ownerId !== null && req.body.ownerId !== '') {
+        existingOwnerId = parseId(req.body.ownerId);
+        if (existingOwnerId === null) {
+            return res.status(400).json({ message: 'Invalid owner ID' });
+        }
+    }
+    
+    // Each new owner gets their own one-time password instead of a shared default
+    const temporaryPassword = existingOwnerId === null ? generateOneTimePassword() : null;
+    
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const classification = await parseStoreClassification(req.body, client);
+        if (classification.error) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: classification.error });
+        }
+
+        const hashedPassword = temporaryPassword && await bcrypt.hash(temporaryPassword, SALT_ROUNDS);
+        const result = await insertStoreWithOwner(client, req, { ...store, ...classification }, existingOwnerId, hashedPassword);
+        if (result.error) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: result.error });
+        }
+        const { storeId, ownerId } = result;
+
+        await client.query('COMMIT');
+
+        if (existingOwnerId !== null) {
+            return res.status(201).json({ message: 'Store added successfully', storeId, ownerId });
+        }
+
+        // The admin sees the password once in the response; the owner gets it by email too
+        await sendAccountInvitation(email, storeOwnerInvitation(name), temporaryPassword);
+
+        res.status(201).json({ message: 'Store and Owner added successfully', storeId, ownerId, temporaryPassword });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Add Store/Owner error:', error);
+        if (error.code === '23505') { // Unique violation error code
+            return res.status(400).json({ message: 'Email already exists for a user/owner.' });
+        }
+        res.status(500).json({ message: 'Server error adding store/owner.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+// --- BULK IMPORT ---
+
+const MAX_IMPORT_ROWS = 500;
+
+// Columns each import accepts. Headers (CSV) and keys (JSON) are matched
+// ignoring case, spaces, dashes and underscores, so "Owner Email" works too.
+const IMPORT_COLUMNS = {
+    users: ['name', 'email', 'address', 'street', 'city', 'postalCode', 'country', 'password', 'role'],
+    stores: ['name', 'email', 'address', 'street', 'city', 'postalCode', 'country', 'latitude', 'longitude', 'ownerEmail', 'category', 'tags']
+};
+
+const normalizeColumn = (header) => String(header).toLowerCase().replace(/[\s_-]/g, '');
+
+// Read the uploaded { format, content } into rows keyed by the import's
+// columns. Values are trimmed and empty ones left out. Returns { error } when
+// the file can't be used at all.
+const parseImportFile = ({ format, content }, columns) => {
+    if (typeof content !== 'string' || content.trim() === '') {
+        return { error: 'The file is empty.' };
+    }
+
+    let records;
+    if (format === 'csv') {
+        try {
+            records = csv.parseRecords(content).records;
+        } catch (error) {
+            return { error: `Invalid CSV: ${error.message}.` };
+        }
+    } else if (format === 'json') {
+        try {
+            records = JSON.parse(content);
+        } catch {
+            return { error: 'Invalid JSON.' };
+        }
+        if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+            return { error: 'A JSON import must be an array of objects.' };
+        }
+    } else {
+        return { error: 'Format must be csv or json.' };
+    }
+
+    if (records.length === 0) {
+        return { error: 'The file has no rows.' };
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+        return { error: `Import at most ${MAX_IMPORT_ROWS} rows at a time.` };
+    }
+
+    const columnFor = Object.fromEntries(columns.map(column => [normalizeColumn(column), column]));
+    const unknown = [...new Set(records.flatMap(Object.keys))]
+        .filter(header => header.trim() !== '' && !columnFor[normalizeColumn(header)]);
+    if (unknown.length > 0) {
+        return { error: `Unknown column ${unknown.join(', ')}. Columns are ${columns.join(', ')}.` };
+    }
+
+    const rows = records.map(record => {
+        const row = {};
+        for (const [header, value] of Object.entries(record)) {
+            const column = columnFor[normalizeColumn(header)];
+            const text = value === null || value === undefined ? '' : String(value).trim();
+            if (column && text !== '') row[column] = text;
+        }
+        return row;
+    });
+    return { rows };
+};
+
+// Run importRow over every row in one transaction. Each row gets a savepoint,
+// so a refused row is undone and reported while the rest are still checked.
+// A dry run always rolls back; otherwise the import commits only when every
+// row passed, and invitations for generated passwords go out afterwards.
+const runImport = async (req, res, rows, importRow) => {
+    const dryRun = req.body.dryRun !== false;
+    const results = [];
+    const invitations = [];
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        for (const [index, row] of rows.entries()) {
+            await client.query('SAVEPOINT import_row');
+            let result;
+            try {
+                result = await importRow(client, row, dryRun);
+            } catch (error) {
+                if (error.code !== '23505') throw error; // Unique violation error code
+                result = { error: 'Email already exists' };
+            }
+
+            const summary = { row: index + 1, name: row.name || null, email: row.email || null };
+            if (result.error) {
+                await client.query('ROLLBACK TO SAVEPOINT import_row');
+                results.push({ ...summary, error: result.error });
+                continue;
+            }
+            await client.query('RELEASE SAVEPOINT import_row');
+            const { invitation, ...created } = result;
+            if (invitation && !dryRun) {
+                invitations.push({ email: row.email, invitation, temporaryPassword: created.temporaryPassword });
+            }
+            results.push({ ...summary, ...created });
+        }
+
+        const failed = results.filter(result => result.error).length;
+        const committed = !dryRun && failed === 0;
+        await client.query(committed ? 'COMMIT' : 'ROLLBACK');
+
+        if (committed) {
+            for (const { email, invitation, temporaryPassword } of invitations) {
+                await sendAccountInvitation(email, invitation, temporaryPassword);
+            }
+        }
+
+        const report = { dryRun, imported: committed ? rows.length : 0, failed, rows: results };
+        if (failed > 0) {
+            return res.status(dryRun ? 200 : 400).json({
+                message: `${failed} of ${rows.length} rows have errors${dryRun ? '' : ', so nothing was imported'}.`,
+                ...report
+            });
+        }
+        res.status(committed ? 201 : 200).json({
+            message: committed ? `Imported ${rows.length} rows.` : `All ${rows.length} rows are ready to import.`,
+            ...report
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Import error:', error);
+        res.status(500).json({ message: 'Server error importing rows.' });
+    } finally {
+        client.release();
+    }
+};
+
+// A dry run skips hashing: nothing it inserts is kept
+const importPasswordHash = (password, dryRun) => dryRun ? '' : bcrypt.hash(password, SALT_ROUNDS);
+
+// Implement Import Users (users:write)
+// Body: format (csv or json), content (the file's text), dryRun (default true).
+// Columns: name, email, address or street, city, postalCode and country,
+// password, role. Rows are checked like POST /api/admin/users, except a blank password gets a one-time password that
+// is emailed to the user and returned once.
+app.post('/api/admin/users/import', authenticateToken, requirePermission('users:write'), async (req, res) => {
+    const file = parseImportFile(req.body, IMPORT_COLUMNS.users);
+    if (file.error) {
+        return res.status(400).json({ message: file.error });
+    }
+
+    await runImport(req, res, file.rows, async (client, row, dryRun) => {
+        const user = parseAddressFields(row);
+        const fieldError = user.error || adminUserFieldsError(user, { passwordRequired: false });
+        if (fieldError) {
+            return { error: fieldError };
+        }
+
+        const temporaryPassword = row.password ? null : generateOneTimePassword();
+        const result = await insertAdminUser(client, req, user, await importPasswordHash(row.password || temporaryPassword, dryRun));
+        if (result.error) {
+            return result;
+        }
+        if (dryRun) {
+            return {};
+        }
+        return temporaryPassword
+            ? { userId: result.user.id, temporaryPassword, invitation: USER_INVITATION }
+            : { userId: result.user.id };
+    });
+});
+
+// Implement Import Stores (stores:write)
+// Body: format (csv or json), content (the file's text), dryRun (default true).
+// Columns: name, email, address or street, city, postalCode and country,
+// latitude, longitude, ownerEmail, category, tags. Rows are checked like
+// POST /api/admin/stores: ownerEmail makes an existing normal user or
+// store owner the owner, otherwise a new owner gets the store's email and a
+// one-time password. category names an existing category (any case) and tags
+// is a comma-separated list.
+app.post('/api/admin/stores/import', authenticateToken, requirePermission('stores:write'), async (req, res) => {
+    const file = parseImportFile(req.body, IMPORT_COLUMNS.stores);
+    if (file.error) {
+        return res.status(400).json({ message: file.error });
+    }
+
+    await runImport(req, res, file.rows, async (client, row, dryRun) => {
+        const store = parseAddressFields(row, { location: true });
+        const fieldError = store.error || storeFieldsError(store) || (row.ownerEmail ? validate.email(row.ownerEmail) : null);
+        if (fieldError) {
+            return { error: fieldError };
+        }
+
+        let ownerId = null;
+        if (row.ownerEmail) {
+            const owner = await client.query('SELECT id FROM users WHERE email = $1', [row.ownerEmail]);
+            if (owner.rows.length === 0) {
+                return { error: 'Owner not found' };
+            }
+            ownerId = owner.rows[0].id;
+        }
+
+        let categoryId = null;
+        if (row.category) {
+            const category = await client.query('SELECT id FROM categories WHERE LOWER(name) = LOWER($1)', [row.category]);
+            if (category.rows.length === 0) {
+                return { error: `Category ${row.category} not found` };
+            }
+            categoryId = category.rows[0].id;
+        }
+        const tags = parseTags(row.tags);
+        const tagsError = validate.tags(tags);
+        if (tagsError) {
+            return { error: tagsError };
+        }
+
+        const temporaryPassword = ownerId === null ? generateOneTimePassword() : null;
+        const result = await insertStoreWithOwner(client, req, { ...store, categoryId, tags }, ownerId, temporaryPassword && await importPasswordHash(temporaryPassword, dryRun));
+        if (result.error) {
+            return result;
+        }
+        if (dryRun) {
+            return {};
+        }
+        return temporaryPassword
+            ? { storeId: result.storeId, ownerId: result.ownerId, temporaryPassword, invitation: storeOwnerInvitation(row.name) }
+            : { storeId: result.storeId, ownerId: result.ownerId };
+    });
+});
+
+
+// Implement Update User (users:write)
+// PUT replaces name, email, address and role; PATCH updates any subset of them.
+// The address is sent as a one-line address or as its parts (see parseAddress).
+const updateUser = (requireAll) => async (req, res) => {
+    const userId = parseId(req.params.userId);
+    if (userId === null) {
+        return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const body = parseAddressFields(req.body);
+    if (body.error) {
+        return res.status(400).json({ message: body.error });
+    }
+    const { name, email, address, role } = body;
+
+    const fieldError = validateFields(body, ['name', 'email', 'address'], requireAll);
+    if (fieldError) {
+        return res.status(400).json({ message: fieldError });
+    }
+
+    if (requireAll && !role) {
+        return res.status(400).json({ message: 'Role is required' });
+    }
+
+    if (role !== undefined && userId === req.user.id && role !== req.user.role) {
+        return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query('SELECT id, name, email, address, street, city, postal_code, country, role, status FROM users WHERE id = $1 FOR UPDATE', [userId]);
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'User not found' });
+        }
+        const currentRole = existing.rows[0].role;
+        const accountError = await checkManageableAccount(currentRole, req.user, client);
+        if (accountError) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: accountError });
+        }
+
+        // Store owner status follows store membership, so it can only change
+        // through the store routes
+        if (role !== undefined && role !== currentRole) {
+            if (currentRole === 'store_owner') {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ message: 'Remove this account from its stores before changing their role.' });
+            }
+            const roleError = await checkAssignableRole(role, req.user, client);
+            if (roleError) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ message: roleError });
+            }
+        }
+
+        // The address parts change along with the one-line address
+        const result = await client.query(
+            `UPDATE users
+             SET name = COALESCE($1, name),
+                 email = COALESCE($2, email),
+                 address = COALESCE($3, address),
+                 street = CASE WHEN $3::varchar IS NULL THEN street ELSE $6 END,
+                 city = CASE WHEN $3::varchar IS NULL THEN city ELSE $7 END,
+                 postal_code = CASE WHEN $3::varchar IS NULL THEN postal_code ELSE $8 END,
+                 country = CASE WHEN $3::varchar IS NULL THEN country ELSE $9 END,
+                 role = COALESCE($4, role)
+             WHERE id = $5
+             RETURNING id, name, email, role, address, street, city, postal_code, country, status`,
+            [name, email, address, role, userId, body.street ?? null, body.city ?? null, body.postalCode ?? null, body.country ?? null]
+        );
+        await recordAudit(client, req, 'user.update', {
+            targetType: 'user',
+            targetId: userId,
+            before: userAuditState(existing.rows[0]),
+            after: userAuditState(result.rows[0])
+        });
+
+        await client.query('COMMIT');
+        res.json({ message: 'User updated successfully', user: result.rows[0] });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Update User error:', error);
+        if (error.code === '23505') { // Unique violation error code
+            return res.status(400).json({ message: 'Email already exists' });
+        }
+        res.status(500).json({ message: 'Server error updating user.' });
+    } finally {
+        client.release();
+    }
+};
+
+app.put('/api/admin/users/:userId', authenticateToken, requirePermission('users:write'), updateUser(true));
+app.patch('/api/admin/users/:userId', authenticateToken, requirePermission('users:write'), updateUser(false));
+
+
+// Implement Update User Status (users:write - suspend or reactivate)
+// Suspended users cannot log in, but their ratings stay in the averages
+app.put('/api/admin/users/:userId/status', authenticateToken, requirePermission('users:write'), async (req, res) => {
+    const userId = parseId(req.params.userId);
+    if (userId === null) {
+        return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const { status } = req.body;
+    if (!USER_STATUSES.includes(status)) {
+        return res.status(400).json({ message: 'Invalid status. Must be active or suspended.' });
+    }
+
+    if (userId === req.user.id) {
+        return res.status(400).json({ message: 'You cannot change the status of your own account' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query('SELECT status, role FROM users WHERE id = $1 FOR UPDATE', [userId]);
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'User not found' });
+        }
+        const accountError = await checkManageableAccount(existing.rows[0].role, req.user, client);
+        if (accountError) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: accountError });
+        }
+
+        const result = await client.query(
+            'UPDATE users SET status = $1 WHERE id = $2 RETURNING id, name, email, role, address, status',
+            [status, userId]
+        );
+        await recordAudit(client, req, status === 'active' ? 'user.reactivate' : 'user.suspend', {
+            targetType: 'user',
+            targetId: userId,
+            before: { status: existing.rows[0].status },
+            after: { status }
+        });
+
+        // A suspended user is logged out everywhere, and stays so after reactivation
+        if (status === 'suspended') {
+            await revokeAllSessions(userId, client);
+        }
+
+        await client.query('COMMIT');
+        res.json({ message: `User ${status === 'active' ? 'reactivated' : 'suspended'} successfully`, user: result.rows[0] });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Update User Status error:', error);
+        res.status(500).json({ message: 'Server error updating user status.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+// Implement Unlock User (users:write)
+// Clears the failed-login lock on an account. Locks on the client IP stay.
+app.post('/api/admin/users/:userId/unlock', authenticateToken, requirePermission('users:write'), async (req, res) => {
+    const userId = parseId(req.params.userId);
+    if (userId === null) {
+        return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    try {
+        const result = await pool.query('SELECT email, role FROM users WHERE id = $1', [userId]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        const accountError = await checkManageableAccount(result.rows[0].role, req.user);
+        if (accountError) {
+            return res.status(403).json({ message: accountError });
+        }
+
+        await loginLimiter.unlockAccount(result.rows[0].email);
+        await recordAudit(pool, req, 'user.unlock', { targetType: 'user', targetId: userId });
+        res.json({ message: 'Account unlocked successfully' });
+    } catch (error) {
+        console.error('Unlock User error:', error);
+        res.status(500).json({ message: 'Server error unlocking user.' });
+    }
+});
+
+
+// Implement Delete User (users:write - purges a suspended account)
+// Only suspended users can be purged; their ratings, and any store they are
+// the only owner of, go with them.
+app.delete('/api/admin/users/:userId', authenticateToken, requirePermission('users:write'), async (req, res) => {
+    const userId = parseId(req.params.userId);
+    if (userId === null) {
+        return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    if (userId === req.user.id) {
+        return res.status(400).json({ message: 'You cannot delete your own account' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query('SELECT name, email, address, street, city, postal_code, country, role, status FROM users WHERE id = $1 FOR UPDATE', [userId]);
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'User not found' });
+        }
+        const accountError = await checkManageableAccount(existing.rows[0].role, req.user, client);
+        if (accountError) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: accountError });
+        }
+        if (existing.rows[0].status !== 'suspended') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Suspend the user before purging their account.' });
+        }
+
+        // A store can't be left without an owner, so the ones only they own go too
+        const orphanedStores = await client.query(`
+            SELECT m.store_id FROM store_members m
+            WHERE m.user_id = $1 AND m.role = 'owner'
+              AND NOT EXISTS (
+                  SELECT 1 FROM store_members o
+                  WHERE o.store_id = m.store_id AND o.role = 'owner' AND o.user_id <> $1
+              )
+        `, [userId]);
+        const orphanedStoreIds = orphanedStores.rows.map(row => row.store_id);
+        const otherMembers = await client.query(
+            'SELECT DISTINCT user_id FROM store_members WHERE store_id = ANY($1::int[]) AND user_id <> $2',
+            [orphanedStoreIds, userId]
+        );
+        await client.query('DELETE FROM stores WHERE id = ANY($1::int[])', [orphanedStoreIds]);
+
+        // Memberships and ratings referencing the user are removed by ON DELETE CASCADE
+        await client.query('DELETE FROM users WHERE id = $1', [userId]);
+        await syncStoreOwnerRoles(otherMembers.rows.map(row => row.user_id), client);
+        await recordAudit(client, req, 'user.delete', {
+            targetType: 'user',
+            targetId: userId,
+            targetLabel: existing.rows[0].email,
+            before: userAuditState(existing.rows[0]),
+            details: orphanedStoreIds.length > 0 ? { deletedStoreIds: orphanedStoreIds } : null
+        });
+
+        await client.query('COMMIT');
+        res.json({ message: 'User purged successfully', userId });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Delete User error:', error);
+        res.status(500).json({ message: 'Server error purging user.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+// Implement Update Store (stores:write - can reassign the owner)
+// PUT replaces name, email and address; PATCH updates any subset. Either may
+// pass ownerId to hand the store to another normal user or store owner, who
+// replaces its current owners; managers keep their membership. The address
+// works as for users. latitude and longitude (blank to clear), categoryId
+// (empty to clear) and tags (replaced as a set) are only changed when sent.
+const updateStore = (requireAll) => async (req, res) => {
+    const storeId = parseId(req.params.storeId);
+    if (storeId === null) {
+        return res.status(400).json({ message: 'Invalid store ID' });
+    }
+
+    const body = parseAddressFields(req.body, { location: true });
+    if (body.error) {
+        return res.status(400).json({ message: body.error });
+    }
+    const { name, email, address } = body;
+
+    const fieldError = validateFields(body, ['name', 'email', 'address'], requireAll);
+    if (fieldError) {
+        return res.status(400).json({ message: fieldError });
+    }
+
+    let ownerId = null;
+    if (req.body.ownerId !== undefined && req.body.ownerId !== null && req.body.ownerId !== '') {
+        ownerId = parseId(req.body.ownerId);
+        if (ownerId === null) {
+            return res.status(400).json({ message: 'Invalid owner ID' });
+        }
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query(
+            'SELECT id, name, email, address, street, city, postal_code, country, latitude, longitude, status, category_id FROM stores WHERE id = $1 FOR UPDATE',
+            [storeId]
+        );
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Store not found' });
+        }
+
+        const classification = await parseStoreClassification(req.body, client);
+        if (classification.error) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: classification.error });
+        }
+
+        let previousOwnerIds = [];
+        if (ownerId !== null) {
+            const ownerResult = await client.query('SELECT role FROM users WHERE id = $1 FOR UPDATE', [ownerId]);
+            if (ownerResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ message: 'New owner not found' });
+            }
+            if (!['user', 'store_owner'].includes(ownerResult.rows[0].role)) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ message: 'New owner must be a normal user or a store owner.' });
+            }
+
+            // 1. The current owners give the store up
+            const previousOwners = await client.query(
+                "DELETE FROM store_members WHERE store_id = $1 AND role = 'owner' AND user_id <> $2 RETURNING user_id",
+                [storeId, ownerId]
+            );
+
+            // 2. The new owner takes it over (a manager is promoted)
+            await client.query(
+                `INSERT INTO store_members (store_id, user_id, role) VALUES ($1, $2, 'owner')
+                 ON CONFLICT (store_id, user_id) DO UPDATE SET role = 'owner'`,
+                [storeId, ownerId]
+            );
+
+            // 3. Anyone left without a store to manage becomes a normal user
+            previousOwnerIds = previousOwners.rows.map(row => row.user_id);
+            await syncStoreOwnerRoles([ownerId, ...previousOwnerIds], client);
+        }
+
+        // The address parts change along with the one-line address
+        const result = await client.query(
+            `UPDATE stores
+             SET name = COALESCE($1, name),
+                 email = COALESCE($2, email),
+                 address = COALESCE($3, address),
+                 street = CASE WHEN $3::varchar IS NULL THEN street ELSE $7 END,
+                 city = CASE WHEN $3::varchar IS NULL THEN city ELSE $8 END,
+                 postal_code = CASE WHEN $3::varchar IS NULL THEN postal_code ELSE $9 END,
+                 country = CASE WHEN $3::varchar IS NULL THEN country ELSE $10 END,
+                 latitude = CASE WHEN $11::boolean THEN $12 ELSE latitude END,
+                 longitude = CASE WHEN $11::boolean THEN $13 ELSE longitude END,
+                 category_id = CASE WHEN $5::boolean THEN $6::int ELSE category_id END
+             WHERE id = $4
+             RETURNING id, name, email, address, street, city, postal_code, country, latitude, longitude, status, category_id`,
+            [
+                name, email, address, storeId, classification.categoryId !== undefined, classification.categoryId ?? null,
+                body.street ?? null, body.city ?? null, body.postalCode ?? null, body.country ?? null,
+                body.latitude !== undefined, body.latitude ?? null, body.longitude ?? null
+            ]
+        );
+
+        const previousTags = await storeTags(storeId, client);
+        const tags = classification.tags ?? previousTags;
+        if (classification.tags) {
+            await setStoreTags(storeId, tags, client);
+        }
+
+        await recordAudit(client, req, 'store.update', {
+            targetType: 'store',
+            targetId: storeId,
+            before: storeAuditState(existing.rows[0], previousTags),
+            after: storeAuditState(result.rows[0], tags),
+            details: ownerId !== null ? { ownerId, previousOwnerIds } : null
+        });
+
+        await client.query('COMMIT');
+        res.json({ message: 'Store updated successfully', store: { ...result.rows[0], tags } });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Update Store error:', error);
+        if (error.code === '23505') { // Unique violation error code
+            return res.status(400).json({ message: 'Email already exists for another store.' });
+        }
+        res.status(500).json({ message: 'Server error updating store.' });
+    } finally {
+        client.release();
+    }
+};
+
+app.put('/api/admin/stores/:storeId', authenticateToken, requirePermission('stores:write'), updateStore(true));
+app.patch('/api/admin/stores/:storeId', authenticateToken, requirePermission('stores:write'), updateStore(false));
+
+
+// Implement Update Store Status (stores:write - deactivate or reactivate)
+// Inactive stores are hidden from normal users, but their ratings are kept
+app.put('/api/admin/stores/:storeId/status', authenticateToken, requirePermission('stores:write'), async (req, res) => {
+    const storeId = parseId(req.params.storeId);
+    if (storeId === null) {
+        return res.status(400).json({ message: 'Invalid store ID' });
+    }
+
+    const { status } = req.body;
+    if (!STORE_STATUSES.includes(status)) {
+        return res.status(400).json({ message: 'Invalid status. Must be active or inactive.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query('SELECT status FROM stores WHERE id = $1 FOR UPDATE', [storeId]);
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Store not found' });
+        }
+
+        const result = await client.query(
+            'UPDATE stores SET status = $1 WHERE id = $2 RETURNING id, name, email, address, status',
+            [status, storeId]
+        );
+        await recordAudit(client, req, status === 'active' ? 'store.reactivate' : 'store.deactivate', {
+            targetType: 'store',
+            targetId: storeId,
+            before: { status: existing.rows[0].status },
+            after: { status }
+        });
+
+        await client.query('COMMIT');
+        res.json({ message: `Store ${status === 'active' ? 'reactivated' : 'deactivated'} successfully`, store: result.rows[0] });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Update Store Status error:', error);
+        res.status(500).json({ message: 'Server error updating store status.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+// Implement Delete Store (stores:write - purges an inactive store)
+// The store's ratings are removed; members without another store are kept as normal users.
+app.delete('/api/admin/stores/:storeId', authenticateToken, requirePermission('stores:write'), async (req, res) => {
+    const storeId = parseId(req.params.storeId);
+    if (storeId === null) {
+        return res.status(400).json({ message: 'Invalid store ID' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query('SELECT name, email, address, street, city, postal_code, country, latitude, longitude, status, category_id FROM stores WHERE id = $1 FOR UPDATE', [storeId]);
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Store not found' });
+        }
+        if (existing.rows[0].status !== 'inactive') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Deactivate the store before purging it.' });
+        }
+
+        const members = await client.query('SELECT user_id FROM store_members WHERE store_id = $1', [storeId]);
+        const tags = await storeTags(storeId, client);
+
+        // Ratings, memberships and tags for the store are removed by ON DELETE CASCADE
+        await client.query('DELETE FROM stores WHERE id = $1', [storeId]);
+
+        await syncStoreOwnerRoles(members.rows.map(row => row.user_id), client);
+        await recordAudit(client, req, 'store.delete', {
+            targetType: 'store',
+            targetId: storeId,
+            targetLabel: existing.rows[0].name,
+            before: storeAuditState(existing.rows[0], tags)
+        });
+
+        await client.query('COMMIT');
+        res.json({ message: 'Store purged successfully', storeId });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Delete Store error:', error);
+        res.status(500).json({ message: 'Server error purging store.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+// Implement Category routes
+// Admins with stores:write manage the category list; names are unique
+// ignoring case. Deleting a category leaves its stores uncategorized.
+
+// Lists every category with how many stores (visible to the caller) use it
+app.get('/api/data/categories', authenticateToken, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT c.id, c.name,
+                (SELECT COUNT(*)::int FROM stores s WHERE s.category_id = c.id AND ($1::boolean OR s.status = 'active')) AS store_count
+            FROM categories c
+            ORDER BY LOWER(c.name)
+        `, [hasPermission(req.user, 'stores:write')]);
+        res.json(result.rows.map(row => ({ id: row.id, name: row.name, storeCount: row.store_count })));
+    } catch (error) {
+        console.error('Get Categories error:', error);
+        res.status(500).json({ message: 'Server error.' });
+    }
+});
+
+// The other category with this name (ignoring case), if any
+const categoryNameTaken = async (name, exceptId, client) => {
+    const result = await client.query('SELECT 1 FROM categories WHERE LOWER(name) = LOWER($1) AND id <> $2', [name, exceptId]);
+    return result.rows.length > 0;
+};
+
+app.post('/api/admin/categories', authenticateToken, requirePermission('stores:write'), async (req, res) => {
+    const nameError = validate.categoryName(req.body.name);
+    if (nameError) {
+        return res.status(400).json({ message: nameError });
+    }
+    const name = req.body.name.trim();
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        if (await categoryNameTaken(name, 0, client)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Category already exists' });
+        }
+
+        const result = await client.query('INSERT INTO categories (name) VALUES ($1) RETURNING id, name', [name]);
+        const category = result.rows[0];
+        await recordAudit(client, req, 'category.create', { targetType: 'category', targetId: category.id, targetLabel: name, after: { name } });
+
+        await client.query('COMMIT');
+        res.status(201).json({ message: 'Category created successfully', category });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === '23505') { // Unique violation error code
+            return res.status(400).json({ message: 'Category already exists' });
+        }
+        console.error('Create Category error:', error);
+        res.status(500).json({ message: 'Server error creating category.' });
+    } finally {
+        client.release();
+    }
+});
+
+app.put('/api/admin/categories/:categoryId', authenticateToken, requirePermission('stores:write'), async (req, res) => {
+    const categoryId = parseId(req.params.categoryId);
+    if (categoryId === null) {
+        return res.status(400).json({ message: 'Invalid category ID' });
+    }
+    const nameError = validate.categoryName(req.body.name);
+    if (nameError) {
+        return res.status(400).json({ message: nameError });
+    }
+    const name = req.body.name.trim();
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const existing = await client.query('SELECT name FROM categories WHERE id = $1 FOR UPDATE', [categoryId]);
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Category not found' });
+        }
+        if (await categoryNameTaken(name, categoryId, client)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Category already exists' });
+        }
+
+        const result = await client.query('UPDATE categories SET name = $1 WHERE id = $2 RETURNING id, name', [name, categoryId]);
+        await recordAudit(client, req, 'category.update', {
+            targetType: 'category',
+            targetId: categoryId,
+            targetLabel: name,
+            before: { name: existing.rows[0].name },
+            after: { name }
+        });
+
+        await client.query('COMMIT');
+        res.json({ message: 'Category updated successfully', category: result.rows[0] });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === '23505') { // Unique violation error code
+            return res.status(400).json({ message: 'Category already exists' });
+        }
+        console.error('Update Category error:', error);
+        res.status(500).json({ message: 'Server error updating category.' });
+    } finally {
+        client.release();
+    }
+});
+
+app.delete('/api/admin/categories/:categoryId', authenticateToken, requirePermission('stores:write'), async (req, res) => {
+    const categoryId = parseId(req.params.categoryId);
+    if (categoryId === null) {
+        return res.status(400).json({ message: 'Invalid category ID' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const existing = await client.query('SELECT name FROM categories WHERE id = $1 FOR UPDATE', [categoryId]);
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Category not found' });
+        }
+
+        // Its stores lose the category through ON DELETE SET NULL
+        const stores = await client.query('SELECT COUNT(*)::int AS count FROM stores WHERE category_id = $1', [categoryId]);
+        await client.query('DELETE FROM categories WHERE id = $1', [categoryId]);
+        await recordAudit(client, req, 'category.delete', {
+            targetType: 'category',
+            targetId: categoryId,
+            targetLabel: existing.rows[0].name,
+            before: { name: existing.rows[0].name },
+            details: { storeCount: stores.rows[0].count }
         });
+
+        await client.query('COMMIT');
+        res.json({ message: 'Category deleted successfully', categoryId });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Delete Category error:', error);
+        res.status(500).json({ message: 'Server error deleting category.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+// Implement Password Update (Self-service)
+// Requires the current password, and the new one must differ from it. Every
+// other session ends; the caller gets a fresh one. Wrong current passwords
+// count as failed logins, so a stolen session can't guess the password here.
+// Admins reset other users' passwords through PUT /api/admin/users/:userId/password.
+app.put('/api/users/:userId/password', authenticateAccountSetup, async (req, res) => {
+    const userId = parseId(req.params.userId);
+    const { currentPassword, newPassword } = req.body;
+    
+    // Ensure user can only update their own password
+    if (userId !== req.user.id) {
+        return res.status(403).json({ message: 'You can only update your own password' });
     }
     
-    if (!role || !['admin', 'user'].includes(role)) {
-        return res.status(400).json({ message: 'Invalid role. Must be admin or user.' });
+    if (!currentPassword) {
+        return res.status(400).json({ message: 'Current password is required' });
+    }
+    
+    // Validate password
+    const passwordError = validate.password(newPassword);
+    if (passwordError) {
+        return res.status(400).json({ message: passwordError });
     }
     
+    const client = await pool.connect();
     try {
-        const existing = await pool.query('SELECT 1 FROM users WHERE email = $1', [email]);
-        if (existing.rows.length > 0) {
-            return res.status(400).json({ message: 'Email already exists' });
+        await client.query('BEGIN');
+        const userResult = await client.query(
+            'SELECT id, email, role, password FROM users WHERE id = $1 FOR UPDATE',
+            [userId]
+        );
+        const user = userResult.rows[0];
+
+        const lockedUntil = await loginLimiter.check(user.email, req.ip);
+        if (lockedUntil) {
+            await client.query('ROLLBACK');
+            return res.status(429).json({ message: 'Too many failed login attempts.', lockedUntil });
         }
-        
-        // Hash password
-        const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
-        
-        const result = await pool.query(
-            'INSERT INTO users (name, email, password, address, role) VALUES ($1, $2, $3, $4, $5) RETURNING id',
-            [name, email, hashedPassword, address, role]
+
+        if (!(await bcrypt.compare(currentPassword, user.password))) {
+            await client.query('ROLLBACK');
+            const newLock = await loginLimiter.recordFailedAttempt(user.email, req.ip);
+            if (newLock) {
+                return res.status(429).json({ message: 'Too many failed login attempts.', lockedUntil: newLock });
+            }
+            return res.status(400).json({ message: 'Current password is incorrect' });
+        }
+        if (await bcrypt.compare(newPassword, user.password)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'New password must be different from the current password' });
+        }
+
+        // Hash the new password; choosing your own clears must_change_password
+        const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
+        await client.query(
+            'UPDATE users SET password = $1, must_change_password = FALSE WHERE id = $2',
+            [hashedPassword, userId]
         );
-        
-        res.status(201).json({ message: 'User added successfully', userId: result.rows[0].id });
+
+        await revokeAllSessions(userId, client);
+        const versionResult = await client.query('SELECT token_version FROM users WHERE id = $1', [userId]);
+        const session = await issueSession({ ...user, token_version: versionResult.rows[0].token_version }, client);
+        await recordAudit(client, req, 'user.password_change', { targetType: 'user', targetId: userId });
+
+        await client.query('COMMIT');
+        await loginLimiter.recordSuccess(user.email);
+        res.json({ message: 'Password updated successfully', ...session });
     } catch (error) {
-        console.error('Add User error:', error);
-        res.status(500).json({ message: 'Server error adding user.' });
+        await client.query('ROLLBACK');
+        console.error('Password update error:', error);
+        res.status(500).json({ message: 'Failed to update password.' });
+    } finally {
+        client.release();
     }
 });
 
 
-// Implement Add Store (Admin only functionality - creates both store and owner)
-app.post('/api/admin/stores', authenticateToken, requireAdmin, async (req, res) => {
-    const { name, email, address } = req.body;
-    
-    // Validation
-    const nameError = validate.name(name);
-    const emailError = validate.email(email);
-    const addressError = validate.address(address);
-    
-    if (nameError || emailError || addressError) {
-        return res.status(400).json({ 
-            message: nameError || emailError || addressError 
+// Implement Admin Password Reset (users:write)
+// Replaces another user's password with a one-time password that they must
+// change at next login, ends their sessions and records the reset in the
+// audit log. The one-time password is returned once and emailed to the user.
+app.put('/api/admin/users/:userId/password', authenticateToken, requirePermission('users:write'), async (req, res) => {
+    const userId = parseId(req.params.userId);
+    if (userId === null) {
+        return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    if (userId === req.user.id) {
+        return res.status(400).json({ message: 'Change your own password from your account instead' });
+    }
+
+    const temporaryPassword = generateOneTimePassword();
+
+    const client = await pool.connect();
+    try {
+        const hashedPassword = await bcrypt.hash(temporaryPassword, SALT_ROUNDS);
+
+        await client.query('BEGIN');
+        const result = await client.query('SELECT email, role FROM users WHERE id = $1 FOR UPDATE', [userId]);
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'User not found' });
+        }
+        const accountError = await checkManageableAccount(result.rows[0].role, req.user, client);
+        if (accountError) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: accountError });
+        }
+
+        await client.query('UPDATE users SET password = $1, must_change_password = TRUE WHERE id = $2', [hashedPassword, userId]);
+
+        await revokeAllSessions(userId, client);
+        await recordAudit(client, req, 'user.password_reset', { targetType: 'user', targetId: userId });
+
+        await client.query('COMMIT');
+
+        const { email } = result.rows[0];
+        try {
+            await mailer.send({
+                to: email,
+                subject: 'Your Rating Platform password was reset',
+                text: `An administrator reset the password for this account.\n\n`
+                    + `Log in at ${APP_URL} with this one-time password and choose a new one:\n\n`
+                    + `One-time password: ${temporaryPassword}\n`
+            });
+        } catch (mailError) {
+            console.error('Password reset email error:', mailError);
+        }
+
+        res.json({ message: 'Password reset successfully', temporaryPassword });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Admin password reset error:', error);
+        res.status(500).json({ message: 'Failed to reset password.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+// Implement Reset Two-Factor route (users:write)
+// For a user who lost both their authenticator and recovery codes. They log
+// in with just their password again (and must re-enroll if the policy says so).
+app.delete('/api/admin/users/:userId/two-factor', authenticateToken, requirePermission('users:write'), async (req, res) => {
+    const userId = parseId(req.params.userId);
+    if (userId === null) {
+        return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    if (userId === req.user.id) {
+        return res.status(400).json({ message: 'Manage your own two-factor authentication from your account instead' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await client.query('SELECT role FROM users WHERE id = $1 FOR UPDATE', [userId]);
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'User not found' });
+        }
+        const accountError = await checkManageableAccount(result.rows[0].role, req.user, client);
+        if (accountError) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: accountError });
+        }
+
+        await client.query(
+            'UPDATE users SET totp_enabled = FALSE, totp_secret = NULL, totp_last_counter = NULL WHERE id = $1',
+            [userId]
+        );
+        await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+        await revokeAllSessions(userId, client);
+        await recordAudit(client, req, 'user.two_factor_reset', { targetType: 'user', targetId: userId });
+
+        await client.query('COMMIT');
+        res.json({ message: 'Two-factor authentication reset successfully' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Reset two-factor error:', error);
+        res.status(500).json({ message: 'Failed to reset two-factor authentication.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+// Implement Two-Factor Policy routes (settings:write)
+// When required, accounts with any permission (admins, store owners, custom
+// staff roles) must enroll in two-factor login before they can use anything else.
+app.get('/api/admin/settings/two-factor', authenticateToken, requirePermission('settings:write'), async (req, res) => {
+    try {
+        res.json({ required: await isTwoFactorRequired() });
+    } catch (error) {
+        console.error('Two-factor policy error:', error);
+        res.status(500).json({ message: 'Server error.' });
+    }
+});
+
+app.put('/api/admin/settings/two-factor', authenticateToken, requirePermission('settings:write'), async (req, res) => {
+    const { required } = req.body;
+    if (typeof required !== 'boolean') {
+        return res.status(400).json({ message: 'required must be true or false' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const previous = await isTwoFactorRequired(client);
+        await client.query(
+            `INSERT INTO app_settings (key, value) VALUES ('require_two_factor', $1)
+             ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value`,
+            [String(required)]
+        );
+        await recordAudit(client, req, 'settings.two_factor_policy', {
+            targetType: 'settings',
+            targetLabel: 'require_two_factor',
+            before: { required: previous },
+            after: { required }
         });
+
+        await client.query('COMMIT');
+        res.json({ message: 'Two-factor policy updated', required });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Two-factor policy update error:', error);
+        res.status(500).json({ message: 'Failed to update two-factor policy.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+// Implement Role routes
+// Roles map to permissions in role_permissions. The built-in admin, user and
+// store_owner roles are fixed; admins with roles:write can add custom roles
+// (a moderator, a support desk) with any permissions they hold themselves, and
+// change or delete those whose permissions they all hold.
+const ROLE_DESCRIPTION_MAX = 200;
+
+// Check a role's description and permission list. Returns an error message or null.
+const validateRoleBody = async ({ description, permissions }, user, client = pool) => {
+    if (description !== undefined && description !== null
+        && (typeof description !== 'string' || description.length > ROLE_DESCRIPTION_MAX)) {
+        return `Description must be at most ${ROLE_DESCRIPTION_MAX} characters.`;
+    }
+    if (!Array.isArray(permissions) || permissions.some(permission => typeof permission !== 'string')) {
+        return 'Permissions must be a list of permission names.';
+    }
+
+    const known = await client.query('SELECT name FROM permissions WHERE name = ANY($1::text[])', [permissions]);
+    if (known.rows.length !== new Set(permissions).size) {
+        return 'Unknown permission.';
+    }
+    const missing = permissions.filter(permission => !hasPermission(user, permission));
+    return missing.length > 0 ? `You cannot grant permissions you don't have (${missing.join(', ')}).` : null;
+};
+
+// Changing or deleting a custom role takes every permission it grants, so
+// nobody can strip a role that holds more than they do. Returns an error
+// message or null.
+const checkManageableRole = (rolePermissions, user) => {
+    const missing = rolePermissions.filter(permission => !hasPermission(user, permission));
+    return missing.length > 0 ? `You cannot change a role with permissions you don't have (${missing.join(', ')}).` : null;
+};
+
+const setRolePermissions = async (role, permissions, client) => {
+    await client.query('DELETE FROM role_permissions WHERE role = $1', [role]);
+    await client.query(
+        'INSERT INTO role_permissions (role, permission) SELECT $1, UNNEST($2::text[])',
+        [role, [...new Set(permissions)]]
+    );
+};
+
+// Lists every role (with its permissions and how many users have it) and the
+// permission catalogue. Open to users:read too, for the role filter and forms.
+app.get('/api/admin/roles', authenticateToken, requirePermission('roles:write', 'users:read'), async (req, res) => {
+    try {
+        const rolesResult = await pool.query(`
+            SELECT r.name, r.description, r.built_in,
+                ARRAY(SELECT rp.permission FROM role_permissions rp WHERE rp.role = r.name ORDER BY rp.permission) AS permissions,
+                (SELECT COUNT(*)::int FROM users u WHERE u.role = r.name) AS user_count
+            FROM roles r
+            ORDER BY r.built_in DESC, r.name
+        `);
+        const permissionsResult = await pool.query('SELECT name, description FROM permissions ORDER BY name');
+
+        res.json({
+            roles: rolesResult.rows.map(row => ({
+                name: row.name,
+                description: row.description,
+                builtIn: row.built_in,
+                permissions: row.permissions,
+                userCount: row.user_count
+            })),
+            permissions: permissionsResult.rows
+        });
+    } catch (error) {
+        console.error('Get Roles error:', error);
+        res.status(500).json({ message: 'Server error.' });
+    }
+});
+
+app.post('/api/admin/roles', authenticateToken, requirePermission('roles:write'), async (req, res) => {
+    const { name, description = null, permissions } = req.body;
+    if (typeof name !== 'string' || !ROLE_NAME_PATTERN.test(name)) {
+        return res.status(400).json({ message: 'Role name must be 3-30 lowercase letters, digits or underscores, starting with a letter.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        const bodyError = await validateRoleBody({ description, permissions }, req.user, client);
+        if (bodyError) {
+            return res.status(400).json({ message: bodyError });
+        }
+
+        await client.query('BEGIN');
+        await client.query('INSERT INTO roles (name, description) VALUES ($1, $2)', [name, description]);
+        await setRolePermissions(name, permissions, client);
+        await recordAudit(client, req, 'role.create', { targetType: 'role', targetLabel: name, after: { description, permissions } });
+
+        await client.query('COMMIT');
+        res.status(201).json({ message: 'Role created successfully' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === '23505') { // Unique violation error code
+            return res.status(400).json({ message: 'Role already exists' });
+        }
+        console.error('Create Role error:', error);
+        res.status(500).json({ message: 'Server error creating role.' });
+    } finally {
+        client.release();
+    }
+});
+
+app.put('/api/admin/roles/:name', authenticateToken, requirePermission('roles:write'), async (req, res) => {
+    const { name } = req.params;
+    const { description = null, permissions } = req.body;
+
+    const client = await pool.connect();
+    try {
+        const bodyError = await validateRoleBody({ description, permissions }, req.user, client);
+        if (bodyError) {
+            return res.status(400).json({ message: bodyError });
+        }
+
+        await client.query('BEGIN');
+        const existing = await client.query('SELECT description, built_in FROM roles WHERE name = $1 FOR UPDATE', [name]);
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Role not found' });
+        }
+        if (existing.rows[0].built_in) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Built-in roles cannot be changed.' });
+        }
+
+        const before = { description: existing.rows[0].description, permissions: await permissionsForRole(name, client) };
+        const roleError = checkManageableRole(before.permissions, req.user);
+        if (roleError) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: roleError });
+        }
+
+        await client.query('UPDATE roles SET description = $1 WHERE name = $2', [description, name]);
+        await setRolePermissions(name, permissions, client);
+        await recordAudit(client, req, 'role.update', { targetType: 'role', targetLabel: name, before, after: { description, permissions } });
+
+        await client.query('COMMIT');
+        res.json({ message: 'Role updated successfully' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Update Role error:', error);
+        res.status(500).json({ message: 'Server error updating role.' });
+    } finally {
+        client.release();
     }
-    
-    const defaultPassword = 'Store@123'; // Default password for new store owners
-    
+});
+
+// A custom role can only be deleted once no user has it
+app.delete('/api/admin/roles/:name', authenticateToken, requirePermission('roles:write'), async (req, res) => {
+    const { name } = req.params;
+
     const client = await pool.connect();
     try {
         await client.query('BEGIN');
+        const existing = await client.query(`
+            SELECT r.description, r.built_in, (SELECT COUNT(*)::int FROM users u WHERE u.role = r.name) AS user_count
+            FROM roles r WHERE r.name = $1 FOR UPDATE
+        `, [name]);
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Role not found' });
+        }
+        const { built_in, user_count } = existing.rows[0];
+        if (built_in) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Built-in roles cannot be deleted.' });
+        }
+        const before = { description: existing.rows[0].description, permissions: await permissionsForRole(name, client) };
+        const roleError = checkManageableRole(before.permissions, req.user);
+        if (roleError) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: roleError });
+        }
+        if (user_count > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: `Move the ${user_count} user${user_count === 1 ? '' : 's'} with this role to another role first.` });
+        }
 
-        // Hash the default password
-        const hashedPassword = await bcrypt.hash(defaultPassword, SALT_ROUNDS);
-
-        // 1. Create the store owner user
-        const ownerResult = await client.query(
-            'INSERT INTO users (name, email, password, address, role) VALUES ($1, $2, $3, $4, $5) RETURNING id',
-            [`${name} Owner`, email, hashedPassword, address, 'store_owner']
-        );
-        const ownerId = ownerResult.rows[0].id;
-
-        // 2. Create the store
-        const storeResult = await client.query(
-            'INSERT INTO stores (name, email, address, owner_id) VALUES ($1, $2, $3, $4) RETURNING id',
-            [name, email, address, ownerId]
-        );
-        const storeId = storeResult.rows[0].id;
+        await client.query('DELETE FROM roles WHERE name = $1', [name]);
+        await recordAudit(client, req, 'role.delete', { targetType: 'role', targetLabel: name, before });
 
         await client.query('COMMIT');
-        res.status(201).json({ message: 'Store and Owner added successfully', storeId, ownerId });
-
+        res.json({ message: 'Role deleted successfully' });
     } catch (error) {
         await client.query('ROLLBACK');
-        console.error('Add Store/Owner error:', error);
-        if (error.code === '23505') { // Unique violation error code
-            return res.status(400).json({ message: 'Email already exists for a user/owner.' });
-        }
-        res.status(500).json({ message: 'Server error adding store/owner.' });
+        console.error('Delete Role error:', error);
+        res.status(500).json({ message: 'Server error deleting role.' });
     } finally {
         client.release();
     }
 });
 
 
-// Implement Password Update (All authenticated users)
-app.put('/api/users/:userId/password', authenticateToken, async (req, res) => {
-    const { userId } = req.params;
-    const { newPassword } = req.body;
-    
-    // Ensure user can only update their own password (unless admin)
-    if (req.user.id !== parseInt(userId) && req.user.role !== 'admin') {
-        return res.status(403).json({ message: 'You can only update your own password' });
+// --- AUDIT LOG ---
+
+const AUDIT_TARGET_TYPES = ['user', 'store', 'category', 'rating', 'role', 'settings'];
+const AUDIT_ACTION_PATTERN = /^[a-z_]+(\.[a-z_]+)?$/;
+
+// Implement Get Audit Log (audit:read)
+// Newest first. Query: page, pageSize, search (action, actor email or target
+// label), action (a full action like user.update, or a prefix like user),
+// targetType, targetId, actorId, from, to (YYYY-MM-DD, inclusive)
+app.get('/api/admin/audit-log', authenticateToken, requirePermission('audit:read'), async (req, res) => {
+    // Entries are always listed newest first, so there are no sort keys
+    const listQuery = parseListQuery(req.query, {});
+    const range = parseDateRange(req.query);
+    if (range.error) {
+        return res.status(400).json({ message: range.error });
     }
-    
-    // Validate password
-    const passwordError = validate.password(newPassword);
-    if (passwordError) {
-        return res.status(400).json({ message: passwordError });
+
+    const { action, targetType } = req.query;
+    if (action && !AUDIT_ACTION_PATTERN.test(action)) {
+        return res.status(400).json({ message: 'Invalid action filter.' });
     }
-    
+    if (targetType && !AUDIT_TARGET_TYPES.includes(targetType)) {
+        return res.status(400).json({ message: 'Invalid target type filter.' });
+    }
+    const ids = {};
+    for (const key of ['targetId', 'actorId']) {
+        if (req.query[key] !== undefined && req.query[key] !== '') {
+            ids[key] = parseId(req.query[key]);
+            if (ids[key] === null) {
+                return res.status(400).json({ message: `Invalid ${key} filter.` });
+            }
+        }
+    }
+
+    // $1 and $2 are the date range
+    const conditions = [createdBetween('a.created_at')];
+    const params = [range.from, range.to];
+    if (listQuery.searchPattern) {
+        params.push(listQuery.searchPattern);
+        conditions.push(`(a.action ILIKE $${params.length} OR a.actor_email ILIKE $${params.length} OR a.target_label ILIKE $${params.length})`);
+    }
+    if (action) {
+        params.push(action);
+        conditions.push(action.includes('.') ? `a.action = $${params.length}` : `a.action LIKE $${params.length} || '.%'`);
+    }
+    if (targetType) {
+        params.push(targetType);
+        conditions.push(`a.target_type = $${params.length}`);
+    }
+    if (ids.targetId !== undefined) {
+        params.push(ids.targetId);
+        conditions.push(`a.target_id = $${params.length}`);
+    }
+    if (ids.actorId !== undefined) {
+        params.push(ids.actorId);
+        conditions.push(`a.actor_id = $${params.length}`);
+    }
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
     try {
-        // Hash the new password
-        const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
-        
-        await pool.query('UPDATE users SET password = $1 WHERE id = $2', [hashedPassword, userId]);
-        res.json({ message: 'Password updated successfully' });
+        const countResult = await pool.query(`SELECT COUNT(*) AS total FROM audit_log a ${whereClause}`, params);
+        const entriesResult = await pool.query(`
+            SELECT a.id, a.actor_id, a.actor_email, a.action, a.target_type, a.target_id, a.target_label,
+                   a.before_state, a.after_state, a.details, a.ip_address, a.created_at
+            FROM audit_log a
+            ${whereClause}
+            ORDER BY a.created_at DESC, a.id DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, listQuery.pageSize, listQuery.offset]);
+
+        const entries = entriesResult.rows.map(row => ({
+            id: row.id,
+            actorId: row.actor_id,
+            actorEmail: row.actor_email,
+            action: row.action,
+            targetType: row.target_type,
+            targetId: row.target_id,
+            targetLabel: row.target_label,
+            before: row.before_state,
+            after: row.after_state,
+            details: row.details,
+            ipAddress: row.ip_address,
+            createdAt: row.created_at
+        }));
+
+        res.json(paginated(entries, parseInt(countResult.rows[0].total, 10), listQuery));
     } catch (error) {
-        console.error('Password update error:', error);
-        res.status(500).json({ message: 'Failed to update password.' });
+        console.error('Get Audit Log error:', error);
+        res.status(500).json({ message: 'Server error.' });
     }
 });
 
 
 // Implement Submit Rating (Authenticated users - typically normal users)
+// reviewTitle/reviewBody are optional. When either is sent the stored review
+// is replaced (an empty string clears it); when both are omitted the existing
+// review is kept, so a quick re-rating doesn't wipe it.
 app.post('/api/ratings', authenticateToken, async (req, res) => {
-    const { userId, storeId, rating } = req.body;
+    const { userId, storeId, rating, reviewTitle, reviewBody } = req.body;
     
     // Ensure user can only rate as themselves
     if (req.user.id !== userId) {
@@ -450,21 +4241,515 @@ app.post('/api/ratings', authenticateToken, async (req, res) => {
         return res.status(400).json({ message: ratingError });
     }
     
+    // Validate review
+    const reviewError = validate.reviewTitle(reviewTitle) || validate.reviewBody(reviewBody);
+    if (reviewError) {
+        return res.status(400).json({ message: reviewError });
+    }
+    const hasReview = reviewTitle !== undefined || reviewBody !== undefined;
+    
     // Validate storeId exists
     if (!storeId) {
         return res.status(400).json({ message: 'Store ID is required' });
     }
     
+    const client = await pool.connect();
     try {
-        const result = await pool.query(
-            'INSERT INTO ratings (user_id, store_id, rating) VALUES ($1, $2, $3) ON CONFLICT (user_id, store_id) DO UPDATE SET rating = $3 RETURNING id',
-            [userId, storeId, rating]
+        await client.query('BEGIN');
+
+        const userResult = await client.query('SELECT email_verified FROM users WHERE id = $1', [req.user.id]);
+        if (!userResult.rows[0].email_verified) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: 'Please verify your email address before rating stores.' });
+        }
+
+        const storeResult = await client.query('SELECT name, status FROM stores WHERE id = $1', [storeId]);
+        if (storeResult.rows.length === 0 || storeResult.rows[0].status !== 'active') {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Store not found' });
+        }
+
+        const previous = await client.query(
+            'SELECT user_id, store_id, rating, review_title, review_body FROM ratings WHERE user_id = $1 AND store_id = $2 FOR UPDATE',
+            [userId, storeId]
         );
-        
-        res.status(201).json({ message: 'Rating submitted/updated successfully', ratingId: result.rows[0].id });
+
+        const result = await client.query(
+            `INSERT INTO ratings (user_id, store_id, rating, review_title, review_body)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (user_id, store_id) DO UPDATE SET
+                 rating = $3,
+                 review_title = CASE WHEN $6 THEN EXCLUDED.review_title ELSE ratings.review_title END,
+                 review_body = CASE WHEN $6 THEN EXCLUDED.review_body ELSE ratings.review_body END
+             RETURNING id, user_id, store_id, rating, review_title, review_body`,
+            [userId, storeId, rating, reviewTitle ? reviewTitle.trim() : null, reviewBody ? reviewBody.trim() : null, hasReview]
+        );
+        const saved = result.rows[0];
+
+        await recordAudit(client, req, previous.rows.length > 0 ? 'rating.update' : 'rating.submit', {
+            targetType: 'rating',
+            targetId: saved.id,
+            targetLabel: storeResult.rows[0].name,
+            before: previous.rows.length > 0 ? ratingAuditState(previous.rows[0]) : null,
+            after: ratingAuditState(saved)
+        });
+
+        await client.query('COMMIT');
+        res.status(201).json({ message: 'Rating submitted/updated successfully', ratingId: saved.id });
     } catch (error) {
+        await client.query('ROLLBACK');
         console.error('Rating submission error:', error);
         res.status(500).json({ message: 'Failed to submit rating.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+// Implement Withdraw Rating (Authenticated - the caller's own rating only)
+// Removes the current rating, and with it any reply, so the store average
+// recomputes immediately. The withdrawal is kept in rating_history.
+app.delete('/api/ratings/:storeId', authenticateToken, async (req, res) => {
+    const storeId = parseId(req.params.storeId);
+    if (storeId === null) {
+        return res.status(400).json({ message: 'Invalid store ID' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            `DELETE FROM ratings r USING stores s
+             WHERE r.store_id = s.id AND r.user_id = $1 AND r.store_id = $2
+             RETURNING r.id, r.user_id, r.store_id, r.rating, r.review_title, r.review_body, s.name AS store_name`,
+            [req.user.id, storeId]
+        );
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Rating not found' });
+        }
+
+        const withdrawn = result.rows[0];
+        await client.query(
+            `INSERT INTO rating_history (user_id, store_id, rating, review_title, review_body, action)
+             VALUES ($1, $2, $3, $4, $5, 'withdrawn')`,
+            [req.user.id, storeId, withdrawn.rating, withdrawn.review_title, withdrawn.review_body]
+        );
+        await recordAudit(client, req, 'rating.withdraw', {
+            targetType: 'rating',
+            targetId: withdrawn.id,
+            targetLabel: withdrawn.store_name,
+            before: ratingAuditState(withdrawn)
+        });
+
+        await client.query('COMMIT');
+        res.json({ message: 'Rating withdrawn successfully' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Withdraw rating error:', error);
+        res.status(500).json({ message: 'Failed to withdraw rating.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+// Implement Remove Rating route (ratings:moderate)
+// Takes down any rating (and the owner's reply with it). The history keeps a
+// 'removed' row and the audit log keeps what was removed.
+app.delete('/api/admin/ratings/:ratingId', authenticateToken, requirePermission('ratings:moderate'), async (req, res) => {
+    const ratingId = parseId(req.params.ratingId);
+    if (ratingId === null) {
+        return res.status(400).json({ message: 'Invalid rating ID' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            `DELETE FROM ratings r USING stores s
+             WHERE r.store_id = s.id AND r.id = $1
+             RETURNING r.user_id, r.store_id, r.rating, r.review_title, r.review_body, s.name AS store_name`,
+            [ratingId]
+        );
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Rating not found' });
+        }
+
+        const removed = result.rows[0];
+        await client.query(
+            `INSERT INTO rating_history (user_id, store_id, rating, review_title, review_body, action)
+             VALUES ($1, $2, $3, $4, $5, 'removed')`,
+            [removed.user_id, removed.store_id, removed.rating, removed.review_title, removed.review_body]
+        );
+        await recordAudit(client, req, 'rating.remove', {
+            targetType: 'rating',
+            targetId: ratingId,
+            targetLabel: removed.store_name,
+            before: ratingAuditState(removed)
+        });
+
+        await client.query('COMMIT');
+        res.json({ message: 'Rating removed successfully' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Remove rating error:', error);
+        res.status(500).json({ message: 'Failed to remove rating.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+// --- STORE MEMBERS ---
+
+// Members are visible to every member of the store; owners and stores:write
+// add, change and remove them. Returns the caller's access, or null when the
+// store doesn't exist or they have none.
+const storeMemberAccess = async (user, storeId, client = pool) => {
+    const storeResult = await client.query('SELECT id FROM stores WHERE id = $1', [storeId]);
+    if (storeResult.rows.length === 0) return null;
+    const memberRole = await storeMemberRole(user.id, storeId, client);
+    if (hasPermission(user, 'stores:write') || memberRole === 'owner') return 'manage';
+    return memberRole ? 'view' : null;
+};
+
+const listStoreMembers = async (storeId, client = pool) => {
+    const result = await client.query(`
+        SELECT u.id AS user_id, u.name, u.email, m.role, m.created_at
+        FROM store_members m
+        JOIN users u ON m.user_id = u.id
+        WHERE m.store_id = $1
+        ORDER BY m.role DESC, LOWER(u.name), u.id
+    `, [storeId]);
+    return result.rows;
+};
+
+// Whether the store still has an owner; checked after every change to its members
+const ensureStoreHasOwner = async (storeId, client) => {
+    const result = await client.query("SELECT 1 FROM store_members WHERE store_id = $1 AND role = 'owner' LIMIT 1", [storeId]);
+    return result.rows.length > 0;
+};
+
+// Implement Get Store Members route (members of the store, or stores:write)
+app.get('/api/stores/:storeId/members', authenticateToken, async (req, res) => {
+    const storeId = parseId(req.params.storeId);
+    if (storeId === null) {
+        return res.status(400).json({ message: 'Invalid store ID' });
+    }
+
+    try {
+        if (!(await storeMemberAccess(req.user, storeId))) {
+            return res.status(404).json({ message: 'Store not found' });
+        }
+        res.json(await listStoreMembers(storeId));
+    } catch (error) {
+        console.error('Get Store Members error:', error);
+        res.status(500).json({ message: 'Server error.' });
+    }
+});
+
+
+// Implement Add Store Member route (the store's owners, or stores:write)
+// Adds an existing store owner, found by email, as an owner or manager. Only
+// stores:write can also add a normal user, who then becomes a store owner.
+// Every email that can't be added gets the same answer, so owners can't use
+// this to find out which emails have accounts.
+app.post('/api/stores/:storeId/members', authenticateToken, async (req, res) => {
+    const storeId = parseId(req.params.storeId);
+    if (storeId === null) {
+        return res.status(400).json({ message: 'Invalid store ID' });
+    }
+
+    const { email, role } = req.body;
+    if (typeof email !== 'string' || validate.email(email.trim())) {
+        return res.status(400).json({ message: 'Invalid email format.' });
+    }
+    if (!STORE_MEMBER_ROLES.includes(role)) {
+        return res.status(400).json({ message: 'Invalid member role. Must be owner or manager.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const access = await storeMemberAccess(req.user, storeId, client);
+        if (access !== 'manage') {
+            await client.query('ROLLBACK');
+            return access
+                ? res.status(403).json({ message: 'Only the store\'s owners can change its members.' })
+                : res.status(404).json({ message: 'Store not found' });
+        }
+
+        const userResult = await client.query(
+            'SELECT id, email, role, status FROM users WHERE LOWER(email) = LOWER($1) FOR UPDATE',
+            [email.trim()]
+        );
+        const member = userResult.rows[0];
+        const canPromote = hasPermission(req.user, 'stores:write');
+        const addableRoles = canPromote ? ['user', 'store_owner'] : ['store_owner'];
+        if (!member || member.status !== 'active' || !addableRoles.includes(member.role)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                message: canPromote
+                    ? 'No active normal user or store owner account uses that email.'
+                    : 'No active store owner account uses that email. Ask an administrator to add new store owners.'
+            });
+        }
+
+        const inserted = await client.query(
+            `INSERT INTO store_members (store_id, user_id, role) VALUES ($1, $2, $3)
+             ON CONFLICT (store_id, user_id) DO NOTHING
+             RETURNING user_id`,
+            [storeId, member.id, role]
+        );
+        if (inserted.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'That account is already a member of this store.' });
+        }
+        await syncStoreOwnerRoles([member.id], client);
+
+        await recordAudit(client, req, 'store.member_add', {
+            targetType: 'store',
+            targetId: storeId,
+            after: { user_id: member.id, role },
+            details: { email: member.email }
+        });
+
+        await client.query('COMMIT');
+        res.status(201).json({ message: 'Member added successfully', members: await listStoreMembers(storeId) });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Add Store Member error:', error);
+        res.status(500).json({ message: 'Server error adding member.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+// Implement Update Store Member route (the store's owners, or stores:write)
+// Switches a member between owner and manager; the last owner can't step down.
+app.put('/api/stores/:storeId/members/:userId', authenticateToken, async (req, res) => {
+    const storeId = parseId(req.params.storeId);
+    const userId = parseId(req.params.userId);
+    if (storeId === null || userId === null) {
+        return res.status(400).json({ message: 'Invalid store or user ID' });
+    }
+
+    const { role } = req.body;
+    if (!STORE_MEMBER_ROLES.includes(role)) {
+        return res.status(400).json({ message: 'Invalid member role. Must be owner or manager.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const access = await storeMemberAccess(req.user, storeId, client);
+        if (access !== 'manage') {
+            await client.query('ROLLBACK');
+            return access
+                ? res.status(403).json({ message: 'Only the store\'s owners can change its members.' })
+                : res.status(404).json({ message: 'Store not found' });
+        }
+
+        const previous = await client.query(
+            'SELECT role FROM store_members WHERE store_id = $1 AND user_id = $2 FOR UPDATE',
+            [storeId, userId]
+        );
+        if (previous.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Member not found' });
+        }
+
+        await client.query('UPDATE store_members SET role = $1 WHERE store_id = $2 AND user_id = $3', [role, storeId, userId]);
+        if (!(await ensureStoreHasOwner(storeId, client))) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'A store needs at least one owner.' });
+        }
+
+        await recordAudit(client, req, 'store.member_update', {
+            targetType: 'store',
+            targetId: storeId,
+            before: { user_id: userId, role: previous.rows[0].role },
+            after: { user_id: userId, role }
+        });
+
+        await client.query('COMMIT');
+        res.json({ message: 'Member updated successfully', members: await listStoreMembers(storeId) });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Update Store Member error:', error);
+        res.status(500).json({ message: 'Server error updating member.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+// Implement Remove Store Member route (the store's owners, or stores:write)
+// Members may also leave a store themselves, unless they are its last owner.
+app.delete('/api/stores/:storeId/members/:userId', authenticateToken, async (req, res) => {
+    const storeId = parseId(req.params.storeId);
+    const userId = parseId(req.params.userId);
+    if (storeId === null || userId === null) {
+        return res.status(400).json({ message: 'Invalid store or user ID' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const access = await storeMemberAccess(req.user, storeId, client);
+        if (!access) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Store not found' });
+        }
+        if (access !== 'manage' && userId !== req.user.id) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: 'Only the store\'s owners can change its members.' });
+        }
+
+        const removed = await client.query(
+            'DELETE FROM store_members WHERE store_id = $1 AND user_id = $2 RETURNING role',
+            [storeId, userId]
+        );
+        if (removed.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Member not found' });
+        }
+        if (!(await ensureStoreHasOwner(storeId, client))) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'A store needs at least one owner.' });
+        }
+        await syncStoreOwnerRoles([userId], client);
+
+        await recordAudit(client, req, 'store.member_remove', {
+            targetType: 'store',
+            targetId: storeId,
+            before: { user_id: userId, role: removed.rows[0].role }
+        });
+
+        await client.query('COMMIT');
+        res.json({ message: 'Member removed successfully', members: await listStoreMembers(storeId) });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Remove Store Member error:', error);
+        res.status(500).json({ message: 'Server error removing member.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+// Look up a rating on one of the stores the user manages (owner or manager)
+const findManagedRating = async (ratingId, userId, client = pool) => {
+    const result = await client.query(`
+        SELECT r.id, r.review_title, r.review_body, s.name AS store_name, rr.body AS reply_body
+        FROM ratings r
+        JOIN stores s ON r.store_id = s.id
+        JOIN store_members m ON m.store_id = r.store_id AND m.user_id = $2
+        LEFT JOIN rating_replies rr ON rr.rating_id = r.id
+        WHERE r.id = $1
+    `, [ratingId, userId]);
+    return result.rows[0] || null;
+};
+
+
+// Implement Reply To Rating (Store members only - one editable reply per rating)
+app.put('/api/ratings/:ratingId/reply', authenticateToken, requirePermission('ratings:reply'), async (req, res) => {
+    const ratingId = parseId(req.params.ratingId);
+    if (ratingId === null) {
+        return res.status(400).json({ message: 'Invalid rating ID' });
+    }
+
+    const { body } = req.body;
+    const replyError = validate.reply(body);
+    if (replyError) {
+        return res.status(400).json({ message: replyError });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const rating = await findManagedRating(ratingId, req.user.id, client);
+
+        // Replies are limited to ratings on the stores the caller manages
+        if (!rating) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Rating not found' });
+        }
+        if (!rating.review_title && !rating.review_body) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'You can only reply to written reviews.' });
+        }
+
+        const result = await client.query(
+            `INSERT INTO rating_replies (rating_id, owner_id, body) VALUES ($1, $2, $3)
+             ON CONFLICT (rating_id) DO UPDATE SET body = $3, owner_id = $2
+             RETURNING id, rating_id, body, updated_at`,
+            [ratingId, req.user.id, body.trim()]
+        );
+        await recordAudit(client, req, 'rating.reply', {
+            targetType: 'rating',
+            targetId: ratingId,
+            targetLabel: rating.store_name,
+            before: rating.reply_body === null ? null : { reply: rating.reply_body },
+            after: { reply: result.rows[0].body }
+        });
+
+        await client.query('COMMIT');
+        res.json({ message: 'Reply saved successfully', reply: result.rows[0] });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Reply submission error:', error);
+        res.status(500).json({ message: 'Failed to save reply.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+// Implement Delete Reply (Store members only)
+app.delete('/api/ratings/:ratingId/reply', authenticateToken, requirePermission('ratings:reply'), async (req, res) => {
+    const ratingId = parseId(req.params.ratingId);
+    if (ratingId === null) {
+        return res.status(400).json({ message: 'Invalid rating ID' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const rating = await findManagedRating(ratingId, req.user.id, client);
+        if (!rating) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Rating not found' });
+        }
+
+        const result = await client.query('DELETE FROM rating_replies WHERE rating_id = $1 RETURNING body', [ratingId]);
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Reply not found' });
+        }
+        await recordAudit(client, req, 'rating.reply_delete', {
+            targetType: 'rating',
+            targetId: ratingId,
+            targetLabel: rating.store_name,
+            before: { reply: result.rows[0].body }
+        });
+
+        await client.query('COMMIT');
+        res.json({ message: 'Reply deleted successfully' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Reply deletion error:', error);
+        res.status(500).json({ message: 'Failed to delete reply.' });
+    } finally {
+        client.release();
     }
 });
 
@@ -501,4 +4786,4 @@ setInterval(() => {
     console.log('[Server] heartbeat - process is alive');
 }, 10000);
 
-module.exports = { app, server };
+module.exports = { app, server, mailer };
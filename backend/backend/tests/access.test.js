@@ -0,0 +1,169 @@
+// Role-scoped data access: every read and export route, as the seeded admin,
+// store owner and normal user. A route must answer with the expected status
+// and, where it returns data, only the rows that role may see.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ACCOUNTS, request, login, stopServer } = require('./helpers');
+
+const ROLES = ['admin', 'store_owner', 'user'];
+const MEGAMART_ID = 1;
+const QUICKSTOP_ID = 2;
+
+// Expected status per role, plus an optional check of the body for that role
+const CHECKS = [
+    {
+        path: '/api/data/users',
+        expect: { admin: 200, store_owner: 403, user: 403 },
+        body: { admin: (body) => assert.equal(body.total, 6) }
+    },
+    {
+        path: '/api/data/stores',
+        expect: { admin: 200, store_owner: 200, user: 200 },
+        body: {
+            store_owner: (body) => assert.equal(body.total, 2),
+            user: (body) => assert.equal(body.total, 2)
+        }
+    },
+    { path: `/api/data/stores/${MEGAMART_ID}`, expect: { admin: 200, store_owner: 200, user: 200 } },
+    { path: `/api/data/stores/${MEGAMART_ID}/reviews`, expect: { admin: 200, store_owner: 200, user: 200 } },
+    { path: '/api/data/stats', expect: { admin: 200, store_owner: 403, user: 403 } },
+    { path: '/api/data/analytics', expect: { admin: 200, store_owner: 403, user: 403 } },
+    {
+        path: '/api/data/my-stores',
+        expect: { admin: 200, store_owner: 200, user: 200 },
+        body: {
+            admin: (rows) => assert.deepEqual(rows, []),
+            store_owner: (rows) => assert.deepEqual(rows.map(row => row.id), [MEGAMART_ID]),
+            user: (rows) => assert.deepEqual(rows, [])
+        }
+    },
+    {
+        path: '/api/data/ratings',
+        expect: { admin: 200, store_owner: 200, user: 200 },
+        body: {
+            admin: (rows) => assert.equal(rows.length, 4),
+            store_owner: (rows) => {
+                assert.equal(rows.length, 2);
+                assert.ok(rows.every(row => row.store_id === MEGAMART_ID));
+            },
+            user: (rows) => {
+                assert.equal(rows.length, 2);
+                assert.ok(rows.every(row => row.user_id === ACCOUNTS.user.id));
+            }
+        }
+    },
+    {
+        path: `/api/data/ratings?storeId=${QUICKSTOP_ID}`,
+        expect: { admin: 200, store_owner: 200, user: 200 },
+        body: {
+            admin: (rows) => assert.equal(rows.length, 2),
+            store_owner: (rows) => assert.deepEqual(rows, []),
+            user: (rows) => assert.deepEqual(rows.map(row => [row.user_id, row.store_id]), [[ACCOUNTS.user.id, QUICKSTOP_ID]])
+        }
+    },
+    {
+        path: '/api/data/ratings/history',
+        expect: { admin: 200, store_owner: 200, user: 200 },
+        body: {
+            admin: (body) => assert.equal(body.total, 4),
+            store_owner: (body) => {
+                assert.equal(body.total, 2);
+                assert.ok(body.items.every(entry => entry.store_id === MEGAMART_ID));
+            },
+            user: (body) => {
+                assert.equal(body.total, 2);
+                assert.ok(body.items.every(entry => entry.user_id === ACCOUNTS.user.id));
+            }
+        }
+    },
+    {
+        path: `/api/data/ratings/history?storeId=${QUICKSTOP_ID}`,
+        expect: { admin: 200, store_owner: 200, user: 200 },
+        body: {
+            store_owner: (body) => assert.equal(body.total, 0),
+            user: (body) => assert.equal(body.total, 1)
+        }
+    },
+    {
+        path: `/api/data/stores/${MEGAMART_ID}/score-history`,
+        expect: { admin: 200, store_owner: 200, user: 404 },
+        body: {
+            admin: (body) => assert.equal(body.points.at(-1).rating_count, 2),
+            store_owner: (body) => assert.equal(body.points.at(-1).rating_count, 2)
+        }
+    },
+    // A store's history is hidden from everyone who isn't its member
+    { path: `/api/data/stores/${QUICKSTOP_ID}/score-history`, expect: { admin: 200, store_owner: 404, user: 404 } },
+    {
+        path: `/api/stores/${MEGAMART_ID}/members`,
+        expect: { admin: 200, store_owner: 200, user: 404 },
+        body: { store_owner: (rows) => assert.ok(rows.some(member => member.user_id === ACCOUNTS.store_owner.id)) }
+    },
+    { path: `/api/stores/${QUICKSTOP_ID}/members`, expect: { admin: 200, store_owner: 404, user: 404 } },
+    {
+        path: '/api/export/ratings?format=json',
+        expect: { admin: 200, store_owner: 200, user: 200 },
+        body: {
+            admin: (report) => assert.equal(report.items.length, 4),
+            store_owner: (report) => {
+                assert.equal(report.items.length, 2);
+                assert.ok(report.items.every(item => item.storeName === 'MegaMart Superstore Chain'));
+            },
+            user: (report) => {
+                assert.equal(report.items.length, 2);
+                assert.ok(report.items.every(item => item.userEmail === ACCOUNTS.user.email));
+            }
+        }
+    },
+    {
+        path: `/api/export/ratings?format=json&storeId=${QUICKSTOP_ID}`,
+        expect: { admin: 200, store_owner: 200, user: 200 },
+        body: {
+            store_owner: (report) => assert.deepEqual(report.items, []),
+            user: (report) => assert.equal(report.items.length, 1)
+        }
+    },
+    {
+        path: '/api/export/stores?format=json',
+        expect: { admin: 200, store_owner: 200, user: 200 },
+        body: { user: (report) => assert.equal(report.items.length, 2) }
+    },
+    {
+        path: '/api/export/users?format=json',
+        expect: { admin: 200, store_owner: 403, user: 403 },
+        body: { admin: (report) => assert.equal(report.items.length, 6) }
+    },
+    { path: '/api/admin/roles', expect: { admin: 200, store_owner: 403, user: 403 } },
+    { path: '/api/admin/audit-log', expect: { admin: 200, store_owner: 403, user: 403 } }
+];
+
+describe('role-scoped data access', () => {
+    const sessions = {};
+
+    before(async () => {
+        for (const role of ROLES) {
+            sessions[role] = await login(ACCOUNTS[role]);
+        }
+    });
+
+    after(stopServer);
+
+    for (const check of CHECKS) {
+        for (const role of ROLES) {
+            it(`${role} GET ${check.path} -> ${check.expect[role]}`, async () => {
+                const response = await request('GET', check.path, { token: sessions[role].token });
+                assert.equal(response.status, check.expect[role]);
+                if (check.body && check.body[role]) {
+                    check.body[role](response.body);
+                }
+            });
+        }
+    }
+
+    it('refuses requests without a token', async () => {
+        for (const check of CHECKS) {
+            const response = await request('GET', check.path);
+            assert.equal(response.status, 401, check.path);
+        }
+    });
+});
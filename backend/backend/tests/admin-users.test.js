@@ -0,0 +1,101 @@
+// Admin account management: changes an admin makes to another account
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ACCOUNTS, request, login, stopServer } = require('./helpers');
+
+after(stopServer);
+
+describe('admin account management', () => {
+    let admin;
+
+    before(async () => {
+        admin = await login(ACCOUNTS.admin);
+    });
+
+    it('suspending a user ends their sessions', async () => {
+        const bob = await login(ACCOUNTS.bob);
+        try {
+            const suspended = await request('PUT', `/api/admin/users/${ACCOUNTS.bob.id}/status`, {
+                token: admin.token,
+                body: { status: 'suspended' }
+            });
+            assert.equal(suspended.status, 200);
+            assert.equal(suspended.body.user.status, 'suspended');
+
+            const me = await request('GET', '/api/data/my-stores', { token: bob.token });
+            assert.equal(me.status, 401);
+            const refreshed = await request('POST', '/api/auth/refresh', { body: { refreshToken: bob.refreshToken } });
+            assert.equal(refreshed.status, 401);
+        } finally {
+            const reactivated = await request('PUT', `/api/admin/users/${ACCOUNTS.bob.id}/status`, {
+                token: admin.token,
+                body: { status: 'active' }
+            });
+            assert.equal(reactivated.status, 200);
+        }
+
+        // Reactivation doesn't bring the old sessions back, but a new login works
+        const me = await request('GET', '/api/data/my-stores', { token: bob.token });
+        assert.equal(me.status, 401);
+        await login(ACCOUNTS.bob);
+    });
+});
+
+// A support role may manage normal accounts, but never one that holds
+// permissions it lacks, such as the admin's
+describe('accounts with more permissions than the caller', () => {
+    const ROLE = 'test_support';
+    const STAFF = ACCOUNTS.alice;
+    const ADMIN_ID = ACCOUNTS.admin.id;
+    let admin;
+    let staff;
+
+    before(async () => {
+        admin = await login(ACCOUNTS.admin);
+        const created = await request('POST', '/api/admin/roles', {
+            token: admin.token,
+            body: { name: ROLE, description: 'Support agents', permissions: ['users:read', 'users:write'] }
+        });
+        assert.equal(created.status, 201);
+        const assigned = await request('PATCH', `/api/admin/users/${STAFF.id}`, { token: admin.token, body: { role: ROLE } });
+        assert.equal(assigned.status, 200);
+        staff = await login(STAFF);
+    });
+
+    after(async () => {
+        await request('PATCH', `/api/admin/users/${STAFF.id}`, { token: admin.token, body: { role: 'user' } });
+        await request('DELETE', `/api/admin/roles/${ROLE}`, { token: admin.token });
+    });
+
+    const ACTIONS = [
+        ['PUT', `/api/admin/users/${ADMIN_ID}/password`, undefined],
+        ['DELETE', `/api/admin/users/${ADMIN_ID}/two-factor`, undefined],
+        ['PATCH', `/api/admin/users/${ADMIN_ID}`, { email: 'taken-over@test.com' }],
+        ['PATCH', `/api/admin/users/${ADMIN_ID}`, { name: 'Someone Else Entirely Now' }],
+        ['PUT', `/api/admin/users/${ADMIN_ID}/status`, { status: 'suspended' }],
+        ['POST', `/api/admin/users/${ADMIN_ID}/unlock`, undefined],
+        ['DELETE', `/api/admin/users/${ADMIN_ID}`, undefined]
+    ];
+
+    for (const [method, path, body] of ACTIONS) {
+        it(`refuses ${method} ${path}${body ? ` ${JSON.stringify(body)}` : ''}`, async () => {
+            const response = await request(method, path, { token: staff.token, body });
+            assert.equal(response.status, 403);
+        });
+    }
+
+    it('left the admin account as it was', async () => {
+        await login(ACCOUNTS.admin);
+        const response = await request('GET', `/api/data/users?search=${encodeURIComponent(ACCOUNTS.admin.email)}`, { token: admin.token });
+        const row = response.body.items.find(item => item.id === ADMIN_ID);
+        assert.equal(row.email, ACCOUNTS.admin.email);
+        assert.equal(row.status, 'active');
+    });
+
+    it('still manages accounts within its permissions', async () => {
+        for (const account of [ACCOUNTS.bob, ACCOUNTS.store_owner]) {
+            const response = await request('POST', `/api/admin/users/${account.id}/unlock`, { token: staff.token });
+            assert.equal(response.status, 200, account.email);
+        }
+    });
+});
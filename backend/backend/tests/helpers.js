@@ -0,0 +1,55 @@
+// Shared setup for the API tests
+//
+// The tests boot the server on a free port against the database configured in
+// ../.env, which must hold the seed data (npm run setup, then npm run seed).
+// Each test file runs in its own process with its own server.
+
+process.env.PORT = '0';
+const { server, mailer } = require('../server');
+
+const listening = new Promise((resolve) => {
+    if (server.listening) resolve();
+    else server.once('listening', resolve);
+});
+
+// Seeded accounts (see db/seedData.js); MegaMart's owner owns store 1 and
+// QuickStop's owner store 2. Jane rated both stores.
+const ACCOUNTS = {
+    admin: { id: 1, email: 'admin@app.com', password: 'Admin@123' },
+    user: { id: 2, email: 'jane@user.com', password: 'User@123' },
+    store_owner: { id: 3, email: 'megamart@owner.com', password: 'Store@123' },
+    other_owner: { id: 4, email: 'qs@owner.com', password: 'Store@123' },
+    alice: { id: 5, email: 'alice@test.com', password: 'User@123' },
+    bob: { id: 6, email: 'bob@test.com', password: 'User@123' }
+};
+
+// Send a request and return { status, body }. JSON responses are parsed; any
+// other body comes back as text.
+const request = async (method, path, { token, body } = {}) => {
+    await listening;
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+        method,
+        headers: {
+            ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+            ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, body: isJson && text ? JSON.parse(text) : text };
+};
+
+// Log in and return the session (token, id, permissions...). Throws when the
+// login fails, so a broken seed shows up as a clear error.
+const login = async ({ email, password }) => {
+    const response = await request('POST', '/api/auth/login', { body: { email, password } });
+    if (response.status !== 200 || !response.body.token) {
+        throw new Error(`Login failed for ${email} (${response.status})`);
+    }
+    return response.body;
+};
+
+const stopServer = () => new Promise((resolve) => server.close(resolve));
+
+module.exports = { ACCOUNTS, request, login, stopServer, mailer };
@@ -0,0 +1,105 @@
+// Login limiter on its own: a fake clock and the memory store, no server
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLoginLimiter, createMemoryStore } = require('../login-limiter');
+
+const MINUTE = 60 * 1000;
+const EMAIL = 'jane@user.com';
+const IP = '203.0.113.7';
+
+describe('login limiter', () => {
+    let clock;
+    let store;
+    let limiter;
+
+    beforeEach(() => {
+        clock = Date.UTC(2026, 0, 1);
+        store = createMemoryStore();
+        limiter = createLoginLimiter({
+            store,
+            now: () => clock,
+            maxAccountFailures: 3,
+            maxIpFailures: 5,
+            windowMs: 10 * MINUTE,
+            baseLockMs: 5 * MINUTE,
+            maxLockMs: 60 * MINUTE
+        });
+    });
+
+    it('locks the account after maxAccountFailures failures', async () => {
+        assert.equal(await limiter.recordFailedAttempt(EMAIL, IP), null);
+        assert.equal(await limiter.recordFailedAttempt(EMAIL, IP), null);
+        assert.equal(await limiter.check(EMAIL, IP), null);
+
+        const lockedUntil = await limiter.recordFailedAttempt(EMAIL, IP);
+        assert.equal(lockedUntil.getTime(), clock + 5 * MINUTE);
+        assert.deepEqual(await limiter.check(EMAIL, IP), lockedUntil);
+        assert.deepEqual(await limiter.accountLockedUntil(EMAIL), lockedUntil);
+    });
+
+    it('matches the account whatever the email case and spacing', async () => {
+        await limiter.recordFailedAttempt('Jane@User.com', IP);
+        await limiter.recordFailedAttempt(' jane@user.com ', IP);
+        await limiter.recordFailedAttempt('JANE@USER.COM', IP);
+        assert.notEqual(await limiter.accountLockedUntil(EMAIL), null);
+    });
+
+    it('lifts the lock once it has run out', async () => {
+        for (let i = 0; i < 3; i++) {
+            await limiter.recordFailedAttempt(EMAIL, IP);
+        }
+        clock += 5 * MINUTE;
+        assert.equal(await limiter.check(EMAIL, IP), null);
+    });
+
+    it('doubles each repeated lock of the same account', async () => {
+        for (let i = 0; i < 3; i++) {
+            await limiter.recordFailedAttempt(EMAIL, IP);
+        }
+        clock += 5 * MINUTE;
+
+        let lockedUntil = null;
+        for (let i = 0; i < 3; i++) {
+            lockedUntil = await limiter.recordFailedAttempt(EMAIL, `198.51.100.${i}`);
+        }
+        assert.equal(lockedUntil.getTime(), clock + 10 * MINUTE);
+    });
+
+    it('forgets failures outside the window', async () => {
+        await limiter.recordFailedAttempt(EMAIL, IP);
+        await limiter.recordFailedAttempt(EMAIL, IP);
+        clock += 10 * MINUTE;
+        assert.equal(await limiter.recordFailedAttempt(EMAIL, IP), null);
+    });
+
+    it('resets the account count after a successful login', async () => {
+        await limiter.recordFailedAttempt(EMAIL, IP);
+        await limiter.recordFailedAttempt(EMAIL, IP);
+        await limiter.recordSuccess(EMAIL);
+
+        assert.equal(await store.get(`account:${EMAIL}`), null);
+        assert.equal(await limiter.recordFailedAttempt(EMAIL, IP), null);
+        assert.equal(await limiter.recordFailedAttempt(EMAIL, IP), null);
+        assert.equal(await limiter.check(EMAIL, IP), null);
+    });
+
+    it('keeps counting the IP across accounts after a successful login', async () => {
+        for (let i = 0; i < 4; i++) {
+            await limiter.recordFailedAttempt(`user${i}@test.com`, IP);
+        }
+        await limiter.recordSuccess('user0@test.com');
+
+        const lockedUntil = await limiter.recordFailedAttempt('other@test.com', IP);
+        assert.notEqual(lockedUntil, null);
+        assert.deepEqual(await limiter.check('someone@test.com', IP), lockedUntil);
+        assert.equal(await limiter.check('someone@test.com', '198.51.100.1'), null);
+    });
+
+    it('unlocks an account on request', async () => {
+        for (let i = 0; i < 3; i++) {
+            await limiter.recordFailedAttempt(EMAIL, IP);
+        }
+        await limiter.unlockAccount(EMAIL);
+        assert.equal(await limiter.accountLockedUntil(EMAIL), null);
+    });
+});
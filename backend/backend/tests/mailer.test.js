@@ -0,0 +1,54 @@
+// Mailer transports, chosen from the environment
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMailer, createMemoryTransport } = require('../mailer');
+
+const MESSAGE = { to: 'jane@user.com', subject: 'Hello', text: 'Reset code: 123456' };
+
+describe('mailer', () => {
+    const env = { NODE_ENV: process.env.NODE_ENV, MAIL_TRANSPORT: process.env.MAIL_TRANSPORT };
+
+    afterEach(() => {
+        for (const [name, value] of Object.entries(env)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    });
+
+    it('adds the sender and hands the message to the transport', async () => {
+        const transport = createMemoryTransport();
+        const mailer = createMailer(transport, 'sender@test.com');
+        await mailer.send(MESSAGE);
+        assert.deepEqual(transport.sent, [{ from: 'sender@test.com', ...MESSAGE }]);
+    });
+
+    it('switches transports at runtime', async () => {
+        const first = createMemoryTransport();
+        const second = createMemoryTransport();
+        const mailer = createMailer(first);
+        mailer.useTransport(second);
+        await mailer.send(MESSAGE);
+        assert.equal(first.sent.length, 0);
+        assert.equal(second.sent.length, 1);
+    });
+
+    it('never prints messages to the console in production', async (t) => {
+        process.env.NODE_ENV = 'production';
+        delete process.env.MAIL_TRANSPORT;
+        const log = t.mock.method(console, 'log', () => {});
+
+        const mailer = createMailer();
+        await assert.rejects(mailer.send(MESSAGE), /MAIL_TRANSPORT/);
+        assert.equal(log.mock.callCount(), 0);
+    });
+
+    it('prints messages to the console outside production', async (t) => {
+        process.env.NODE_ENV = 'development';
+        delete process.env.MAIL_TRANSPORT;
+        const log = t.mock.method(console, 'log', () => {});
+
+        await createMailer().send(MESSAGE);
+        assert.equal(log.mock.callCount(), 1);
+        assert.match(log.mock.calls[0].arguments[0], /Reset code: 123456/);
+    });
+});
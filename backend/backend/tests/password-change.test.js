@@ -0,0 +1,53 @@
+// Self-service password change
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ACCOUNTS, request, login, stopServer } = require('./helpers');
+
+const USER = ACCOUNTS.alice;
+const MAX_ACCOUNT_FAILURES = 5;
+
+describe('changing your own password', () => {
+    let admin;
+    let session;
+
+    before(async () => {
+        admin = await login(ACCOUNTS.admin);
+        session = await login(USER);
+    });
+
+    after(async () => {
+        await request('POST', `/api/admin/users/${USER.id}/unlock`, { token: admin.token });
+        await stopServer();
+    });
+
+    const changePassword = (currentPassword) =>
+        request('PUT', `/api/users/${USER.id}/password`, {
+            token: session.token,
+            body: { currentPassword, newPassword: USER.password }
+        });
+
+    it('counts wrong current passwords as failed logins and locks the account', async () => {
+        for (let attempt = 1; attempt < MAX_ACCOUNT_FAILURES; attempt++) {
+            const response = await changePassword('Wrong@123');
+            assert.equal(response.status, 400);
+            assert.equal(response.body.message, 'Current password is incorrect');
+        }
+
+        const locked = await changePassword('Wrong@123');
+        assert.equal(locked.status, 429);
+        assert.ok(locked.body.lockedUntil);
+
+        // The right password doesn't help until the lock is lifted, here or at login
+        assert.equal((await changePassword(USER.password)).status, 429);
+        assert.equal((await request('POST', '/api/auth/login', { body: USER })).status, 429);
+    });
+
+    it('checks the current password again once unlocked', async () => {
+        const unlocked = await request('POST', `/api/admin/users/${USER.id}/unlock`, { token: admin.token });
+        assert.equal(unlocked.status, 200);
+
+        const response = await changePassword(USER.password);
+        assert.equal(response.status, 400);
+        assert.equal(response.body.message, 'New password must be different from the current password');
+    });
+});
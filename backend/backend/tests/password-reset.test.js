@@ -0,0 +1,49 @@
+// Password reset by email
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryTransport } = require('../mailer');
+const { ACCOUNTS, request, login, stopServer, mailer } = require('./helpers');
+
+const GENERIC_RESPONSE = { message: 'If an account exists for that email, a reset link has been sent.' };
+
+describe('forgot password', () => {
+    after(stopServer);
+
+    it('gives the same answer for an unknown email and a failed send', async () => {
+        const unknown = await request('POST', '/api/auth/forgot-password', { body: { email: 'nobody@test.com' } });
+        assert.equal(unknown.status, 200);
+        assert.deepEqual(unknown.body, GENERIC_RESPONSE);
+
+        mailer.useTransport({
+            async send() {
+                throw new Error('mail provider unavailable');
+            }
+        });
+        const failed = await request('POST', '/api/auth/forgot-password', { body: { email: ACCOUNTS.user.email } });
+        assert.equal(failed.status, 200);
+        assert.deepEqual(failed.body, GENERIC_RESPONSE);
+    });
+
+    it('emails a one-time link that sets a new password', async () => {
+        const outbox = createMemoryTransport();
+        mailer.useTransport(outbox);
+
+        const response = await request('POST', '/api/auth/forgot-password', { body: { email: ACCOUNTS.user.email } });
+        assert.deepEqual(response.body, GENERIC_RESPONSE);
+        assert.equal(outbox.sent.length, 1);
+        assert.equal(outbox.sent[0].to, ACCOUNTS.user.email);
+        const [, token] = outbox.sent[0].text.match(/resetToken=([0-9a-f]+)/);
+
+        // Set the seeded password again so the other tests can still log in
+        const reset = await request('POST', '/api/auth/reset-password', {
+            body: { token, newPassword: ACCOUNTS.user.password }
+        });
+        assert.equal(reset.status, 200);
+        await login(ACCOUNTS.user);
+
+        const reused = await request('POST', '/api/auth/reset-password', {
+            body: { token, newPassword: ACCOUNTS.user.password }
+        });
+        assert.equal(reused.status, 400);
+    });
+});
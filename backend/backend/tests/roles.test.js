@@ -0,0 +1,62 @@
+// Custom roles, managed by someone holding roles:write but little else
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ACCOUNTS, request, login, stopServer } = require('./helpers');
+
+const MANAGER_ROLE = 'test_role_manager';
+const STRONGER_ROLE = 'test_moderator';
+const WEAKER_ROLE = 'test_viewer';
+const STAFF = ACCOUNTS.alice;
+
+describe('custom roles', () => {
+    let admin;
+    let staff;
+
+    const createRole = (session, name, permissions) =>
+        request('POST', '/api/admin/roles', { token: session.token, body: { name, permissions } });
+
+    before(async () => {
+        admin = await login(ACCOUNTS.admin);
+        assert.equal((await createRole(admin, MANAGER_ROLE, ['roles:write'])).status, 201);
+        assert.equal((await createRole(admin, STRONGER_ROLE, ['ratings:read', 'ratings:moderate'])).status, 201);
+        const assigned = await request('PATCH', `/api/admin/users/${STAFF.id}`, { token: admin.token, body: { role: MANAGER_ROLE } });
+        assert.equal(assigned.status, 200);
+        staff = await login(STAFF);
+    });
+
+    after(async () => {
+        await request('PATCH', `/api/admin/users/${STAFF.id}`, { token: admin.token, body: { role: 'user' } });
+        for (const role of [MANAGER_ROLE, STRONGER_ROLE, WEAKER_ROLE]) {
+            await request('DELETE', `/api/admin/roles/${role}`, { token: admin.token });
+        }
+        await stopServer();
+    });
+
+    it('refuses to change or delete a role with permissions the caller lacks', async () => {
+        const stripped = await request('PUT', `/api/admin/roles/${STRONGER_ROLE}`, {
+            token: staff.token,
+            body: { description: 'Nothing left', permissions: [] }
+        });
+        assert.equal(stripped.status, 403);
+
+        const deleted = await request('DELETE', `/api/admin/roles/${STRONGER_ROLE}`, { token: staff.token });
+        assert.equal(deleted.status, 403);
+
+        const roles = await request('GET', '/api/admin/roles', { token: admin.token });
+        const role = roles.body.roles.find(item => item.name === STRONGER_ROLE);
+        assert.deepEqual(role.permissions, ['ratings:moderate', 'ratings:read']);
+    });
+
+    it('manages roles within the caller\'s permissions', async () => {
+        assert.equal((await createRole(staff, WEAKER_ROLE, [])).status, 201);
+
+        const updated = await request('PUT', `/api/admin/roles/${WEAKER_ROLE}`, {
+            token: staff.token,
+            body: { description: 'Manages roles too', permissions: ['roles:write'] }
+        });
+        assert.equal(updated.status, 200);
+
+        const deleted = await request('DELETE', `/api/admin/roles/${WEAKER_ROLE}`, { token: staff.token });
+        assert.equal(deleted.status, 200);
+    });
+});
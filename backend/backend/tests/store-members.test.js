@@ -0,0 +1,73 @@
+// Store members: who can be added, and what membership lets them read
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ACCOUNTS, request, login, stopServer } = require('./helpers');
+
+const MEGAMART_ID = 1;
+const QUICKSTOP_ID = 2;
+
+describe('store members', () => {
+    let admin;
+    let owner;
+
+    before(async () => {
+        admin = await login(ACCOUNTS.admin);
+        owner = await login(ACCOUNTS.store_owner);
+    });
+
+    // Undo the memberships the tests add, whatever happened
+    after(async () => {
+        for (const account of [ACCOUNTS.other_owner, ACCOUNTS.bob]) {
+            await request('DELETE', `/api/stores/${MEGAMART_ID}/members/${account.id}`, { token: admin.token });
+        }
+        await stopServer();
+    });
+
+    const addMember = (session, email) =>
+        request('POST', `/api/stores/${MEGAMART_ID}/members`, { token: session.token, body: { email, role: 'manager' } });
+
+    const roleOf = async (account) => {
+        const response = await request('GET', `/api/data/users?search=${encodeURIComponent(account.email)}`, { token: admin.token });
+        return response.body.items.find(item => item.id === account.id).role;
+    };
+
+    it('answers an owner the same for unknown emails and normal users', async () => {
+        const unknown = await addMember(owner, 'nobody@test.com');
+        const normalUser = await addMember(owner, ACCOUNTS.bob.email);
+        assert.equal(unknown.status, 400);
+        assert.deepEqual(normalUser, unknown);
+        assert.equal(await roleOf(ACCOUNTS.bob), 'user');
+    });
+
+    it('lets an owner add another store owner', async () => {
+        const response = await addMember(owner, ACCOUNTS.other_owner.email);
+        assert.equal(response.status, 201);
+        assert.ok(response.body.members.some(member => member.user_id === ACCOUNTS.other_owner.id));
+
+        // Membership, not the role, decides which ratings they read
+        const otherOwner = await login(ACCOUNTS.other_owner);
+        const ratings = await request('GET', '/api/data/ratings', { token: otherOwner.token });
+        assert.deepEqual([...new Set(ratings.body.map(rating => rating.store_id))].sort((a, b) => a - b), [MEGAMART_ID, QUICKSTOP_ID]);
+        const history = await request('GET', `/api/data/stores/${MEGAMART_ID}/score-history`, { token: otherOwner.token });
+        assert.equal(history.status, 200);
+    });
+
+    it('lets an admin make a normal user a store member', async () => {
+        const response = await addMember(admin, ACCOUNTS.bob.email);
+        assert.equal(response.status, 201);
+        assert.equal(await roleOf(ACCOUNTS.bob), 'store_owner');
+
+        const bob = await login(ACCOUNTS.bob);
+        const ratings = await request('GET', '/api/data/ratings', { token: bob.token });
+        assert.ok(ratings.body.length > 0);
+        assert.ok(ratings.body.every(rating => rating.store_id === MEGAMART_ID));
+
+        const removed = await request('DELETE', `/api/stores/${MEGAMART_ID}/members/${ACCOUNTS.bob.id}`, { token: admin.token });
+        assert.equal(removed.status, 200);
+        assert.equal(await roleOf(ACCOUNTS.bob), 'user');
+
+        // Back to a normal user's own ratings
+        const own = await request('GET', '/api/data/ratings', { token: bob.token });
+        assert.ok(own.body.every(rating => rating.user_id === ACCOUNTS.bob.id));
+    });
+});
@@ -0,0 +1,42 @@
+// Store search: the stores list and the as-you-type suggestions
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ACCOUNTS, request, login, stopServer } = require('./helpers');
+
+const MEGAMART_ID = 1;
+const QUICKSTOP_ID = 2;
+
+describe('store search', () => {
+    let session;
+
+    before(async () => {
+        session = await login(ACCOUNTS.user);
+    });
+
+    after(stopServer);
+
+    const searchIds = async (search) => {
+        const response = await request('GET', `/api/data/stores?search=${encodeURIComponent(search)}`, { token: session.token });
+        assert.equal(response.status, 200);
+        return response.body.items.map(store => store.id);
+    };
+
+    it('finds stores by words in any order', async () => {
+        assert.deepEqual(await searchIds('superstore mega'), [MEGAMART_ID]);
+    });
+
+    it('finds misspelled store names', async () => {
+        assert.deepEqual(await searchIds('megmart'), [MEGAMART_ID]);
+        assert.deepEqual(await searchIds('quikstop'), [QUICKSTOP_ID]);
+    });
+
+    it('suggests misspelled store names while typing', async () => {
+        const response = await request('GET', '/api/data/stores/search?q=megmart', { token: session.token });
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.items.map(store => store.id), [MEGAMART_ID]);
+    });
+
+    it('finds nothing for unrelated text', async () => {
+        assert.deepEqual(await searchIds('xylophone'), []);
+    });
+});
@@ -0,0 +1,91 @@
+// Two-factor login: the login challenge, and turning it off again
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../totp');
+const { ACCOUNTS, request, login, stopServer } = require('./helpers');
+
+const OWNER = ACCOUNTS.other_owner;
+const MAX_ACCOUNT_FAILURES = 5;
+
+describe('disabling two-factor login', () => {
+    let admin;
+    let owner;
+    let secret;
+    let recoveryCodes;
+
+    before(async () => {
+        admin = await login(ACCOUNTS.admin);
+        owner = await login(OWNER);
+
+        const setup = await request('POST', '/api/auth/2fa/setup', { token: owner.token });
+        assert.equal(setup.status, 200);
+        secret = setup.body.secret;
+
+        const enabled = await request('POST', '/api/auth/2fa/enable', {
+            token: owner.token,
+            body: { code: totp.generateCode(secret) }
+        });
+        assert.equal(enabled.status, 200);
+        recoveryCodes = enabled.body.recoveryCodes;
+    });
+
+    // Leave the seeded owner without two-factor login whatever happened above
+    after(async () => {
+        await request('DELETE', `/api/admin/users/${OWNER.id}/two-factor`, { token: admin.token });
+        await request('POST', `/api/admin/users/${OWNER.id}/unlock`, { token: admin.token });
+        await stopServer();
+    });
+
+    it('only accepts the login challenge token at the second step', async () => {
+        const passwordStep = await request('POST', '/api/auth/login', { body: OWNER });
+        assert.equal(passwordStep.status, 200);
+        assert.equal(passwordStep.body.twoFactorRequired, true);
+
+        const { challengeToken } = passwordStep.body;
+        for (const path of ['/api/data/my-stores', '/api/auth/2fa']) {
+            const response = await request('GET', path, { token: challengeToken });
+            assert.equal(response.status, 401, path);
+        }
+    });
+
+    it('counts wrong passwords as failed logins and locks the account', async () => {
+        for (let attempt = 1; attempt < MAX_ACCOUNT_FAILURES; attempt++) {
+            const response = await request('POST', '/api/auth/2fa/disable', {
+                token: owner.token,
+                body: { password: 'Wrong@123', recoveryCode: recoveryCodes[0] }
+            });
+            assert.equal(response.status, 400);
+            assert.equal(response.body.message, 'Current password is incorrect');
+        }
+
+        const locked = await request('POST', '/api/auth/2fa/disable', {
+            token: owner.token,
+            body: { password: 'Wrong@123', recoveryCode: recoveryCodes[0] }
+        });
+        assert.equal(locked.status, 429);
+        assert.ok(locked.body.lockedUntil);
+
+        // The right password doesn't help until the lock is lifted, here or at login
+        const stillLocked = await request('POST', '/api/auth/2fa/disable', {
+            token: owner.token,
+            body: { password: OWNER.password, recoveryCode: recoveryCodes[0] }
+        });
+        assert.equal(stillLocked.status, 429);
+        const loginAttempt = await request('POST', '/api/auth/login', { body: OWNER });
+        assert.equal(loginAttempt.status, 429);
+    });
+
+    it('turns two-factor login off once unlocked', async () => {
+        const unlocked = await request('POST', `/api/admin/users/${OWNER.id}/unlock`, { token: admin.token });
+        assert.equal(unlocked.status, 200);
+
+        const disabled = await request('POST', '/api/auth/2fa/disable', {
+            token: owner.token,
+            body: { password: OWNER.password, recoveryCode: recoveryCodes[0] }
+        });
+        assert.equal(disabled.status, 200);
+
+        const status = await request('GET', '/api/auth/2fa', { token: owner.token });
+        assert.equal(status.body.enabled, false);
+    });
+});
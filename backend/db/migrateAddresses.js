@@ -0,0 +1,137 @@
+// Bring a database created before structured addresses up to date
+//
+// Adds the street, city, postal code and country columns (and the store
+// location) that schema.sql now creates, then fills them in by splitting the
+// existing one-line addresses on commas:
+//   "12 Main Street, Springfield 62701, USA" -> street, city + postal code, country
+//   "12 Main Street, Springfield"            -> street, city
+// The one-line address itself is kept as it is. Addresses that can't be split
+// are listed so an admin can enter their parts by hand. Store locations are
+// never guessed; admins add them in the store form.
+//
+// Usage: node migrateAddresses.js [--dry-run]
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const { Pool } = require('pg');
+
+const pool = new Pool({
+    user: process.env.DB_USER,
+    host: process.env.DB_HOST,
+    database: process.env.DB_DATABASE,
+    password: process.env.DB_PASSWORD,
+    port: process.env.DB_PORT,
+});
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Safe to run more than once: existing columns, constraints and indexes are kept
+const SCHEMA_CHANGES = `
+    ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS street VARCHAR(200),
+        ADD COLUMN IF NOT EXISTS city VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS postal_code VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS country VARCHAR(60);
+
+    ALTER TABLE stores
+        ADD COLUMN IF NOT EXISTS street VARCHAR(200),
+        ADD COLUMN IF NOT EXISTS city VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS postal_code VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS country VARCHAR(60),
+        ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+        ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180);
+
+    ALTER TABLE stores DROP CONSTRAINT IF EXISTS stores_location_pair;
+    ALTER TABLE stores ADD CONSTRAINT stores_location_pair CHECK ((latitude IS NULL) = (longitude IS NULL));
+
+    CREATE INDEX IF NOT EXISTS idx_stores_city ON stores(LOWER(city));
+`;
+
+// A postal code is a token with a digit, at either end of the city part
+const POSTAL_CODE = /^[A-Za-z0-9][A-Za-z0-9-]{1,19}$/;
+
+const splitPostalCode = (cityPart) => {
+    const words = cityPart.split(/\s+/);
+    if (words.length > 1) {
+        const last = words[words.length - 1];
+        if (/\d/.test(last) && POSTAL_CODE.test(last)) {
+            return { city: words.slice(0, -1).join(' '), postalCode: last.toUpperCase() };
+        }
+        if (/\d/.test(words[0]) && POSTAL_CODE.test(words[0])) {
+            return { city: words.slice(1).join(' '), postalCode: words[0].toUpperCase() };
+        }
+    }
+    return { city: cityPart, postalCode: null };
+};
+
+// Split a one-line address into its parts, or return null when it doesn't
+// look like "street, city[, country]"
+const splitAddress = (address) => {
+    const parts = String(address || '').split(',').map(part => part.trim().replace(/\s+/g, ' ')).filter(Boolean);
+    if (parts.length < 2) {
+        return null;
+    }
+
+    const country = parts.length >= 3 ? parts[parts.length - 1] : null;
+    const cityPart = parts.length >= 3 ? parts[parts.length - 2] : parts[1];
+    const street = parts.slice(0, parts.length >= 3 ? -2 : 1).join(', ');
+    const { city, postalCode } = splitPostalCode(cityPart);
+
+    if (street.length < 3 || street.length > 200) return null;
+    if (city.length < 2 || city.length > 100 || /\d/.test(city)) return null;
+    if (country !== null && (country.length < 2 || country.length > 60 || /\d/.test(country))) return null;
+    return { street, city, postalCode, country };
+};
+
+async function migrateTable(client, table) {
+    const rows = await client.query(`SELECT id, address FROM ${table} WHERE city IS NULL AND address IS NOT NULL ORDER BY id`);
+    const skipped = [];
+    let converted = 0;
+
+    for (const row of rows.rows) {
+        const parts = splitAddress(row.address);
+        if (!parts) {
+            skipped.push(row);
+            continue;
+        }
+        await client.query(
+            `UPDATE ${table} SET street = $1, city = $2, postal_code = $3, country = $4 WHERE id = $5`,
+            [parts.street, parts.city, parts.postalCode, parts.country, row.id]
+        );
+        converted++;
+        if (dryRun) {
+            console.log(`   ${table} #${row.id}: "${row.address}" -> ${JSON.stringify(parts)}`);
+        }
+    }
+
+    console.log(`✅ ${table}: ${converted} of ${rows.rows.length} addresses split`);
+    for (const row of skipped) {
+        console.log(`⚠️  ${table} #${row.id} needs its address parts entered by hand: "${row.address}"`);
+    }
+}
+
+async function migrateAddresses() {
+    console.log(`🏠 Migrating addresses${dryRun ? ' (dry run, nothing is saved)' : ''}...\n`);
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        console.log('🔨 Adding address columns...');
+        await client.query(SCHEMA_CHANGES);
+
+        console.log('✂️  Splitting one-line addresses...');
+        await migrateTable(client, 'users');
+        await migrateTable(client, 'stores');
+
+        await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+        console.log(dryRun ? '\nℹ️  Dry run finished, rolled back.' : '\n✅ Address migration complete!');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('❌ Error migrating addresses:', error);
+        process.exitCode = 1;
+    } finally {
+        client.release();
+        await pool.end();
+    }
+}
+
+migrateAddresses();
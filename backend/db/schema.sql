@@ -1,10 +1,69 @@
 -- Rating Platform Database Schema
 -- PostgreSQL Version
 
+-- Trigram similarity for typo-tolerant store search (ships with PostgreSQL's contrib modules)
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 -- Drop existing tables if they exist (be careful in production!)
+DROP TABLE IF EXISTS app_settings CASCADE;
+DROP TABLE IF EXISTS audit_log CASCADE;
+DROP TABLE IF EXISTS two_factor_recovery_codes CASCADE;
+DROP TABLE IF EXISTS password_reset_tokens CASCADE;
+DROP TABLE IF EXISTS refresh_tokens CASCADE;
+DROP TABLE IF EXISTS rating_history CASCADE;
+DROP TABLE IF EXISTS rating_replies CASCADE;
 DROP TABLE IF EXISTS ratings CASCADE;
+DROP TABLE IF EXISTS store_tags CASCADE;
+DROP TABLE IF EXISTS store_members CASCADE;
 DROP TABLE IF EXISTS stores CASCADE;
+DROP TABLE IF EXISTS categories CASCADE;
 DROP TABLE IF EXISTS users CASCADE;
+DROP TABLE IF EXISTS role_permissions CASCADE;
+DROP TABLE IF EXISTS permissions CASCADE;
+DROP TABLE IF EXISTS roles CASCADE;
+
+-- Roles table: Built-in roles plus custom ones created by admins
+CREATE TABLE roles (
+    name VARCHAR(30) PRIMARY KEY CHECK (name ~ '^[a-z][a-z0-9_]{2,29}$'),
+    description VARCHAR(200),
+    built_in BOOLEAN NOT NULL DEFAULT FALSE, -- Built-in roles can't be edited or deleted
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Permissions table: Every permission a route can require
+CREATE TABLE permissions (
+    name VARCHAR(50) PRIMARY KEY,
+    description VARCHAR(200) NOT NULL
+);
+
+-- Role permissions table: Which permissions each role grants
+CREATE TABLE role_permissions (
+    role VARCHAR(30) NOT NULL REFERENCES roles(name) ON DELETE CASCADE,
+    permission VARCHAR(50) NOT NULL REFERENCES permissions(name) ON DELETE CASCADE,
+    PRIMARY KEY (role, permission)
+);
+
+INSERT INTO roles (name, description, built_in) VALUES
+    ('admin', 'Full access to the platform', TRUE),
+    ('user', 'Rates and reviews stores', TRUE),
+    ('store_owner', 'Owns a store and replies to its reviews', TRUE);
+
+INSERT INTO permissions (name, description) VALUES
+    ('users:read', 'View the user directory'),
+    ('users:write', 'Create, edit, suspend, unlock and delete users and reset their passwords or two-factor login'),
+    ('stores:write', 'Create, edit, deactivate and delete stores, manage store categories, and see inactive stores'),
+    ('ratings:read', 'See every rating and the rating history of any store'),
+    ('ratings:moderate', 'Remove any rating'),
+    ('ratings:reply', 'Reply to reviews on stores they own'),
+    ('analytics:read', 'See dashboard totals and analytics'),
+    ('settings:write', 'Change platform security settings'),
+    ('roles:write', 'Create, edit and delete custom roles'),
+    ('audit:read', 'Search the audit log');
+
+INSERT INTO role_permissions (role, permission)
+SELECT 'admin', name FROM permissions WHERE name <> 'ratings:reply';
+
+INSERT INTO role_permissions (role, permission) VALUES ('store_owner', 'ratings:reply');
 
 -- Users table: Stores all users (admin, normal users, store owners)
 CREATE TABLE users (
@@ -12,41 +71,200 @@ CREATE TABLE users (
     name VARCHAR(60) NOT NULL CHECK (LENGTH(name) >= 20 AND LENGTH(name) <= 60),
     email VARCHAR(255) UNIQUE NOT NULL,
     password VARCHAR(255) NOT NULL, -- Will store bcrypt hashed passwords
-    address TEXT CHECK (LENGTH(address) <= 400),
-    role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'user', 'store_owner')),
+    address TEXT CHECK (LENGTH(address) <= 400), -- One-line address, built from the fields below when they are set
+    street VARCHAR(200),
+    city VARCHAR(100),
+    postal_code VARCHAR(20),
+    country VARCHAR(60),
+    role VARCHAR(30) NOT NULL REFERENCES roles(name), -- Permissions come from role_permissions
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'suspended')), -- Suspended accounts cannot log in
+    token_version INTEGER NOT NULL DEFAULT 0, -- Bumped to invalidate every access token issued so far
+    email_verified BOOLEAN NOT NULL DEFAULT TRUE, -- Self-service signups start unverified
+    must_change_password BOOLEAN NOT NULL DEFAULT FALSE, -- Set for admin-created accounts until the user picks their own password
+    totp_secret VARCHAR(64), -- Base32 TOTP secret; set during enrollment, before totp_enabled
+    totp_enabled BOOLEAN NOT NULL DEFAULT FALSE, -- Login asks for an authenticator code once enrollment is confirmed
+    totp_last_counter BIGINT, -- Time step of the last accepted code, so a code can't be replayed
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Categories table: Admin-managed store categories (grocery, electronics...)
+CREATE TABLE categories (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) NOT NULL CHECK (LENGTH(name) >= 2),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_categories_name ON categories(LOWER(name));
+
 -- Stores table: Stores registered on the platform
 CREATE TABLE stores (
     id SERIAL PRIMARY KEY,
     name VARCHAR(60) NOT NULL CHECK (LENGTH(name) >= 20 AND LENGTH(name) <= 60),
     email VARCHAR(255) UNIQUE NOT NULL,
-    address TEXT CHECK (LENGTH(address) <= 400),
-    owner_id INTEGER UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    address TEXT CHECK (LENGTH(address) <= 400), -- One-line address, built from the fields below when they are set
+    street VARCHAR(200),
+    city VARCHAR(100),
+    postal_code VARCHAR(20),
+    country VARCHAR(60),
+    -- Optional location for distance sorting, entered by an admin (no geocoding)
+    latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+    longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180),
+    CONSTRAINT stores_location_pair CHECK ((latitude IS NULL) = (longitude IS NULL)),
+    category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL, -- Uncategorized when NULL
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'inactive')), -- Inactive stores are hidden from users
+    -- Full-text search: name words rank above address words
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(address, '')), 'B')
+    ) STORED,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Store tags table: Free-form labels on stores (organic, open late...).
+-- Tags are stored lowercase, so each appears once per store.
+CREATE TABLE store_tags (
+    store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+    tag VARCHAR(30) NOT NULL CHECK (LENGTH(tag) >= 2 AND tag = LOWER(tag)),
+    PRIMARY KEY (store_id, tag)
+);
+
+-- Store members table: Who manages each store. An account can belong to any
+-- number of stores and a store can have several members; every store keeps at
+-- least one owner. Owners and managers both see the store's dashboard and reply
+-- to its reviews; only owners add or remove members.
+CREATE TABLE store_members (
+    store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'manager')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (store_id, user_id)
+);
+
 -- Ratings table: User ratings for stores
 CREATE TABLE ratings (
     id SERIAL PRIMARY KEY,
     user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
     rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
+    review_title VARCHAR(100), -- Optional written review shown with the rating
+    review_body TEXT CHECK (LENGTH(review_body) <= 2000),
+    -- Full-text search over the written review, so store search finds it
+    review_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(review_title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(review_body, '')), 'B')
+    ) STORED,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(user_id, store_id) -- Each user can rate a store only once
 );
 
+-- Rating replies table: One public reply per rating from a member of the store
+CREATE TABLE rating_replies (
+    id SERIAL PRIMARY KEY,
+    rating_id INTEGER UNIQUE NOT NULL REFERENCES ratings(id) ON DELETE CASCADE,
+    owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    body TEXT NOT NULL CHECK (LENGTH(body) >= 2 AND LENGTH(body) <= 1000),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Rating history table: Every submission, edit and withdrawal of a rating.
+-- The ratings table only holds the current score; this keeps the earlier ones.
+CREATE TABLE rating_history (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+    rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
+    review_title VARCHAR(100),
+    review_body TEXT,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('submitted', 'updated', 'withdrawn', 'removed')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Refresh tokens table: One row per issued refresh token, stored as a SHA-256
+-- hash. Tokens are single use; refreshing revokes the old one and issues a new one.
+CREATE TABLE refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Password reset tokens table: Single-use links sent by the forgot-password
+-- flow, stored as SHA-256 hashes like refresh tokens
+CREATE TABLE password_reset_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Two-factor recovery codes table: Single-use fallbacks for a lost
+-- authenticator, stored as SHA-256 hashes
+CREATE TABLE two_factor_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Audit log table: Every change made through the API (accounts, stores,
+-- ratings, roles and settings), kept even after the actor or target is deleted
+CREATE TABLE audit_log (
+    id SERIAL PRIMARY KEY,
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    actor_email VARCHAR(255), -- Copied at the time, so purged actors stay identifiable
+    action VARCHAR(50) NOT NULL,
+    target_type VARCHAR(20),
+    target_id INTEGER,
+    target_label VARCHAR(255), -- Email, store or role name of the target at the time
+    before_state JSONB, -- The target before the change (NULL when it was created)
+    after_state JSONB, -- The target after the change (NULL when it was deleted)
+    details JSONB,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- App settings table: Platform-wide policies changed from the admin dashboard
+CREATE TABLE app_settings (
+    key VARCHAR(50) PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO app_settings (key, value) VALUES ('require_two_factor', 'false');
+
 -- Indexes for better query performance
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_role ON users(role);
-CREATE INDEX idx_stores_owner_id ON stores(owner_id);
+CREATE INDEX idx_users_status ON users(status);
+CREATE INDEX idx_store_members_user_id ON store_members(user_id);
+CREATE INDEX idx_stores_status ON stores(status);
+CREATE INDEX idx_stores_category_id ON stores(category_id);
+CREATE INDEX idx_stores_city ON stores(LOWER(city));
+CREATE INDEX idx_store_tags_tag ON store_tags(tag);
+CREATE INDEX idx_stores_search_vector ON stores USING GIN (search_vector);
+CREATE INDEX idx_stores_name_trgm ON stores USING GIN (name gin_trgm_ops);
+CREATE INDEX idx_stores_address_trgm ON stores USING GIN (address gin_trgm_ops);
 CREATE INDEX idx_ratings_user_id ON ratings(user_id);
 CREATE INDEX idx_ratings_store_id ON ratings(store_id);
 CREATE INDEX idx_ratings_user_store ON ratings(user_id, store_id);
+CREATE INDEX idx_ratings_review_vector ON ratings USING GIN (review_vector);
+CREATE INDEX idx_rating_history_store_id ON rating_history(store_id, created_at);
+CREATE INDEX idx_rating_history_user_id ON rating_history(user_id);
+CREATE INDEX idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+CREATE INDEX idx_two_factor_recovery_codes_user_id ON two_factor_recovery_codes(user_id);
+CREATE INDEX idx_audit_log_created_at ON audit_log(created_at);
+CREATE INDEX idx_audit_log_actor_id ON audit_log(actor_id);
+CREATE INDEX idx_audit_log_target ON audit_log(target_type, target_id);
 
 -- Function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -66,3 +284,26 @@ CREATE TRIGGER update_stores_updated_at BEFORE UPDATE ON stores
 
 CREATE TRIGGER update_ratings_updated_at BEFORE UPDATE ON ratings
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_rating_replies_updated_at BEFORE UPDATE ON rating_replies
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_app_settings_updated_at BEFORE UPDATE ON app_settings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Record every new or changed rating in rating_history. Withdrawals are
+-- recorded by the API, which deletes the current rating.
+CREATE OR REPLACE FUNCTION record_rating_history()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO rating_history (user_id, store_id, rating, review_title, review_body, action)
+    VALUES (
+        NEW.user_id, NEW.store_id, NEW.rating, NEW.review_title, NEW.review_body,
+        CASE WHEN TG_OP = 'INSERT' THEN 'submitted' ELSE 'updated' END
+    );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER record_ratings_history AFTER INSERT OR UPDATE ON ratings
+    FOR EACH ROW EXECUTE FUNCTION record_rating_history();
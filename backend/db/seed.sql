@@ -31,18 +31,27 @@ Example seed data structure:
 USERS:
 1. Admin User (admin@app.com) - role: admin
 2. Jane Doe (jane@user.com) - role: user
-3. MegaMart Owner (megamart@owner.com) - role: store_owner, storeId: 1
-4. QuickStop Owner (qs@owner.com) - role: store_owner, storeId: 2
+3. MegaMart Owner (megamart@owner.com) - role: store_owner
+4. QuickStop Owner (qs@owner.com) - role: store_owner
 5. Alice Smith (alice@test.com) - role: user
 6. Bob Johnson (bob@test.com) - role: user
 
+CATEGORIES:
+1. Grocery
+2. Electronics
+3. Restaurant
+
 STORES:
-1. MegaMart (megamart@store.com) - owner_id: 3
-2. QuickStop Deli (quickstop@store.com) - owner_id: 4
+1. MegaMart (megamart@store.com) - Grocery; tags: parking, pharmacy, open late
+2. QuickStop Deli (quickstop@store.com) - Grocery; tags: deli, open late
+
+STORE MEMBERS:
+- MegaMart Owner (user 3) owns MegaMart (store 1)
+- QuickStop Owner (user 4) owns QuickStop (store 2)
 
 RATINGS:
 - Jane (user 2) rated MegaMart (store 1): 5 stars
 - Alice (user 5) rated MegaMart (store 1): 4 stars
-- Bob (user 6) rated QuickStop (store 2): 5 stars
+- Bob (user 6) rated QuickStop (store 2): 5 stars, reviewed "Best sandwiches downtown"
 - Jane (user 2) rated QuickStop (store 2): 3 stars
 */
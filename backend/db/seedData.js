@@ -75,25 +75,53 @@ async function seedDatabase() {
         );
         console.log(`✓ Bob Johnson created (ID: ${bobResult.rows[0].id})`);
         
+        // Insert categories
+        console.log('\nInserting categories...');
+        const categoryResult = await client.query(
+            "INSERT INTO categories (name) VALUES ('Grocery'), ('Electronics'), ('Restaurant') RETURNING id, name"
+        );
+        const categoryId = (name) => categoryResult.rows.find(row => row.name === name).id;
+        console.log('✓ Grocery, Electronics and Restaurant categories created');
+        
         // Insert stores
         console.log('\nInserting stores...');
         
+        // Stores have structured addresses and a location; the seeded users
+        // keep free-text addresses, like accounts created before structured
+        // addresses (see db/migrateAddresses.js)
+        const insertStore = 'INSERT INTO stores (name, email, address, street, city, postal_code, country, latitude, longitude, category_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id';
+        
         // 1. MegaMart
-        const megamartStoreResult = await client.query(
-            'INSERT INTO stores (name, email, address, owner_id) VALUES ($1, $2, $3, $4) RETURNING id',
-            ['MegaMart Superstore Chain', 'megamart@store.com', '700 Industrial Avenue, Store City', megamartOwnerId]
-        );
+        const megamartStoreResult = await client.query(insertStore, [
+            'MegaMart Superstore Chain', 'megamart@store.com', '700 Industrial Avenue, Springfield 62701, USA',
+            '700 Industrial Avenue', 'Springfield', '62701', 'USA', 39.781721, -89.650148, categoryId('Grocery')
+        ]);
         const megamartStoreId = megamartStoreResult.rows[0].id;
         console.log(`✓ MegaMart store created (ID: ${megamartStoreId})`);
         
         // 2. QuickStop Deli
-        const quickstopStoreResult = await client.query(
-            'INSERT INTO stores (name, email, address, owner_id) VALUES ($1, $2, $3, $4) RETURNING id',
-            ['QuickStop Deli and Convenience Store', 'quickstop@store.com', '888 City Center Boulevard, Downtown', quickstopOwnerId]
-        );
+        const quickstopStoreResult = await client.query(insertStore, [
+            'QuickStop Deli and Convenience Store', 'quickstop@store.com', '888 City Center Boulevard, Shelbyville 62565, USA',
+            '888 City Center Boulevard', 'Shelbyville', '62565', 'USA', 39.406155, -88.790045, categoryId('Grocery')
+        ]);
         const quickstopStoreId = quickstopStoreResult.rows[0].id;
         console.log(`✓ QuickStop store created (ID: ${quickstopStoreId})`);
         
+        // Each owner manages their own store
+        await client.query(
+            "INSERT INTO store_members (store_id, user_id, role) VALUES ($1, $2, 'owner'), ($3, $4, 'owner')",
+            [megamartStoreId, megamartOwnerId, quickstopStoreId, quickstopOwnerId]
+        );
+        console.log('✓ Store owners added to their stores');
+        
+        await client.query(
+            `INSERT INTO store_tags (store_id, tag) VALUES
+                ($1, 'parking'), ($1, 'pharmacy'), ($1, 'open late'),
+                ($2, 'deli'), ($2, 'open late')`,
+            [megamartStoreId, quickstopStoreId]
+        );
+        console.log('✓ Store tags added');
+        
         // Insert ratings
         console.log('\nInserting ratings...');
         
@@ -111,10 +139,10 @@ async function seedDatabase() {
         );
         console.log('✓ Alice rated MegaMart: 4 stars');
         
-        // Bob rates QuickStop: 5 stars
+        // Bob rates QuickStop: 5 stars, with a written review
         await client.query(
-            'INSERT INTO ratings (user_id, store_id, rating) VALUES ($1, $2, $3)',
-            [bobResult.rows[0].id, quickstopStoreId, 5]
+            'INSERT INTO ratings (user_id, store_id, rating, review_title, review_body) VALUES ($1, $2, $3, $4, $5)',
+            [bobResult.rows[0].id, quickstopStoreId, 5, 'Best sandwiches downtown', 'Fresh sandwiches made to order and the coffee is always hot.']
         );
         console.log('✓ Bob rated QuickStop: 5 stars');
         
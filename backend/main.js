@@ -20,8 +20,57 @@ const getAuthToken = () => {
   return authToken;
 };
 
+// Store the access/refresh token pair returned by login, signup, refresh and
+// password changes. Passing an empty object clears both.
+const setSession = ({ token, refreshToken } = {}) => {
+  setAuthToken(token || null);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  } else {
+    localStorage.removeItem('refreshToken');
+  }
+};
+
+// Fired when the session can't be renewed, so the app can return to the login screen
+const SESSION_EXPIRED_EVENT = 'session-expired';
+
+// Shared by concurrent requests so a refresh token is only spent once
+let refreshPromise = null;
+
+const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) return false;
+
+      const response = await fetch(`${API_BASE_URL}/api/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      });
+      if (!response.ok) return false;
+
+      setSession(await response.json());
+      return true;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+// Auth routes answer 401 for bad credentials, so apiCall doesn't refresh on
+// them, apart from these which act on the signed-in account
+const ACCOUNT_AUTH_ROUTES = ['/api/auth/resend-verification', '/api/auth/2fa'];
+
+const refreshesOnExpiry = (endpoint) =>
+  !endpoint.startsWith('/api/auth/') || ACCOUNT_AUTH_ROUTES.some(route => endpoint.startsWith(route));
+
 // Helper function for API calls
-const apiCall = async (endpoint, options = {}) => {
+// An expired access token is renewed once with the refresh token and the
+// request retried; if that fails the session is over. Pass asBlob for file
+// downloads, which resolve to a Blob instead of parsed JSON.
+const apiCall = async (endpoint, { asBlob = false, ...options } = {}, retried = false) => {
   const token = getAuthToken();
   const headers = {
     'Content-Type': 'application/json',
@@ -36,31 +85,73 @@ const apiCall = async (endpoint, options = {}) => {
     ...options,
     headers,
   });
+
+  if (response.status === 401 && token && !retried && refreshesOnExpiry(endpoint)) {
+    if (await refreshSession()) {
+      return apiCall(endpoint, { asBlob, ...options }, true);
+    }
+    setSession();
+    window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+  }
+
+  if (asBlob && response.ok) {
+    return await response.blob();
+  }
   
   const data = await response.json();
   
   if (!response.ok) {
-    throw new Error(data.message || 'API request failed');
+    // Keep the status and body so callers can show details like lockedUntil
+    const error = new Error(data.message || 'API request failed');
+    error.status = response.status;
+    error.data = data;
+    throw error;
   }
   
   return data;
 };
 
+// Build a query string from list options, skipping empty values
+const buildQueryString = (params = {}) => {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '') {
+      query.append(key, value);
+    }
+  });
+  const queryString = query.toString();
+  return queryString ? `?${queryString}` : '';
+};
+
 // Backend API Service
 const API = {
+  // Returns the user, or { twoFactorRequired, challengeToken } when the
+  // account needs a code from loginTwoFactor before it gets a session
   async login(email, password) {
     const data = await apiCall('/api/auth/login', {
       method: 'POST',
       body: JSON.stringify({ email, password }),
     });
     
-    // Store token
+    // Store tokens
     if (data.token) {
-      setAuthToken(data.token);
+      setSession(data);
     }
     
     return data;
   },
+
+  // factor is { code } or { recoveryCode }
+  async loginTwoFactor(challengeToken, factor) {
+    const data = await apiCall('/api/auth/login/2fa', {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken, ...factor }),
+    });
+    if (data.token) {
+      setSession(data);
+    }
+    return data;
+  },
   
   async signup(userData) {
     const data = await apiCall('/api/auth/signup', {
@@ -68,36 +159,140 @@ const API = {
       body: JSON.stringify(userData),
     });
     
-    // Store token
+    // Store tokens
     if (data.token) {
-      setAuthToken(data.token);
+      setSession(data);
     }
     
     return data;
   },
   
-  async updatePassword(userId, newPassword) {
-    await apiCall(`/api/users/${userId}/password`, {
+  async verifyEmail(token) {
+    return await apiCall('/api/auth/verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    });
+  },
+
+  async resendVerification() {
+    return await apiCall('/api/auth/resend-verification', {
+      method: 'POST',
+    });
+  },
+
+  async forgotPassword(email) {
+    return await apiCall('/api/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  },
+
+  async resetPassword(token, newPassword) {
+    return await apiCall('/api/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token, newPassword }),
+    });
+  },
+
+  // Changing your password ends your other sessions and returns a new one for this device
+  async updatePassword(userId, currentPassword, newPassword) {
+    const data = await apiCall(`/api/users/${userId}/password`, {
       method: 'PUT',
-      body: JSON.stringify({ newPassword }),
+      body: JSON.stringify({ currentPassword, newPassword }),
+    });
+    if (data.token) {
+      setSession(data);
+    }
+    return true;
+  },
+
+  // Returns { enabled, required, recoveryCodesRemaining }
+  async getTwoFactorStatus() {
+    return await apiCall('/api/auth/2fa');
+  },
+
+  // Returns { secret, otpauthUrl, qrCode } for the authenticator app
+  async startTwoFactorSetup() {
+    return await apiCall('/api/auth/2fa/setup', {
+      method: 'POST',
+    });
+  },
+
+  // Returns { recoveryCodes }, which are only shown once
+  async enableTwoFactor(code) {
+    return await apiCall('/api/auth/2fa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  },
+
+  async regenerateRecoveryCodes(code) {
+    return await apiCall('/api/auth/2fa/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  },
+
+  async disableTwoFactor(password, factor) {
+    await apiCall('/api/auth/2fa/disable', {
+      method: 'POST',
+      body: JSON.stringify({ password, ...factor }),
     });
     return true;
   },
 
-  async getUsers() {
-    return await apiCall('/api/data/users', {
+  // Returns { items, total, page, pageSize, totalPages }
+  async getUsers(params = {}) {
+    return await apiCall(`/api/data/users${buildQueryString(params)}`, {
+      method: 'GET',
+    });
+  },
+
+  // Returns { items, total, page, pageSize, totalPages }
+  async getStores(params = {}) {
+    return await apiCall(`/api/data/stores${buildQueryString(params)}`, {
+      method: 'GET',
+    });
+  },
+
+  async getStore(storeId) {
+    return await apiCall(`/api/data/stores/${storeId}`, {
+      method: 'GET',
+    });
+  },
+
+  // Ranked matches for params.q (plus the getStores filters), each with
+  // highlights { name, address, review } as [{ text, match }] segments
+  async searchStores(params = {}) {
+    return await apiCall(`/api/data/stores/search${buildQueryString(params)}`, {
+      method: 'GET',
+    });
+  },
+
+  // Takes the getStores filters. Returns { categories, uncategorized, tags, cities }
+  // with how many matching stores fall under each
+  async getStoreFacets(params = {}) {
+    return await apiCall(`/api/data/stores/facets${buildQueryString(params)}`, {
+      method: 'GET',
+    });
+  },
+
+  // Every category with its storeCount
+  async getCategories() {
+    return await apiCall('/api/data/categories', {
       method: 'GET',
     });
   },
 
-  async getStores() {
-    return await apiCall('/api/data/stores', {
+  // Stores the current user is an owner or manager of, with their member_role
+  async getMyStores() {
+    return await apiCall('/api/data/my-stores', {
       method: 'GET',
     });
   },
 
-  async getRatings() {
-    const ratings = await apiCall('/api/data/ratings', {
+  async getRatings(params = {}) {
+    const ratings = await apiCall(`/api/data/ratings${buildQueryString(params)}`, {
       method: 'GET',
     });
     
@@ -106,15 +301,79 @@ const API = {
       id: r.id,
       userId: r.user_id,
       storeId: r.store_id,
+      storeName: r.store_name,
       rating: r.rating,
-      userEmail: r.user_email
+      reviewTitle: r.review_title,
+      reviewBody: r.review_body,
+      updatedAt: r.updated_at,
+      userEmail: r.user_email,
+      replyBody: r.reply_body,
+      replyUpdatedAt: r.reply_updated_at
     }));
   },
   
-  async submitRating(userId, storeId, rating, userEmail) {
+  // Returns { total_users, total_stores, total_ratings }
+  async getStats() {
+    return await apiCall('/api/data/stats', {
+      method: 'GET',
+    });
+  },
+  
+  // params: { from, to, interval, minRatings }. Returns { range, signups, ratings,
+  // starDistribution, topStores, bottomStores, topRaters }
+  async getAnalytics(params = {}) {
+    return await apiCall(`/api/data/analytics${buildQueryString(params)}`, {
+      method: 'GET',
+    });
+  },
+
+  // Returns { items, total, page, pageSize, totalPages } of public reviews
+  async getStoreReviews(storeId, params = {}) {
+    return await apiCall(`/api/data/stores/${storeId}/reviews${buildQueryString(params)}`, {
+      method: 'GET',
+    });
+  },
+  
+  // review is optional: { reviewTitle, reviewBody }. Omitting it keeps the stored review.
+  async submitRating(userId, storeId, rating, review = {}) {
     await apiCall('/api/ratings', {
       method: 'POST',
-      body: JSON.stringify({ userId, storeId, rating }),
+      body: JSON.stringify({ userId, storeId, rating, ...review }),
+    });
+    return true;
+  },
+
+  async withdrawRating(storeId) {
+    await apiCall(`/api/ratings/${storeId}`, {
+      method: 'DELETE',
+    });
+    return true;
+  },
+
+  // Paginated submissions, edits and withdrawals, scoped by role like getRatings
+  async getRatingHistory(params = {}) {
+    return await apiCall(`/api/data/ratings/history${buildQueryString(params)}`, {
+      method: 'GET',
+    });
+  },
+
+  async getScoreHistory(storeId) {
+    return await apiCall(`/api/data/stores/${storeId}/score-history`, {
+      method: 'GET',
+    });
+  },
+
+  async saveReply(ratingId, body) {
+    await apiCall(`/api/ratings/${ratingId}/reply`, {
+      method: 'PUT',
+      body: JSON.stringify({ body }),
+    });
+    return true;
+  },
+
+  async deleteReply(ratingId) {
+    await apiCall(`/api/ratings/${ratingId}/reply`, {
+      method: 'DELETE',
     });
     return true;
   },
@@ -127,16 +386,222 @@ const API = {
     return true;
   },
 
+  // Returns { storeId, ownerId, temporaryPassword }; the password is only shown
+  // this once, and only when a new owner account was created
   async addStore(storeData) {
-    await apiCall('/api/admin/stores', {
+    return await apiCall('/api/admin/stores', {
+      method: 'POST',
+      body: JSON.stringify(storeData),
+    });
+  },
+
+  // kind is 'stores', 'users' or 'ratings'; params are the list's filters and
+  // sort. format is csv, json or html. Returns the file as a Blob.
+  async exportData(kind, format, params = {}) {
+    return await apiCall(`/api/export/${kind}${buildQueryString({ ...params, format })}`, {
+      method: 'GET',
+      asBlob: true,
+    });
+  },
+
+  // kind is 'users' or 'stores'; content is the file's text. Returns the
+  // per-row report { dryRun, imported, failed, rows }. A committed import with
+  // errors throws, with the report on err.data.
+  async importRecords(kind, format, content, dryRun) {
+    return await apiCall(`/api/admin/${kind}/import`, {
+      method: 'POST',
+      body: JSON.stringify({ format, content, dryRun }),
+    });
+  },
+
+  async updateUser(userId, userData) {
+    await apiCall(`/api/admin/users/${userId}`, {
+      method: 'PUT',
+      body: JSON.stringify(userData),
+    });
+    return true;
+  },
+
+  async setUserStatus(userId, status) {
+    await apiCall(`/api/admin/users/${userId}/status`, {
+      method: 'PUT',
+      body: JSON.stringify({ status }),
+    });
+    return true;
+  },
+
+  // Returns { temporaryPassword }; the user must change it at next login
+  async resetUserPassword(userId) {
+    return await apiCall(`/api/admin/users/${userId}/password`, {
+      method: 'PUT',
+    });
+  },
+
+  async resetUserTwoFactor(userId) {
+    await apiCall(`/api/admin/users/${userId}/two-factor`, {
+      method: 'DELETE',
+    });
+    return true;
+  },
+
+  async getTwoFactorPolicy() {
+    return await apiCall('/api/admin/settings/two-factor');
+  },
+
+  async setTwoFactorPolicy(required) {
+    return await apiCall('/api/admin/settings/two-factor', {
+      method: 'PUT',
+      body: JSON.stringify({ required }),
+    });
+  },
+
+  // Returns { roles, permissions }: every role with its permissions and user
+  // count, plus the permission catalogue
+  async getRoles() {
+    return await apiCall('/api/admin/roles');
+  },
+
+  async createRole(roleData) {
+    await apiCall('/api/admin/roles', {
+      method: 'POST',
+      body: JSON.stringify(roleData),
+    });
+    return true;
+  },
+
+  async updateRole(name, roleData) {
+    await apiCall(`/api/admin/roles/${name}`, {
+      method: 'PUT',
+      body: JSON.stringify(roleData),
+    });
+    return true;
+  },
+
+  async deleteRole(name) {
+    await apiCall(`/api/admin/roles/${name}`, {
+      method: 'DELETE',
+    });
+    return true;
+  },
+
+  async createCategory(name) {
+    await apiCall('/api/admin/categories', {
+      method: 'POST',
+      body: JSON.stringify({ name }),
+    });
+    return true;
+  },
+
+  async updateCategory(categoryId, name) {
+    await apiCall(`/api/admin/categories/${categoryId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ name }),
+    });
+    return true;
+  },
+
+  // The category's stores become uncategorized
+  async deleteCategory(categoryId) {
+    await apiCall(`/api/admin/categories/${categoryId}`, {
+      method: 'DELETE',
+    });
+    return true;
+  },
+
+  async removeRating(ratingId) {
+    await apiCall(`/api/admin/ratings/${ratingId}`, {
+      method: 'DELETE',
+    });
+    return true;
+  },
+
+  // Returns { items, total, page, pageSize, totalPages } of audit entries, newest first
+  async getAuditLog(params = {}) {
+    return await apiCall(`/api/admin/audit-log${buildQueryString(params)}`, {
+      method: 'GET',
+    });
+  },
+
+  async unlockUser(userId) {
+    await apiCall(`/api/admin/users/${userId}/unlock`, {
       method: 'POST',
+    });
+    return true;
+  },
+
+  async deleteUser(userId) {
+    await apiCall(`/api/admin/users/${userId}`, {
+      method: 'DELETE',
+    });
+    return true;
+  },
+
+  async updateStore(storeId, storeData) {
+    await apiCall(`/api/admin/stores/${storeId}`, {
+      method: 'PUT',
       body: JSON.stringify(storeData),
     });
     return true;
   },
+
+  async setStoreStatus(storeId, status) {
+    await apiCall(`/api/admin/stores/${storeId}/status`, {
+      method: 'PUT',
+      body: JSON.stringify({ status }),
+    });
+    return true;
+  },
+
+  async deleteStore(storeId) {
+    await apiCall(`/api/admin/stores/${storeId}`, {
+      method: 'DELETE',
+    });
+    return true;
+  },
+
+  // Member changes return the store's updated member list
+  async getStoreMembers(storeId) {
+    return await apiCall(`/api/stores/${storeId}/members`, {
+      method: 'GET',
+    });
+  },
+
+  async addStoreMember(storeId, email, role) {
+    const data = await apiCall(`/api/stores/${storeId}/members`, {
+      method: 'POST',
+      body: JSON.stringify({ email, role }),
+    });
+    return data.members;
+  },
+
+  async updateStoreMember(storeId, userId, role) {
+    const data = await apiCall(`/api/stores/${storeId}/members/${userId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ role }),
+    });
+    return data.members;
+  },
+
+  async removeStoreMember(storeId, userId) {
+    const data = await apiCall(`/api/stores/${storeId}/members/${userId}`, {
+      method: 'DELETE',
+    });
+    return data.members;
+  },
   
-  logout() {
-    setAuthToken(null);
+  // Revoke the refresh token on the server, then forget both tokens
+  async logout() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    try {
+      if (refreshToken) {
+        await apiCall('/api/auth/logout', {
+          method: 'POST',
+          body: JSON.stringify({ refreshToken }),
+        });
+      }
+    } finally {
+      setSession();
+    }
   }
 };
 
@@ -153,6 +618,35 @@ const validate = {
     if (address.length > 400) return 'Address cannot exceed 400 characters.';
     return null;
   },
+  street: (street) => {
+    if (!street || street.trim().length < 3) return 'Street must be at least 3 characters.';
+    if (street.trim().length > 200) return 'Street cannot exceed 200 characters.';
+    return null;
+  },
+  city: (city) => {
+    if (!city || city.trim().length < 2) return 'City must be at least 2 characters.';
+    if (city.trim().length > 100) return 'City cannot exceed 100 characters.';
+    return null;
+  },
+  postalCode: (postalCode) => {
+    if (!postalCode || !postalCode.trim()) return null; // Optional
+    if (!/^[A-Za-z0-9][A-Za-z0-9 -]{1,19}$/.test(postalCode.trim())) return 'Postal code must be 2-20 letters, digits, spaces or dashes.';
+    return null;
+  },
+  country: (country) => {
+    if (!country || country.trim().length < 2) return 'Country must be at least 2 characters.';
+    if (country.trim().length > 60) return 'Country cannot exceed 60 characters.';
+    return null;
+  },
+  // Both or neither; blank clears the location
+  coordinates: (latitude, longitude) => {
+    const blank = (value) => value === undefined || value === null || String(value).trim() === '';
+    if (blank(latitude) && blank(longitude)) return null;
+    if (blank(latitude) || blank(longitude)) return 'Enter both latitude and longitude, or neither.';
+    if (isNaN(Number(latitude)) || Math.abs(Number(latitude)) > 90) return 'Latitude must be between -90 and 90.';
+    if (isNaN(Number(longitude)) || Math.abs(Number(longitude)) > 180) return 'Longitude must be between -180 and 180.';
+    return null;
+  },
   password: (password) => {
     if (!password || password.length < 8) return 'Password must be 8-16 characters.';
     if (password.length > 16) return 'Password must be 8-16 characters.';
@@ -168,9 +662,59 @@ const validate = {
     const r = Number(rating);
     if (isNaN(r) || r < 1 || r > 5) return 'Rating must be between 1 and 5.';
     return null;
+  },
+  reviewTitle: (title) => {
+    if (!title) return null;
+    if (title.trim().length < 3) return 'Review title must be at least 3 characters.';
+    if (title.length > 100) return 'Review title cannot exceed 100 characters.';
+    return null;
+  },
+  reviewBody: (body) => {
+    if (!body) return null;
+    if (body.trim().length < 10) return 'Review must be at least 10 characters.';
+    if (body.length > 2000) return 'Review cannot exceed 2000 characters.';
+    return null;
+  },
+  reply: (body) => {
+    if (!body || body.trim().length < 2) return 'Reply must be at least 2 characters.';
+    if (body.length > 1000) return 'Reply cannot exceed 1000 characters.';
+    return null;
   }
 };
 
+const ADDRESS_PARTS = ['street', 'city', 'postalCode', 'country'];
+
+// Errors for the AddressFields of a form. A record saved before structured
+// addresses keeps its one-line address until any part is filled in.
+const addressErrors = (data, { withLocation = false } = {}) => {
+  const errors = {};
+  const structured = ADDRESS_PARTS.some(part => data[part] && data[part].trim());
+  if (structured || !data.address) {
+    for (const part of ADDRESS_PARTS) {
+      const error = validate[part](data[part]);
+      if (error) errors[part] = error;
+    }
+  }
+  if (withLocation) {
+    const error = validate.coordinates(data.latitude, data.longitude);
+    if (error) errors.location = error;
+  }
+  return errors;
+};
+
+// Form state for the address of a user or store record
+const addressFormData = (record) => ({
+  address: record.address || '',
+  street: record.street || '',
+  city: record.city || '',
+  postalCode: record.postalCode || record.postal_code || '',
+  country: record.country || '',
+  ...('latitude' in record ? {
+    latitude: record.latitude === null ? '' : String(record.latitude),
+    longitude: record.longitude === null ? '' : String(record.longitude)
+  } : {})
+});
+
 // Reusable Components
 const InputField = ({ label, type = 'text', value, onChange, error, placeholder, minLength, maxLength, required }) => (
   <div>
@@ -191,7 +735,93 @@ const InputField = ({ label, type = 'text', value, onChange, error, placeholder,
   </div>
 );
 
-const LucideIcon = ({ name, className = '', ...rest }) => {
+// Street, city, postal code and country inputs, plus the map location for
+// stores. value is the form data and onChange gets the changed fields.
+const AddressFields = ({ value, onChange, errors = {}, withLocation = false }) => {
+  const legacy = value.address && ADDRESS_PARTS.every(part => !value[part]);
+  const field = (name, label, placeholder, maxLength) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <input
+        type="text"
+        placeholder={placeholder}
+        value={value[name] || ''}
+        onChange={(e) => onChange({ [name]: e.target.value })}
+        className={`w-full px-4 py-2 border rounded-lg ${errors[name] ? 'border-red-500' : 'border-gray-300'}`}
+        maxLength={maxLength}
+      />
+      {errors[name] && <p className="text-red-600 text-xs mt-1">{errors[name]}</p>}
+    </div>
+  );
+
+  return (
+    <div className="space-y-3">
+      {legacy && (
+        <p className="text-xs text-gray-600 bg-gray-50 border border-gray-200 rounded px-3 py-2">
+          Saved address: {value.address}. Fill in the fields below to split it into street, city and country, or leave them empty to keep it.
+        </p>
+      )}
+      {field('street', 'Street', '12 Main Street', 200)}
+      <div className="grid grid-cols-2 gap-3">
+        {field('city', 'City', 'Springfield', 100)}
+        {field('postalCode', 'Postal code (optional)', '62701', 20)}
+      </div>
+      {field('country', 'Country', 'USA', 60)}
+      {withLocation && (
+        <div>
+          <div className="grid grid-cols-2 gap-3">
+            {field('latitude', 'Latitude (optional)', '39.7817', 20)}
+            {field('longitude', 'Longitude (optional)', '-89.6501', 20)}
+          </div>
+          <p className="text-xs text-gray-500 mt-1">Decimal degrees, for sorting stores by distance. Leave both empty if unknown.</p>
+          {errors.location && <p className="text-red-600 text-xs mt-1">{errors.location}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const PAGE_SIZE = 10;
+const EMPTY_PAGE = { items: [], total: 0, page: 1, pageSize: PAGE_SIZE, totalPages: 0 };
+
+const Pagination = ({ page, totalPages, total, onPageChange }) => (
+  <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+    <span>{total} {total === 1 ? 'result' : 'results'}</span>
+    <div className="flex items-center gap-2">
+      <button
+        onClick={() => onPageChange(page - 1)}
+        disabled={page <= 1}
+        className="px-3 py-1 border rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        Previous
+      </button>
+      <span>Page {totalPages === 0 ? 0 : page} of {totalPages}</span>
+      <button
+        onClick={() => onPageChange(page + 1)}
+        disabled={page >= totalPages}
+        className="px-3 py-1 border rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        Next
+      </button>
+    </div>
+  </div>
+);
+
+const StatusBadge = ({ status }) => (
+  <span className={'px-2 py-1 rounded text-xs font-medium ' + (
+    status === 'active' ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-700'
+  )}>
+    {status}
+  </span>
+);
+
+// Averages arrive as floats (0 when a store has no ratings yet)
+const formatRating = (value) => Number(value || 0).toFixed(1);
+
+// Whether the signed-in user's role grants a permission (login returns the list)
+const can = (user, permission) => (user.permissions || []).includes(permission);
+
+const LucideIcon = ({ name, className = '', ...rest }) => {
   React.useEffect(() => {
     if (typeof window !== 'undefined' && window.lucide && typeof window.lucide.createIcons === 'function') {
       window.lucide.createIcons();
@@ -203,7 +833,10 @@ const LucideIcon = ({ name, className = '', ...rest }) => {
   );
 };
 
-const PasswordUpdateModal = ({ userId, onClose, onSuccess }) => {
+// mandatory: shown before any dashboard to accounts that must replace an
+// admin-set password, so it can't be dismissed
+const PasswordUpdateModal = ({ userId, onClose, onSuccess, mandatory = false }) => {
+  const [currentPassword, setCurrentPassword] = React.useState('');
   const [newPassword, setNewPassword] = React.useState('');
   const [confirmPassword, setConfirmPassword] = React.useState('');
   const [error, setError] = React.useState(null);
@@ -213,18 +846,26 @@ const PasswordUpdateModal = ({ userId, onClose, onSuccess }) => {
     e.preventDefault();
     setError(null);
 
+    if (!currentPassword) {
+      setError('Please enter your current password.');
+      return;
+    }
     const passwordError = validate.password(newPassword);
     if (passwordError) {
       setError(passwordError);
       return;
     }
+    if (newPassword === currentPassword) {
+      setError('New password must be different from the current password.');
+      return;
+    }
     if (newPassword !== confirmPassword) {
       setError('Passwords do not match.');
       return;
     }
 
     try {
-      await API.updatePassword(userId, newPassword);
+      await API.updatePassword(userId, currentPassword, newPassword);
       onSuccess();
     } catch (err) {
       setError(err.message || 'Failed to update password.');
@@ -235,10 +876,16 @@ const PasswordUpdateModal = ({ userId, onClose, onSuccess }) => {
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
       <div className="bg-white rounded-lg p-6 w-full max-w-md">
         <div className="flex justify-between items-center mb-4">
-          <h3 className="text-xl font-bold">Update Password</h3>
-          <button onClick={onClose}><LucideIcon name="x" className="w-5 h-5" /></button>
+          <h3 className="text-xl font-bold">{mandatory ? 'Choose Your Password' : 'Update Password'}</h3>
+          {!mandatory && <button onClick={onClose}><LucideIcon name="x" className="w-5 h-5" /></button>}
         </div>
         
+        {mandatory && (
+          <p className="text-sm text-gray-600 mb-4">
+            Your account was set up with a temporary password. Choose your own password to continue.
+          </p>
+        )}
+        
         <form onSubmit={handleSubmit} className="space-y-4">
           {error && (
             <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">
@@ -246,6 +893,19 @@ const PasswordUpdateModal = ({ userId, onClose, onSuccess }) => {
             </div>
           )}
           
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {mandatory ? 'Temporary Password' : 'Current Password'}
+            </label>
+            <input
+              type={showPassword ? 'text' : 'password'}
+              value={currentPassword}
+              onChange={(e) => setCurrentPassword(e.target.value)}
+              className="w-full px-4 py-2 border rounded-lg"
+              required
+            />
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">New Password</label>
             <div className="relative">
@@ -292,98 +952,1954 @@ const PasswordUpdateModal = ({ userId, onClose, onSuccess }) => {
   );
 };
 
-// --- Dashboards ---
+// A 6-digit entry is an authenticator code; anything else is tried as a recovery code
+const secondFactorFields = (value) => {
+  const trimmed = value.trim();
+  return /^\d{6}$/.test(trimmed) ? { code: trimmed } : { recoveryCode: trimmed };
+};
 
-const AdminDashboard = ({ user, onLogout }) => {
-  const [users, setUsers] = React.useState([]);
-  const [stores, setStores] = React.useState([]);
-  const [ratings, setRatings] = React.useState([]);
-  const [view, setView] = React.useState('dashboard');
-  const [searchTerm, setSearchTerm] = React.useState('');
-  const [filterRole, setFilterRole] = React.useState('all');
-  const [sortConfig, setSortConfig] = React.useState({ key: null, direction: 'asc' });
-  const [showAddModal, setShowAddModal] = React.useState(null);
-  const [showPasswordModal, setShowPasswordModal] = React.useState(false);
-  const [formData, setFormData] = React.useState({});
-  const [formErrors, setFormErrors] = React.useState({});
+// Two-factor login for admins, store owners and staff: enroll an authenticator app,
+// replace recovery codes or turn it off. mandatory: shown before any dashboard
+// when the admin policy requires enrollment, so it can't be dismissed
+const TwoFactorModal = ({ onClose, onEnabled, mandatory = false }) => {
+  const [status, setStatus] = React.useState(null);
+  const [setup, setSetup] = React.useState(null); // { secret, qrCode } while enrolling
+  const [recoveryCodes, setRecoveryCodes] = React.useState(null); // Shown once after enabling or replacing
+  const [action, setAction] = React.useState(null); // 'recoveryCodes' or 'disable' on an enabled account
+  const [code, setCode] = React.useState('');
+  const [password, setPassword] = React.useState('');
+  const [error, setError] = React.useState(null);
 
   React.useEffect(() => {
-    loadData();
+    loadStatus();
+    if (mandatory) {
+      startSetup();
+    }
   }, []);
 
-  const loadData = async () => {
-    const userData = await API.getUsers();
-    const storeData = await API.getStores();
-    const ratingData = await API.getRatings();
-    setUsers(userData);
-    setStores(storeData);
-    setRatings(ratingData);
+  const loadStatus = async () => {
+    try {
+      setStatus(await API.getTwoFactorStatus());
+    } catch (err) {
+      setError(err.message || 'Failed to load two-factor status.');
+    }
   };
 
-  const handleSort = (key, currentView) => {
-    if (currentView !== view) { // Reset sort when changing views
-      setSortConfig({ key, direction: 'asc' });
-      return;
+  const startSetup = async () => {
+    setError(null);
+    try {
+      setSetup(await API.startTwoFactorSetup());
+    } catch (err) {
+      setError(err.message || 'Failed to start two-factor setup.');
     }
-    setSortConfig({
-      key,
-      direction: sortConfig.key === key && sortConfig.direction === 'asc' ? 'desc' : 'asc'
-    });
   };
 
-  const sortData = (data) => {
-    if (!sortConfig.key) return data;
-    return [...data].sort((a, b) => {
-      const aVal = a[sortConfig.key] || '';
-      const bVal = b[sortConfig.key] || '';
-      if (typeof aVal === 'string' && typeof bVal === 'string') {
-        if (aVal.toLowerCase() < bVal.toLowerCase()) return sortConfig.direction === 'asc' ? -1 : 1;
-        if (aVal.toLowerCase() > bVal.toLowerCase()) return sortConfig.direction === 'asc' ? 1 : -1;
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      const data = await API.enableTwoFactor(code.trim());
+      setSetup(null);
+      setCode('');
+      setRecoveryCodes(data.recoveryCodes);
+    } catch (err) {
+      setError(err.message || 'Failed to enable two-factor authentication.');
+    }
+  };
+
+  const handleAction = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      if (action === 'recoveryCodes') {
+        const data = await API.regenerateRecoveryCodes(code.trim());
+        setRecoveryCodes(data.recoveryCodes);
       } else {
-        if (aVal < bVal) return sortConfig.direction === 'asc' ? -1 : 1;
-        if (aVal > bVal) return sortConfig.direction === 'asc' ? 1 : -1;
+        await API.disableTwoFactor(password, secondFactorFields(code));
+        await loadStatus();
       }
-      return 0;
-    });
+      setAction(null);
+      setCode('');
+      setPassword('');
+    } catch (err) {
+      setError(err.message || 'Action failed.');
+    }
+  };
+
+  // Leave the recovery codes screen once they've been saved
+  const finishRecoveryCodes = () => {
+    setRecoveryCodes(null);
+    if (mandatory) {
+      onEnabled();
+      return;
+    }
+    loadStatus();
   };
 
-  const filteredUsers = sortData(users.filter(u => {
-    // Only filter users when the view is 'users'
-    if (view !== 'users') return true; 
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-bold">Two-Factor Authentication</h3>
+          {!mandatory && <button onClick={onClose}><LucideIcon name="x" className="w-5 h-5" /></button>}
+        </div>
 
-    const matchesSearch = u.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         u.email.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         u.address.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesRole = filterRole === 'all' || u.role === filterRole;
-    return matchesSearch && matchesRole;
-  }));
+        {mandatory && !recoveryCodes && (
+          <p className="text-sm text-gray-600 mb-4">
+            Your administrator requires two-factor authentication for your account. Set it up to continue.
+          </p>
+        )}
 
-  const filteredStores = sortData(stores.filter(s => {
-    // Only filter stores when the view is 'stores'
-    if (view !== 'stores') return true; 
-    
-    return s.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-           s.address.toLowerCase().includes(searchTerm.toLowerCase());
-  }));
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm mb-4">
+            {error}
+          </div>
+        )}
+
+        {recoveryCodes ? (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-700">
+              Save these recovery codes somewhere safe. Each one can be used once to log in if you lose your authenticator app. They won't be shown again.
+            </p>
+            <div className="grid grid-cols-2 gap-2 bg-gray-50 border rounded-lg p-4">
+              {recoveryCodes.map(recoveryCode => (
+                <span key={recoveryCode} className="font-mono text-sm text-center">{recoveryCode}</span>
+              ))}
+            </div>
+            <button
+              onClick={finishRecoveryCodes}
+              className="w-full bg-indigo-600 text-white py-2 rounded-lg hover:bg-indigo-700 transition"
+            >
+              I've Saved These Codes
+            </button>
+          </div>
+        ) : setup ? (
+          <form onSubmit={handleEnable} className="space-y-4">
+            <p className="text-sm text-gray-700">
+              Scan this QR code with an authenticator app, then enter the 6-digit code it shows.
+            </p>
+            <img src={setup.qrCode} alt="Two-factor QR code" className="mx-auto w-48 h-48" />
+            <p className="text-xs text-gray-500 text-center">
+              Can't scan it? Enter this key instead:
+              <span className="block font-mono text-sm text-gray-800 break-all mt-1">{setup.secret}</span>
+            </p>
+            <InputField
+              label="Verification Code"
+              placeholder="123456"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              maxLength={6}
+              required
+            />
+            <div className="flex gap-3">
+              {!mandatory && (
+                <button
+                  type="button"
+                  onClick={() => { setSetup(null); setCode(''); }}
+                  className="flex-1 px-4 py-2 rounded-lg border hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+              )}
+              <button
+                type="submit"
+                className="flex-1 bg-indigo-600 text-white py-2 rounded-lg hover:bg-indigo-700 transition"
+              >
+                Verify and Enable
+              </button>
+            </div>
+          </form>
+        ) : !status ? (
+          <p className="text-gray-500">Loading...</p>
+        ) : !status.enabled ? (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-700">
+              Protect your account with a code from an authenticator app in addition to your password.
+            </p>
+            <button
+              onClick={startSetup}
+              className="w-full bg-indigo-600 text-white py-2 rounded-lg hover:bg-indigo-700 transition"
+            >
+              Set Up Two-Factor Authentication
+            </button>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="flex items-center gap-2 text-green-700">
+              <LucideIcon name="shield-check" className="w-5 h-5" />
+              <span className="font-medium">Two-factor authentication is on</span>
+            </div>
+            <p className="text-sm text-gray-600">
+              {status.recoveryCodesRemaining} unused recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} left.
+              {status.required && ' Your administrator requires two-factor authentication, so it cannot be turned off.'}
+            </p>
+
+            {action ? (
+              <form onSubmit={handleAction} className="space-y-4">
+                {action === 'disable' && (
+                  <InputField
+                    label="Current Password"
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    required
+                  />
+                )}
+                <InputField
+                  label={action === 'disable' ? 'Authenticator or Recovery Code' : 'Authenticator Code'}
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  required
+                />
+                <div className="flex gap-3">
+                  <button
+                    type="button"
+                    onClick={() => { setAction(null); setCode(''); setPassword(''); setError(null); }}
+                    className="flex-1 px-4 py-2 rounded-lg border hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    className={`flex-1 text-white py-2 rounded-lg transition ${action === 'disable' ? 'bg-red-600 hover:bg-red-700' : 'bg-indigo-600 hover:bg-indigo-700'}`}
+                  >
+                    {action === 'disable' ? 'Turn Off' : 'Generate Codes'}
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setAction('recoveryCodes')}
+                  className="flex-1 px-4 py-2 rounded-lg border hover:bg-gray-50"
+                >
+                  New Recovery Codes
+                </button>
+                {!status.required && (
+                  <button
+                    onClick={() => setAction('disable')}
+                    className="flex-1 px-4 py-2 rounded-lg bg-red-600 text-white hover:bg-red-700"
+                  >
+                    Turn Off
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const ConfirmDialog = ({ title, message, confirmLabel = 'Confirm', error, onConfirm, onCancel }) => (
+  <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+    <div className="bg-white rounded-lg p-6 w-full max-w-md">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-bold">{title}</h3>
+        <button onClick={onCancel}><LucideIcon name="x" className="w-5 h-5" /></button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm mb-4">
+          {error}
+        </div>
+      )}
+
+      <p className="text-gray-700 mb-6">{message}</p>
+
+      <div className="flex justify-end gap-3">
+        <button
+          onClick={onCancel}
+          className="px-4 py-2 rounded-lg border hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={onConfirm}
+          className="px-4 py-2 rounded-lg bg-red-600 text-white hover:bg-red-700"
+        >
+          {confirmLabel}
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+const StoreDetailModal = ({ store, user, onClose, onSaved }) => {
+  const [reviews, setReviews] = React.useState(EMPTY_PAGE);
+  const [page, setPage] = React.useState(1);
+  const [form, setForm] = React.useState({
+    rating: store.my_rating || '',
+    reviewTitle: store.my_review_title || '',
+    reviewBody: store.my_review_body || '',
+  });
+  const [error, setError] = React.useState(null);
+  const [myHistory, setMyHistory] = React.useState([]);
+
+  React.useEffect(() => {
+    loadReviews();
+  }, [page]);
+
+  React.useEffect(() => {
+    if (user.role === 'user') loadMyHistory();
+  }, []);
+
+  const loadReviews = async () => {
+    setReviews(await API.getStoreReviews(store.id, { page, pageSize: 5 }));
+  };
+
+  const loadMyHistory = async () => {
+    const history = await API.getRatingHistory({ storeId: store.id, pageSize: 10 });
+    setMyHistory(history.items);
+  };
+
+  const handleWithdraw = async () => {
+    if (!window.confirm('Withdraw your rating and review for this store?')) return;
+    setError(null);
+
+    try {
+      await API.withdrawRating(store.id);
+      setForm({ rating: '', reviewTitle: '', reviewBody: '' });
+      await loadReviews();
+      await loadMyHistory();
+      onSaved();
+    } catch (err) {
+      setError(err.message || 'Failed to withdraw rating.');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const formError = validate.rating(form.rating) || validate.reviewTitle(form.reviewTitle) || validate.reviewBody(form.reviewBody);
+    if (formError) {
+      setError(formError);
+      return;
+    }
+
+    try {
+      await API.submitRating(user.id, store.id, Number(form.rating), {
+        reviewTitle: form.reviewTitle,
+        reviewBody: form.reviewBody,
+      });
+      await loadReviews();
+      await loadMyHistory();
+      onSaved();
+    } catch (err) {
+      setError(err.message || 'Failed to submit review.');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-xl font-bold">{store.name}</h3>
+          <button onClick={onClose}><LucideIcon name="x" className="w-5 h-5" /></button>
+        </div>
+        <p className="text-sm text-gray-600 mb-2">{store.address}</p>
+        {(store.category_name || store.tags.length > 0) && (
+          <div className="flex flex-wrap items-center gap-2 mb-2">
+            {store.category_name && <span className="text-sm font-medium text-gray-700">{store.category_name}</span>}
+            <TagList tags={store.tags} />
+          </div>
+        )}
+        <div className="flex items-center gap-1 mb-6 text-sm font-medium">
+          <LucideIcon name="star" className="w-4 h-4 text-yellow-400 fill-current" />
+          {formatRating(store.average_rating)}
+          <span className="text-gray-500">({store.rating_count} ratings)</span>
+        </div>
+
+        {user.role === 'user' && (
+          <form onSubmit={handleSubmit} className="space-y-3 mb-6 border rounded-lg p-4 bg-gray-50">
+            <h4 className="font-semibold">{store.my_rating ? 'Edit your review' : 'Write a review'}</h4>
+            {error && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">
+                {error}
+              </div>
+            )}
+            <select
+              value={form.rating}
+              onChange={(e) => setForm({ ...form, rating: e.target.value })}
+              className="px-4 py-2 border rounded-lg"
+              required
+            >
+              <option value="">Rating</option>
+              {[5, 4, 3, 2, 1].map(value => (
+                <option key={value} value={value}>{value} {value === 1 ? 'star' : 'stars'}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              placeholder="Title (optional, max 100 chars)"
+              value={form.reviewTitle}
+              onChange={(e) => setForm({ ...form, reviewTitle: e.target.value })}
+              className="w-full px-4 py-2 border rounded-lg"
+              maxLength="100"
+            />
+            <textarea
+              placeholder="Tell others about your experience (optional, max 2000 chars)"
+              value={form.reviewBody}
+              onChange={(e) => setForm({ ...form, reviewBody: e.target.value })}
+              className="w-full px-4 py-2 border rounded-lg"
+              rows="3"
+              maxLength="2000"
+            />
+            <div className="flex items-center gap-3">
+              <button
+                type="submit"
+                className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition"
+              >
+                {store.my_rating ? 'Update Review' : 'Submit Review'}
+              </button>
+              {store.my_rating && (
+                <button
+                  type="button"
+                  onClick={handleWithdraw}
+                  className="px-4 py-2 rounded-lg border border-red-300 text-red-600 hover:bg-red-50"
+                >
+                  Withdraw Rating
+                </button>
+              )}
+            </div>
+          </form>
+        )}
+
+        {user.role === 'user' && myHistory.length > 0 && (
+          <div className="mb-6">
+            <h4 className="font-semibold mb-2">Your rating history</h4>
+            <ul className="text-sm space-y-1">
+              {myHistory.map(entry => (
+                <li key={entry.id} className="flex justify-between">
+                  <span>{HISTORY_ACTION_LABELS[entry.action]} {entry.rating} {entry.rating === 1 ? 'star' : 'stars'}</span>
+                  <span className="text-gray-500">{new Date(entry.created_at).toLocaleString()}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <h4 className="font-semibold mb-3">Reviews</h4>
+        <div className="space-y-4">
+          {reviews.items.map(review => (
+            <div key={review.id} className="border-b pb-3">
+              <div className="flex items-center justify-between">
+                <div className="flex items-center gap-1 text-sm font-medium">
+                  <LucideIcon name="star" className="w-4 h-4 text-yellow-400 fill-current" />
+                  {review.rating}
+                  {review.review_title && <span className="ml-2">{review.review_title}</span>}
+                </div>
+                <span className="text-xs text-gray-500">{new Date(review.updated_at).toLocaleDateString()}</span>
+              </div>
+              {review.review_body && <p className="text-sm text-gray-700 mt-1 whitespace-pre-line">{review.review_body}</p>}
+              <p className="text-xs text-gray-500 mt-1">{review.reviewer_name}</p>
+              {review.reply_body && (
+                <div className="mt-2 ml-4 pl-3 border-l-2 border-orange-300">
+                  <p className="text-xs font-semibold text-orange-700">Response from the owner</p>
+                  <p className="text-sm text-gray-700 whitespace-pre-line">{review.reply_body}</p>
+                </div>
+              )}
+            </div>
+          ))}
+          {reviews.items.length === 0 && (
+            <p className="text-sm text-gray-500">No written reviews yet.</p>
+          )}
+        </div>
+        {reviews.totalPages > 1 && (
+          <Pagination
+            page={reviews.page}
+            totalPages={reviews.totalPages}
+            total={reviews.total}
+            onPageChange={setPage}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+const HISTORY_ACTION_LABELS = {
+  submitted: 'Rated',
+  updated: 'Changed to',
+  withdrawn: 'Withdrew',
+  removed: 'Moderator removed',
+};
+
+// A store's average over time plus the individual rating changes behind it.
+// Used by the store owner dashboard and the admin stores table.
+const ScoreHistory = ({ storeId }) => {
+  const [points, setPoints] = React.useState([]);
+  const [changes, setChanges] = React.useState(EMPTY_PAGE);
+  const [page, setPage] = React.useState(1);
+
+  React.useEffect(() => {
+    API.getScoreHistory(storeId).then(history => setPoints(history.points));
+  }, [storeId]);
+
+  React.useEffect(() => {
+    API.getRatingHistory({ storeId, page, pageSize: 5 }).then(setChanges);
+  }, [storeId, page]);
+
+  return (
+    <div>
+      <h4 className="font-semibold mb-3">Average rating by day</h4>
+      <div className="space-y-1 mb-6">
+        {points.map(point => (
+          <div key={point.date} className="flex items-center gap-3 text-sm">
+            <span className="w-24 text-gray-600">{point.date}</span>
+            <div className="flex-1 bg-gray-100 rounded h-3">
+              <div className="bg-yellow-400 h-3 rounded" style={{ width: `${(point.average_rating / 5) * 100}%` }} />
+            </div>
+            <span className="w-28 text-right">{formatRating(point.average_rating)} ({point.rating_count} ratings)</span>
+          </div>
+        ))}
+        {points.length === 0 && <p className="text-sm text-gray-500">No ratings yet.</p>}
+      </div>
+
+      <h4 className="font-semibold mb-3">Rating changes</h4>
+      <ul className="text-sm space-y-1">
+        {changes.items.map(entry => (
+          <li key={entry.id} className="flex justify-between gap-4">
+            <span>{entry.user_email}: {HISTORY_ACTION_LABELS[entry.action]} {entry.rating} {entry.rating === 1 ? 'star' : 'stars'}</span>
+            <span className="text-gray-500">{new Date(entry.created_at).toLocaleString()}</span>
+          </li>
+        ))}
+      </ul>
+      {changes.totalPages > 1 && (
+        <Pagination
+          page={changes.page}
+          totalPages={changes.totalPages}
+          total={changes.total}
+          onPageChange={setPage}
+        />
+      )}
+    </div>
+  );
+};
+
+const STORE_MEMBER_ROLES = ['owner', 'manager'];
+
+// Owners and managers of one store. The store's owners add other store owners
+// by email (stores:write can add any normal user too), switch them between
+// owner and manager and remove them; managers see the list and can leave. Used
+// by the store owner dashboard and the admin stores table.
+const StoreMembers = ({ storeId, user, canManage, onLeft }) => {
+  const [members, setMembers] = React.useState([]);
+  const [newMember, setNewMember] = React.useState({ email: '', role: 'manager' });
+  const [error, setError] = React.useState(null);
+
+  React.useEffect(() => {
+    setError(null);
+    API.getStoreMembers(storeId)
+      .then(setMembers)
+      .catch(err => setError(err.message || 'Failed to load members.'));
+  }, [storeId]);
+
+  const run = async (change) => {
+    setError(null);
+    try {
+      setMembers(await change());
+      return true;
+    } catch (err) {
+      setError(err.message || 'Failed to update members.');
+      return false;
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (await run(() => API.addStoreMember(storeId, newMember.email.trim(), newMember.role))) {
+      setNewMember({ email: '', role: 'manager' });
+    }
+  };
+
+  const handleRemove = async (member) => {
+    const leaving = member.user_id === user.id;
+    if (!window.confirm(leaving ? 'Leave this store? You will no longer be able to manage it.' : `Remove ${member.name} from this store?`)) return;
+    if (await run(() => API.removeStoreMember(storeId, member.user_id)) && leaving && onLeft) {
+      onLeft();
+    }
+  };
+
+  return (
+    <div>
+      <ul className="divide-y text-sm mb-4">
+        {members.map(member => (
+          <li key={member.user_id} className="flex items-center justify-between gap-4 py-2">
+            <div>
+              <p className="font-medium">{member.name}{member.user_id === user.id && ' (you)'}</p>
+              <p className="text-gray-500">{member.email}</p>
+            </div>
+            <div className="flex items-center gap-3">
+              {canManage ? (
+                <select
+                  value={member.role}
+                  onChange={(e) => run(() => API.updateStoreMember(storeId, member.user_id, e.target.value))}
+                  className="px-2 py-1 border rounded"
+                >
+                  {STORE_MEMBER_ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                </select>
+              ) : (
+                <span className="px-2 py-1 rounded text-xs font-medium bg-gray-100 text-gray-700">{member.role}</span>
+              )}
+              {(canManage || member.user_id === user.id) && (
+                <button onClick={() => handleRemove(member)} className="text-red-600 hover:text-red-800" title={member.user_id === user.id ? 'Leave store' : 'Remove member'}>
+                  <LucideIcon name={member.user_id === user.id ? 'log-out' : 'user-minus'} className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {canManage && (
+        <form onSubmit={handleAdd} className="flex flex-wrap gap-2">
+          <input
+            type="email"
+            value={newMember.email}
+            onChange={(e) => setNewMember({ ...newMember, email: e.target.value })}
+            placeholder={can(user, 'stores:write') ? 'Email of an existing account' : 'Email of a store owner account'}
+            className="flex-1 min-w-0 px-3 py-2 border rounded-lg"
+            required
+          />
+          <select
+            value={newMember.role}
+            onChange={(e) => setNewMember({ ...newMember, role: e.target.value })}
+            className="px-3 py-2 border rounded-lg"
+          >
+            {STORE_MEMBER_ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+          </select>
+          <button type="submit" className="bg-gray-800 text-white px-4 py-2 rounded-lg hover:bg-gray-900">
+            Add Member
+          </button>
+        </form>
+      )}
+      {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+    </div>
+  );
+};
+
+// Horizontal bar used by the analytics charts; value is drawn relative to max
+const BarRow = ({ label, value, max, color = 'bg-indigo-500' }) => (
+  <div className="flex items-center gap-3 text-sm">
+    <span className="w-24 text-gray-600 truncate">{label}</span>
+    <div className="flex-1 bg-gray-100 rounded h-3">
+      <div className={`${color} h-3 rounded`} style={{ width: `${max > 0 ? (value / max) * 100 : 0}%` }} />
+    </div>
+    <span className="w-10 text-right">{value}</span>
+  </div>
+);
+
+const STAR_VALUES = [5, 4, 3, 2, 1];
+
+// Admin analytics: activity over time, star distributions and store/rater rankings
+// Admin switch for requiring two-factor login from every account with permissions
+const TwoFactorPolicy = () => {
+  const [required, setRequired] = React.useState(null);
+  const [error, setError] = React.useState(null);
+
+  React.useEffect(() => {
+    API.getTwoFactorPolicy()
+      .then(policy => setRequired(policy.required))
+      .catch(err => setError(err.message || 'Failed to load the two-factor policy.'));
+  }, []);
+
+  const toggle = async () => {
+    setError(null);
+    try {
+      const policy = await API.setTwoFactorPolicy(!required);
+      setRequired(policy.required);
+    } catch (err) {
+      setError(err.message || 'Failed to update the two-factor policy.');
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow mb-8">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-bold flex items-center gap-2">
+            <LucideIcon name="shield-check" className="w-5 h-5 text-indigo-600" />
+            Require Two-Factor Authentication
+          </h3>
+          <p className="text-sm text-gray-600 mt-1">
+            When on, admins, store owners and custom staff roles must set up an authenticator app before they can use their dashboard.
+          </p>
+        </div>
+        <button
+          onClick={toggle}
+          disabled={required === null}
+          className={`px-4 py-2 rounded-lg text-white whitespace-nowrap ${required ? 'bg-red-600 hover:bg-red-700' : 'bg-indigo-600 hover:bg-indigo-700'} disabled:opacity-50`}
+        >
+          {required ? 'Turn Off' : 'Turn On'}
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+    </div>
+  );
+};
+
+const AdminAnalytics = () => {
+  const [filters, setFilters] = React.useState({ from: '', to: '', interval: 'day', minRatings: 3 });
+  const [data, setData] = React.useState(null);
+  const [error, setError] = React.useState(null);
+
+  React.useEffect(() => {
+    loadAnalytics();
+  }, [filters]);
+
+  const loadAnalytics = async () => {
+    try {
+      setData(await API.getAnalytics(filters));
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Failed to load analytics.');
+    }
+  };
+
+  const updateFilter = (key, value) => setFilters({ ...filters, [key]: value });
+
+  // Sign-ups and ratings share one table keyed by period
+  const periods = data
+    ? [...new Set([...data.signups, ...data.ratings].map(row => row.period))].sort()
+    : [];
+  const countFor = (rows, period) => (rows.find(row => row.period === period) || { count: 0 }).count;
+  const maxStarCount = data ? Math.max(...Object.values(data.starDistribution.overall)) : 0;
+
+  const renderStoreRanking = (title, stores) => (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <h3 className="font-semibold mb-3">{title}</h3>
+      <ol className="text-sm space-y-1">
+        {stores.map(store => (
+          <li key={store.id} className="flex justify-between gap-4">
+            <span className="truncate">{store.name}</span>
+            <span className="flex items-center gap-1 whitespace-nowrap">
+              <LucideIcon name="star" className="w-4 h-4 text-yellow-400 fill-current" />
+              {formatRating(store.average_rating)}
+              <span className="text-xs text-gray-500">({store.rating_count})</span>
+            </span>
+          </li>
+        ))}
+      </ol>
+      {stores.length === 0 && <p className="text-sm text-gray-500">No store has {filters.minRatings} or more ratings in this range.</p>}
+    </div>
+  );
+
+  return (
+    <div className="mt-8 space-y-6">
+      <div className="bg-white p-6 rounded-lg shadow flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+          <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className="px-3 py-2 border rounded-lg" />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+          <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className="px-3 py-2 border rounded-lg" />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Group by</label>
+          <select value={filters.interval} onChange={(e) => updateFilter('interval', e.target.value)} className="px-3 py-2 border rounded-lg">
+            <option value="day">Day</option>
+            <option value="week">Week</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Min. ratings to rank</label>
+          <input
+            type="number"
+            min="1"
+            value={filters.minRatings}
+            onChange={(e) => updateFilter('minRatings', e.target.value)}
+            className="w-24 px-3 py-2 border rounded-lg"
+          />
+        </div>
+        {error && <p className="text-red-600 text-sm">{error}</p>}
+      </div>
+
+      {data && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="bg-white p-6 rounded-lg shadow">
+              <h3 className="font-semibold mb-3">Sign-ups and ratings per {data.range.interval}</h3>
+              <div className="max-h-72 overflow-y-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left">{data.range.interval === 'week' ? 'Week of' : 'Date'}</th>
+                      <th className="px-3 py-2 text-right">Sign-ups</th>
+                      <th className="px-3 py-2 text-right">Ratings</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {periods.map(period => (
+                      <tr key={period} className="border-t">
+                        <td className="px-3 py-2">{period}</td>
+                        <td className="px-3 py-2 text-right">{countFor(data.signups, period)}</td>
+                        <td className="px-3 py-2 text-right">{countFor(data.ratings, period)}</td>
+                      </tr>
+                    ))}
+                    {periods.length === 0 && (
+                      <tr>
+                        <td colSpan="3" className="px-3 py-4 text-center text-gray-500">No activity in this range.</td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow">
+              <h3 className="font-semibold mb-3">Star distribution (all stores)</h3>
+              <div className="space-y-2">
+                {STAR_VALUES.map(stars => (
+                  <BarRow
+                    key={stars}
+                    label={`${stars} ${stars === 1 ? 'star' : 'stars'}`}
+                    value={data.starDistribution.overall[stars]}
+                    max={maxStarCount}
+                    color="bg-yellow-400"
+                  />
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            {renderStoreRanking('Top rated stores', data.topStores)}
+            {renderStoreRanking('Lowest rated stores', data.bottomStores)}
+            <div className="bg-white p-6 rounded-lg shadow">
+              <h3 className="font-semibold mb-3">Most active raters</h3>
+              <ol className="text-sm space-y-1">
+                {data.topRaters.map(rater => (
+                  <li key={rater.id} className="flex justify-between gap-4">
+                    <span className="truncate" title={rater.email}>{rater.name}</span>
+                    <span className="whitespace-nowrap">{rater.rating_count} ratings</span>
+                  </li>
+                ))}
+              </ol>
+              {data.topRaters.length === 0 && <p className="text-sm text-gray-500">No ratings in this range.</p>}
+            </div>
+          </div>
+
+          <div className="bg-white p-6 rounded-lg shadow overflow-x-auto">
+            <h3 className="font-semibold mb-3">Star distribution per store</h3>
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left">Store</th>
+                  {STAR_VALUES.map(stars => <th key={stars} className="px-3 py-2 text-right">{stars}★</th>)}
+                  <th className="px-3 py-2 text-right">Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.starDistribution.stores.map(store => (
+                  <tr key={store.store_id} className="border-t">
+                    <td className="px-3 py-2">{store.name}</td>
+                    {STAR_VALUES.map(stars => <td key={stars} className="px-3 py-2 text-right">{store.counts[stars]}</td>)}
+                    <td className="px-3 py-2 text-right font-medium">{store.total}</td>
+                  </tr>
+                ))}
+                {data.starDistribution.stores.length === 0 && (
+                  <tr>
+                    <td colSpan="7" className="px-3 py-4 text-center text-gray-500">No ratings in this range.</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Every rating on the platform with its review. ratings:moderate can take one
+// down; the rater's history shows it as removed.
+const RatingModeration = ({ user }) => {
+  const [ratings, setRatings] = React.useState([]);
+  const [searchTerm, setSearchTerm] = React.useState('');
+  const [pendingRemoval, setPendingRemoval] = React.useState(null);
+  const [error, setError] = React.useState(null);
+
+  React.useEffect(() => {
+    loadRatings();
+  }, []);
+
+  const loadRatings = async () => {
+    try {
+      setRatings(await API.getRatings());
+    } catch (err) {
+      setError(err.message || 'Failed to load ratings.');
+    }
+  };
+
+  const handleRemove = async () => {
+    try {
+      await API.removeRating(pendingRemoval.id);
+      setPendingRemoval(null);
+      setError(null);
+      await loadRatings();
+    } catch (err) {
+      setError(err.message || 'Failed to remove rating.');
+    }
+  };
+
+  const term = searchTerm.trim().toLowerCase();
+  const visibleRatings = term
+    ? ratings.filter(r => [r.storeName, r.userEmail, r.reviewTitle, r.reviewBody].some(text => (text || '').toLowerCase().includes(term)))
+    : ratings;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-2xl font-bold mb-4">Ratings</h2>
+
+      <div className="relative mb-4">
+        <LucideIcon name="search" className="absolute left-3 top-3 w-5 h-5 text-gray-400" />
+        <input
+          type="text"
+          placeholder="Search ratings by store, user email or review..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          className="w-full pl-10 pr-4 py-2 border rounded-lg"
+        />
+      </div>
+
+      {error && !pendingRemoval && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm mb-4">
+          {error}
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left">Store</th>
+              <th className="px-4 py-2 text-left">User</th>
+              <th className="px-4 py-2 text-left">Rating</th>
+              <th className="px-4 py-2 text-left">Review</th>
+              {can(user, 'ratings:moderate') && <th className="px-4 py-2 text-left">Actions</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {visibleRatings.map(r => (
+              <tr key={r.id} className="border-t hover:bg-gray-50 align-top">
+                <td className="px-4 py-2">{r.storeName}</td>
+                <td className="px-4 py-2">{r.userEmail}</td>
+                <td className="px-4 py-2">
+                  <div className="flex items-center gap-1">
+                    <LucideIcon name="star" className="w-4 h-4 text-yellow-400 fill-current" />
+                    {r.rating}
+                  </div>
+                </td>
+                <td className="px-4 py-2 text-sm">
+                  {r.reviewTitle && <p className="font-medium">{r.reviewTitle}</p>}
+                  {r.reviewBody && <p className="text-gray-600">{r.reviewBody}</p>}
+                  {!r.reviewTitle && !r.reviewBody && <span className="text-gray-400">No written review</span>}
+                </td>
+                {can(user, 'ratings:moderate') && (
+                  <td className="px-4 py-2">
+                    <button onClick={() => setPendingRemoval(r)} className="text-red-600 hover:text-red-800" title="Remove rating">
+                      <LucideIcon name="trash-2" className="w-4 h-4" />
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {visibleRatings.length === 0 && <p className="text-gray-500 text-center py-6">No ratings found.</p>}
+      </div>
+
+      {pendingRemoval && (
+        <ConfirmDialog
+          title="Remove Rating"
+          message={`Remove ${pendingRemoval.userEmail}'s ${pendingRemoval.rating}-star rating of ${pendingRemoval.storeName}? Its review and any owner reply are removed too, and the store's average updates right away.`}
+          confirmLabel="Remove"
+          error={error}
+          onConfirm={handleRemove}
+          onCancel={() => { setPendingRemoval(null); setError(null); }}
+        />
+      )}
+    </div>
+  );
+};
+
+// Roles and the permissions they grant. Built-in roles are read-only; custom
+// roles can be created, edited and (once nobody has them) deleted. Only
+// permissions the signed-in user holds can be granted.
+const RoleManager = ({ user, onRolesChanged }) => {
+  const [roles, setRoles] = React.useState([]);
+  const [permissions, setPermissions] = React.useState([]);
+  const [editing, setEditing] = React.useState(null); // { name, description, permissions, isNew }
+  const [pendingDelete, setPendingDelete] = React.useState(null);
+  const [error, setError] = React.useState(null);
+
+  React.useEffect(() => {
+    loadRoles();
+  }, []);
+
+  const loadRoles = async () => {
+    try {
+      const data = await API.getRoles();
+      setRoles(data.roles);
+      setPermissions(data.permissions);
+    } catch (err) {
+      setError(err.message || 'Failed to load roles.');
+    }
+  };
+
+  const togglePermission = (permission) => {
+    const granted = editing.permissions.includes(permission)
+      ? editing.permissions.filter(p => p !== permission)
+      : [...editing.permissions, permission];
+    setEditing({ ...editing, permissions: granted });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError(null);
+    const roleData = { description: editing.description || null, permissions: editing.permissions };
+    try {
+      if (editing.isNew) {
+        await API.createRole({ name: editing.name.trim(), ...roleData });
+      } else {
+        await API.updateRole(editing.name, roleData);
+      }
+      setEditing(null);
+      await loadRoles();
+      onRolesChanged();
+    } catch (err) {
+      setError(err.message || 'Failed to save role.');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await API.deleteRole(pendingDelete.name);
+      setPendingDelete(null);
+      setError(null);
+      await loadRoles();
+      onRolesChanged();
+    } catch (err) {
+      setError(err.message || 'Failed to delete role.');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-2xl font-bold">Roles</h2>
+        <button
+          onClick={() => { setError(null); setEditing({ name: '', description: '', permissions: [], isNew: true }); }}
+          className="flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded hover:bg-indigo-700"
+        >
+          <LucideIcon name="plus" className="w-4 h-4" />
+          Add Role
+        </button>
+      </div>
+
+      {error && !editing && !pendingDelete && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm mb-4">
+          {error}
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left">Role</th>
+              <th className="px-4 py-2 text-left">Permissions</th>
+              <th className="px-4 py-2 text-left">Users</th>
+              <th className="px-4 py-2 text-left">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {roles.map(role => (
+              <tr key={role.name} className="border-t hover:bg-gray-50 align-top">
+                <td className="px-4 py-2">
+                  <p className="font-medium">{role.name.replace('_', ' ')}</p>
+                  {role.description && <p className="text-xs text-gray-500">{role.description}</p>}
+                  {role.builtIn && <span className="text-xs text-gray-400">Built-in</span>}
+                </td>
+                <td className="px-4 py-2">
+                  <div className="flex flex-wrap gap-1">
+                    {role.permissions.map(permission => (
+                      <span key={permission} className="px-2 py-1 rounded text-xs font-mono bg-indigo-50 text-indigo-700">{permission}</span>
+                    ))}
+                    {role.permissions.length === 0 && <span className="text-xs text-gray-400">None</span>}
+                  </div>
+                </td>
+                <td className="px-4 py-2">{role.userCount}</td>
+                <td className="px-4 py-2">
+                  {!role.builtIn && (
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={() => { setError(null); setEditing({ name: role.name, description: role.description || '', permissions: role.permissions, isNew: false }); }}
+                        className="text-indigo-600 hover:text-indigo-800"
+                        title="Edit role"
+                      >
+                        <LucideIcon name="pencil" className="w-4 h-4" />
+                      </button>
+                      <button onClick={() => setPendingDelete(role)} className="text-red-600 hover:text-red-800" title="Delete role">
+                        <LucideIcon name="trash-2" className="w-4 h-4" />
+                      </button>
+                    </div>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {editing && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-xl font-bold">{editing.isNew ? 'Add Role' : `Edit Role: ${editing.name}`}</h3>
+              <button onClick={() => setEditing(null)}><LucideIcon name="x" className="w-5 h-5" /></button>
+            </div>
+
+            <form onSubmit={handleSave} className="space-y-4">
+              {error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">
+                  {error}
+                </div>
+              )}
+
+              {editing.isNew && (
+                <div>
+                  <InputField
+                    label="Name"
+                    placeholder="moderator"
+                    value={editing.name}
+                    onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                    maxLength={30}
+                    required
+                  />
+                  <p className="text-xs text-gray-500 mt-1">3-30 lowercase letters, digits or underscores.</p>
+                </div>
+              )}
+
+              <InputField
+                label="Description"
+                value={editing.description}
+                onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+                maxLength={200}
+              />
+
+              <div>
+                <p className="block text-sm font-medium text-gray-700 mb-2">Permissions</p>
+                <div className="space-y-2">
+                  {permissions.map(permission => (
+                    <label key={permission.name} className={`flex items-start gap-2 text-sm ${can(user, permission.name) ? '' : 'opacity-50'}`}>
+                      <input
+                        type="checkbox"
+                        className="mt-1"
+                        checked={editing.permissions.includes(permission.name)}
+                        onChange={() => togglePermission(permission.name)}
+                        disabled={!can(user, permission.name)}
+                      />
+                      <span>
+                        <span className="font-mono text-xs">{permission.name}</span>
+                        <span className="block text-gray-500">{permission.description}</span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <button
+                type="submit"
+                className="w-full bg-indigo-600 text-white py-2 rounded-lg hover:bg-indigo-700 transition"
+              >
+                {editing.isNew ? 'Add Role' : 'Save Changes'}
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {pendingDelete && (
+        <ConfirmDialog
+          title="Delete Role"
+          message={`Delete the ${pendingDelete.name} role? This can't be undone.`}
+          confirmLabel="Delete"
+          error={error}
+          onConfirm={handleDelete}
+          onCancel={() => { setPendingDelete(null); setError(null); }}
+        />
+      )}
+    </div>
+  );
+};
+
+// Who changed what and when. Entries can be filtered, and each one expands to
+// show the target's state before and after the change.
+const AUDIT_TARGET_TYPES = ['user', 'store', 'category', 'rating', 'role', 'settings'];
+
+const AuditLog = () => {
+  const [entries, setEntries] = React.useState(EMPTY_PAGE);
+  const [filters, setFilters] = React.useState({ search: '', targetType: '', action: '', from: '', to: '' });
+  const [page, setPage] = React.useState(1);
+  const [expandedId, setExpandedId] = React.useState(null);
+  const [error, setError] = React.useState(null);
+
+  React.useEffect(() => {
+    loadEntries();
+  }, [filters, page]);
+
+  const loadEntries = async () => {
+    try {
+      setEntries(await API.getAuditLog({ ...filters, page, pageSize: PAGE_SIZE }));
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Failed to load the audit log.');
+    }
+  };
+
+  const updateFilter = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+    setPage(1);
+  };
+
+  const renderState = (label, state) => (
+    <div>
+      <p className="text-xs font-semibold text-gray-500 uppercase mb-1">{label}</p>
+      <pre className="text-xs bg-gray-50 border rounded p-2 overflow-x-auto whitespace-pre-wrap">
+        {state ? JSON.stringify(state, null, 2) : 'None'}
+      </pre>
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-2xl font-bold mb-4">Audit Log</h2>
+
+      <div className="flex flex-wrap items-end gap-4 mb-4">
+        <div className="relative flex-1 min-w-[16rem]">
+          <LucideIcon name="search" className="absolute left-3 top-3 w-5 h-5 text-gray-400" />
+          <input
+            type="text"
+            placeholder="Search by action, actor email or target..."
+            value={filters.search}
+            onChange={(e) => updateFilter('search', e.target.value)}
+            className="w-full pl-10 pr-4 py-2 border rounded-lg"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Target</label>
+          <select value={filters.targetType} onChange={(e) => updateFilter('targetType', e.target.value)} className="px-3 py-2 border rounded-lg">
+            <option value="">All</option>
+            {AUDIT_TARGET_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Action</label>
+          <input
+            type="text"
+            placeholder="e.g. user.update"
+            value={filters.action}
+            onChange={(e) => updateFilter('action', e.target.value.trim())}
+            className="w-40 px-3 py-2 border rounded-lg"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+          <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className="px-3 py-2 border rounded-lg" />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+          <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className="px-3 py-2 border rounded-lg" />
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm mb-4">
+          {error}
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left">When</th>
+              <th className="px-4 py-2 text-left">Actor</th>
+              <th className="px-4 py-2 text-left">Action</th>
+              <th className="px-4 py-2 text-left">Target</th>
+              <th className="px-4 py-2 text-left">IP</th>
+              <th className="px-4 py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.items.map(entry => (
+              <React.Fragment key={entry.id}>
+                <tr className="border-t hover:bg-gray-50">
+                  <td className="px-4 py-2 whitespace-nowrap">{new Date(entry.createdAt).toLocaleString()}</td>
+                  <td className="px-4 py-2">{entry.actorEmail || <span className="text-gray-400">Unknown</span>}</td>
+                  <td className="px-4 py-2 font-mono">{entry.action}</td>
+                  <td className="px-4 py-2">
+                    {entry.targetType && <span className="text-gray-500">{entry.targetType} </span>}
+                    {entry.targetLabel || (entry.targetId && `#${entry.targetId}`)}
+                  </td>
+                  <td className="px-4 py-2 text-gray-500">{entry.ipAddress}</td>
+                  <td className="px-4 py-2 text-right">
+                    <button
+                      onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+                      className="text-indigo-600 hover:text-indigo-800"
+                      title={expandedId === entry.id ? 'Hide changes' : 'Show changes'}
+                    >
+                      <LucideIcon name={expandedId === entry.id ? 'chevron-up' : 'chevron-down'} className="w-4 h-4" />
+                    </button>
+                  </td>
+                </tr>
+                {expandedId === entry.id && (
+                  <tr className="bg-gray-50">
+                    <td colSpan="6" className="px-4 py-3">
+                      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        {renderState('Before', entry.before)}
+                        {renderState('After', entry.after)}
+                        {renderState('Details', entry.details)}
+                      </div>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+        {entries.items.length === 0 && <p className="text-gray-500 text-center py-6">No audit entries found.</p>}
+      </div>
+
+      <Pagination page={entries.page} totalPages={entries.totalPages} total={entries.total} onPageChange={setPage} />
+    </div>
+  );
+};
+
+// Downloads the current list as CSV or JSON, or opens the printable report
+// (HTML the browser can print or save as PDF) in a new tab
+const EXPORT_OPTIONS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'json', label: 'JSON' },
+  { format: 'html', label: 'Printable Report' },
+];
+
+const ExportMenu = ({ kind, params, className = '' }) => {
+  const [open, setOpen] = React.useState(false);
+  const [error, setError] = React.useState(null);
+
+  const runExport = async (format) => {
+    setOpen(false);
+    setError(null);
+    // Open the report tab now: browsers block pop-ups opened after an await
+    const reportWindow = format === 'html' ? window.open('', '_blank') : null;
+    try {
+      const url = URL.createObjectURL(await API.exportData(kind, format, params));
+      if (reportWindow) {
+        reportWindow.location.href = url;
+      } else {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${kind}-${new Date().toISOString().slice(0, 10)}.${format}`;
+        link.click();
+      }
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (err) {
+      if (reportWindow) reportWindow.close();
+      setError(err.message || 'Export failed.');
+    }
+  };
+
+  return (
+    <div className={`relative ${className}`}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center gap-2 border px-4 py-2 rounded hover:bg-gray-50"
+      >
+        <LucideIcon name="download" className="w-4 h-4" />
+        Export
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-1 bg-white border rounded shadow-lg z-10 w-44 text-gray-800">
+          {EXPORT_OPTIONS.map(option => (
+            <button
+              key={option.format}
+              onClick={() => runExport(option.format)}
+              className="block w-full text-left px-4 py-2 text-sm hover:bg-gray-100"
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+      {error && <p className="absolute right-0 mt-1 text-xs text-red-600 whitespace-nowrap">{error}</p>}
+    </div>
+  );
+};
+
+// Bulk import of users or stores from a CSV or JSON file. The file is checked
+// first (a dry run that reports every row), and can only be imported once
+// every row passes; the import then runs all-or-nothing.
+const IMPORT_COLUMN_HELP = {
+  users: 'name, email, street, city, postalCode, country, password, role. postalCode is optional, and a one-line address column can replace the address parts. Leave password blank to email a one-time password.',
+  stores: 'name, email, street, city, postalCode, country, latitude, longitude, ownerEmail, category, tags. postalCode, latitude and longitude are optional, and a one-line address column can replace the address parts. Leave ownerEmail blank to create a new owner account with the store\'s email. category is an existing category\'s name; separate tags with commas.',
+};
+
+const ImportModal = ({ kind, onClose, onImported }) => {
+  const [file, setFile] = React.useState(null);
+  const [report, setReport] = React.useState(null);
+  const [error, setError] = React.useState(null);
+  const [busy, setBusy] = React.useState(false);
+
+  const selectFile = (selected) => {
+    setFile(selected || null);
+    setReport(null);
+    setError(null);
+  };
+
+  const run = async (dryRun) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+      const result = await API.importRecords(kind, format, await file.text(), dryRun);
+      setReport(result);
+      if (!dryRun) onImported();
+    } catch (err) {
+      setError(err.message || 'Import failed.');
+      setReport(err.data && err.data.rows ? err.data : null);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const imported = report && !report.dryRun && report.imported > 0;
+  const canImport = report && report.dryRun && report.failed === 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-bold">Import {kind === 'users' ? 'Users' : 'Stores'}</h3>
+          <button onClick={onClose}><LucideIcon name="x" className="w-5 h-5" /></button>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-3">
+          Upload a CSV file with a header row, or a JSON array of objects. Columns: {IMPORT_COLUMN_HELP[kind]}
+        </p>
+
+        {!imported && (
+          <div className="flex flex-wrap items-center gap-3 mb-4">
+            <input
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              onChange={(e) => selectFile(e.target.files[0])}
+              className="text-sm"
+            />
+            <button
+              onClick={() => run(true)}
+              disabled={!file || busy}
+              className="px-4 py-2 border rounded-lg hover:bg-gray-50 disabled:opacity-50"
+            >
+              Check File
+            </button>
+            <button
+              onClick={() => run(false)}
+              disabled={!canImport || busy}
+              className="flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+            >
+              <LucideIcon name="upload" className="w-4 h-4" />
+              Import {report ? report.rows.length : ''} Rows
+            </button>
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm mb-4">
+            {error}
+          </div>
+        )}
+
+        {report && (
+          <>
+            <p className={`text-sm mb-2 ${report.failed > 0 ? 'text-red-700' : 'text-green-700'}`}>{report.message}</p>
+            {imported && report.rows.some(row => row.temporaryPassword) && (
+              <p className="text-sm text-amber-700 mb-2">
+                One-time passwords are shown only now and were emailed to each account.
+              </p>
+            )}
+            <div className="overflow-x-auto max-h-96">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left">Row</th>
+                    <th className="px-3 py-2 text-left">Name</th>
+                    <th className="px-3 py-2 text-left">Email</th>
+                    <th className="px-3 py-2 text-left">Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.rows.map(row => (
+                    <tr key={row.row} className={`border-t ${row.error ? 'bg-red-50' : ''}`}>
+                      <td className="px-3 py-2">{row.row}</td>
+                      <td className="px-3 py-2">{row.name}</td>
+                      <td className="px-3 py-2">{row.email}</td>
+                      <td className="px-3 py-2">
+                        {row.error
+                          ? <span className="text-red-700">{row.error}</span>
+                          : report.dryRun
+                            ? <span className="text-green-700">Ready</span>
+                            : (
+                              <span className="text-green-700">
+                                Imported
+                                {row.temporaryPassword && <span className="ml-2 font-mono text-gray-800">{row.temporaryPassword}</span>}
+                              </span>
+                            )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// --- Dashboards ---
+
+// Admin dashboard tabs and the permission each needs. Anyone with a staff
+// role can list stores.
+// Text segments from the search API, with the matched parts marked
+const Highlighted = ({ segments }) => segments.map((segment, index) => (
+  segment.match
+    ? <mark key={index} className="bg-yellow-200 rounded-sm">{segment.text}</mark>
+    : <React.Fragment key={index}>{segment.text}</React.Fragment>
+));
+
+const SEARCH_DEBOUNCE_MS = 250;
+const MIN_SUGGESTION_LENGTH = 2;
+
+// Search input for the stores lists. Once typing pauses it passes the text to
+// onSearch (which filters the table) and shows the best matches underneath,
+// with the matched words highlighted. Picking one fills in its name and calls
+// onSelect. params are extra filters for the suggestions.
+const StoreSearchBox = ({ placeholder, onSearch, onSelect, params = {} }) => {
+  const [text, setText] = React.useState('');
+  const [suggestions, setSuggestions] = React.useState([]);
+  const [open, setOpen] = React.useState(false);
+  const [active, setActive] = React.useState(-1);
+
+  React.useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const search = text.trim();
+      onSearch(search);
+      if (search.length < MIN_SUGGESTION_LENGTH) {
+        setSuggestions([]);
+        return;
+      }
+      try {
+        const data = await API.searchStores({ ...params, q: search });
+        if (!cancelled) {
+          setSuggestions(data.items);
+          setActive(-1);
+        }
+      } catch (err) {
+        if (!cancelled) setSuggestions([]);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [text]);
+
+  const choose = (store) => {
+    setText(store.name);
+    setOpen(false);
+    if (onSelect) onSelect(store);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setOpen(false);
+    } else if (e.key === 'ArrowDown' && suggestions.length > 0) {
+      e.preventDefault();
+      setOpen(true);
+      setActive((active + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+      e.preventDefault();
+      setActive(active <= 0 ? suggestions.length - 1 : active - 1);
+    } else if (e.key === 'Enter' && open && active >= 0) {
+      e.preventDefault();
+      choose(suggestions[active]);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <LucideIcon name="search" className="absolute left-3 top-3 w-5 h-5 text-gray-400" />
+      <input
+        type="text"
+        placeholder={placeholder}
+        value={text}
+        onChange={(e) => { setText(e.target.value); setOpen(true); }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+        className="w-full pl-10 pr-4 py-2 border rounded-lg"
+      />
+      {open && suggestions.length > 0 && (
+        <ul className="absolute z-20 mt-1 w-full bg-white border rounded-lg shadow-lg max-h-96 overflow-y-auto">
+          {suggestions.map((store, index) => (
+            <li key={store.id}>
+              {/* Keeping focus in the input stops the list closing before the click */}
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => choose(store)}
+                className={'w-full text-left px-4 py-2 hover:bg-gray-50 ' + (index === active ? 'bg-gray-100' : '')}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-medium"><Highlighted segments={store.highlights.name} /></span>
+                  <span className="flex items-center gap-1 text-xs text-gray-500">
+                    <LucideIcon name="star" className="w-3 h-3 text-yellow-400 fill-current" />
+                    {formatRating(store.average_rating)}
+                  </span>
+                </div>
+                {store.highlights.address && (
+                  <p className="text-xs text-gray-600"><Highlighted segments={store.highlights.address} /></p>
+                )}
+                {store.highlights.review && (
+                  <p className="text-xs text-gray-500 italic mt-1">"<Highlighted segments={store.highlights.review} />"</p>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// A store's tags as small chips
+const TagList = ({ tags }) => (
+  tags && tags.length > 0 ? (
+    <div className="flex flex-wrap gap-1 mt-1">
+      {tags.map(tag => (
+        <span key={tag} className="px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-600">{tag}</span>
+      ))}
+    </div>
+  ) : null
+);
+
+// Add, rename and delete store categories. Deleting one leaves its stores
+// uncategorized.
+const CategoryManager = ({ onChanged }) => {
+  const [categories, setCategories] = React.useState([]);
+  const [newName, setNewName] = React.useState('');
+  const [editing, setEditing] = React.useState(null); // { id, name }
+  const [pendingDelete, setPendingDelete] = React.useState(null);
+  const [error, setError] = React.useState(null);
+
+  React.useEffect(() => {
+    loadCategories();
+  }, []);
+
+  const loadCategories = async () => {
+    try {
+      setCategories(await API.getCategories());
+    } catch (err) {
+      setError(err.message || 'Failed to load categories.');
+    }
+  };
+
+  const saveChange = async (change) => {
+    setError(null);
+    try {
+      await change();
+      await loadCategories();
+      onChanged();
+      return true;
+    } catch (err) {
+      setError(err.message || 'Failed to save category.');
+      return false;
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (await saveChange(() => API.createCategory(newName.trim()))) {
+      setNewName('');
+    }
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (await saveChange(() => API.updateCategory(editing.id, editing.name.trim()))) {
+      setEditing(null);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (await saveChange(() => API.deleteCategory(pendingDelete.id))) {
+      setPendingDelete(null);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {error && !pendingDelete && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleAdd} className="flex gap-2">
+        <input
+          type="text"
+          placeholder="New category"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          className="flex-1 px-4 py-2 border rounded-lg"
+          maxLength={50}
+          required
+        />
+        <button type="submit" className="flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded hover:bg-indigo-700">
+          <LucideIcon name="plus" className="w-4 h-4" />
+          Add
+        </button>
+      </form>
+
+      <ul className="divide-y">
+        {categories.map(category => (
+          <li key={category.id} className="py-2 flex items-center justify-between gap-2">
+            {editing && editing.id === category.id ? (
+              <form onSubmit={handleRename} className="flex flex-1 gap-2">
+                <input
+                  type="text"
+                  value={editing.name}
+                  onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                  className="flex-1 px-2 py-1 border rounded"
+                  maxLength={50}
+                  required
+                />
+                <button type="submit" className="text-green-600 hover:text-green-800" title="Save">
+                  <LucideIcon name="check" className="w-4 h-4" />
+                </button>
+                <button type="button" onClick={() => setEditing(null)} className="text-gray-600 hover:text-gray-800" title="Cancel">
+                  <LucideIcon name="x" className="w-4 h-4" />
+                </button>
+              </form>
+            ) : (
+              <>
+                <span>
+                  {category.name}
+                  <span className="text-xs text-gray-500 ml-2">{category.storeCount} {category.storeCount === 1 ? 'store' : 'stores'}</span>
+                </span>
+                <div className="flex items-center gap-2">
+                  <button onClick={() => { setError(null); setEditing({ id: category.id, name: category.name }); }} className="text-indigo-600 hover:text-indigo-800" title="Rename category">
+                    <LucideIcon name="pencil" className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => setPendingDelete(category)} className="text-red-600 hover:text-red-800" title="Delete category">
+                    <LucideIcon name="trash-2" className="w-4 h-4" />
+                  </button>
+                </div>
+              </>
+            )}
+          </li>
+        ))}
+        {categories.length === 0 && <li className="py-2 text-sm text-gray-500">No categories yet.</li>}
+      </ul>
+
+      {pendingDelete && (
+        <ConfirmDialog
+          title="Delete Category"
+          message={`Delete ${pendingDelete.name}? ${pendingDelete.storeCount > 0 ? `Its ${pendingDelete.storeCount} ${pendingDelete.storeCount === 1 ? 'store becomes' : 'stores become'} uncategorized.` : 'No stores use it.'}`}
+          confirmLabel="Delete"
+          error={error}
+          onConfirm={handleDelete}
+          onCancel={() => { setPendingDelete(null); setError(null); }}
+        />
+      )}
+    </div>
+  );
+};
+
+const ADMIN_VIEWS = [
+  { key: 'dashboard', label: 'Dashboard', permission: 'analytics:read' },
+  { key: 'stores', label: 'Stores', permission: null },
+  { key: 'users', label: 'Users', permission: 'users:read' },
+  { key: 'ratings', label: 'Ratings', permission: 'ratings:read' },
+  { key: 'roles', label: 'Roles', permission: 'roles:write' },
+  { key: 'audit', label: 'Audit Log', permission: 'audit:read' },
+];
+
+// Button and dialog labels for the admin status actions, per record type
+const ACTION_LABELS = {
+  user: { suspend: 'Suspend', reactivate: 'Reactivate', purge: 'Purge', unlock: 'Unlock', resetPassword: 'Reset Password', resetTwoFactor: 'Reset Two-Factor' },
+  store: { suspend: 'Deactivate', reactivate: 'Reactivate', purge: 'Purge' },
+};
+
+const AdminDashboard = ({ user, onLogout }) => {
+  const [userList, setUserList] = React.useState(EMPTY_PAGE);
+  const [storeList, setStoreList] = React.useState(EMPTY_PAGE);
+  const [stats, setStats] = React.useState({ total_users: 0, total_stores: 0, total_ratings: 0 });
+  const views = ADMIN_VIEWS.filter(v => !v.permission || can(user, v.permission));
+  const [view, setView] = React.useState(views[0].key);
+  const [roleOptions, setRoleOptions] = React.useState([]);
+  const [page, setPage] = React.useState(1);
+  const [searchTerm, setSearchTerm] = React.useState('');
+  const [filterRole, setFilterRole] = React.useState('all');
+  const [filterStatus, setFilterStatus] = React.useState('all');
+  const [sortConfig, setSortConfig] = React.useState({ key: null, direction: 'asc' });
+  const [showAddModal, setShowAddModal] = React.useState(null);
+  const [editingId, setEditingId] = React.useState(null);
+  const [ownerOptions, setOwnerOptions] = React.useState([]);
+  const [pendingAction, setPendingAction] = React.useState(null);
+  const [actionError, setActionError] = React.useState(null);
+  const [historyStore, setHistoryStore] = React.useState(null);
+  const [membersStore, setMembersStore] = React.useState(null);
+  const [importKind, setImportKind] = React.useState(null);
+  const [categories, setCategories] = React.useState([]);
+  const [showCategories, setShowCategories] = React.useState(false);
+  const [showPasswordModal, setShowPasswordModal] = React.useState(false);
+  const [showTwoFactorModal, setShowTwoFactorModal] = React.useState(false);
+  const [formData, setFormData] = React.useState({});
+  const [formErrors, setFormErrors] = React.useState({});
+
+  React.useEffect(() => {
+    loadData();
+    loadRoleOptions();
+    loadCategories();
+  }, []);
+
+  React.useEffect(() => {
+    loadList();
+  }, [view, page, searchTerm, filterRole, filterStatus, sortConfig]);
+
+  const loadData = async () => {
+    if (can(user, 'analytics:read')) {
+      setStats(await API.getStats());
+    }
+  };
+
+  // Roles for the user filter and the user form
+  const loadRoleOptions = async () => {
+    if (can(user, 'users:read')) {
+      setRoleOptions((await API.getRoles()).roles.map(role => role.name));
+    }
+  };
+
+  // Categories for the store form
+  const loadCategories = async () => {
+    setCategories(await API.getCategories());
+  };
+
+  // Fetch the current page of the active table with its search, filter and sort
+  // Filters and sort of the current list, shared by its pages and its exports
+  const listParams = () => ({
+    search: searchTerm,
+    sortBy: sortConfig.key,
+    sortOrder: sortConfig.direction,
+    status: filterStatus === 'all' ? null : filterStatus,
+    ...(view === 'users' ? { role: filterRole === 'all' ? null : filterRole } : {}),
+  });
+
+  const loadList = async () => {
+    const params = { ...listParams(), page, pageSize: PAGE_SIZE };
+
+    if (view === 'users') {
+      setUserList(await API.getUsers(params));
+    } else if (view === 'stores') {
+      setStoreList(await API.getStores(params));
+    }
+  };
+
+  const changeView = (nextView) => {
+    setView(nextView);
+    setPage(1);
+    setSearchTerm('');
+    setFilterRole('all');
+    setFilterStatus('all');
+    setSortConfig({ key: null, direction: 'asc' });
+  };
+
+  const handleSort = (key, currentView) => {
+    setPage(1);
+    if (currentView !== view) { // Reset sort when changing views
+      setSortConfig({ key, direction: 'asc' });
+      return;
+    }
+    setSortConfig({
+      key,
+      direction: sortConfig.key === key && sortConfig.direction === 'asc' ? 'desc' : 'asc'
+    });
+  };
 
-  const getStoreRating = (storeId) => {
-    const storeRatings = ratings.filter(r => r.storeId === storeId);
-    if (storeRatings.length === 0) return '0.0';
-    return (storeRatings.reduce((sum, r) => sum + r.rating, 0) / storeRatings.length).toFixed(1);
+  const handleSearchChange = (value) => {
+    setSearchTerm(value);
+    setPage(1);
   };
 
-  const validateForm = (data, isStore = false) => {
+  const validateForm = (data, isStore = false, isEdit = false) => {
     const errors = {};
     
     if (validate.name(data.name)) errors.name = validate.name(data.name);
     if (validate.email(data.email)) errors.email = validate.email(data.email);
-    if (validate.address(data.address)) errors.address = validate.address(data.address);
-    if (!isStore && validate.password(data.password)) errors.password = validate.password(data.password);
+    Object.assign(errors, addressErrors(data, { withLocation: isStore }));
+    if (!isStore && !isEdit && validate.password(data.password)) errors.password = validate.password(data.password);
     if (!isStore && !data.role) errors.role = 'Role is required';
     
     return errors;
   };
 
+  const closeModal = () => {
+    setShowAddModal(null);
+    setEditingId(null);
+    setFormData({});
+    setFormErrors({});
+  };
+
+  const openEditUser = (u) => {
+    setShowAddModal('user');
+    setEditingId(u.id);
+    setFormData({ name: u.name, email: u.email, ...addressFormData(u), role: u.role });
+    setFormErrors({});
+  };
+
+  // Normal users and existing store owners can own (more) stores
+  const loadOwnerOptions = async () => {
+    const [owners, users] = await Promise.all([
+      API.getUsers({ role: 'store_owner', pageSize: 100, sortBy: 'name' }),
+      API.getUsers({ role: 'user', pageSize: 100, sortBy: 'name' }),
+    ]);
+    setOwnerOptions([...owners.items, ...users.items]);
+  };
+
+  const openAddStore = () => {
+    closeModal();
+    setShowAddModal('store');
+    setFormData({ ownerId: '', categoryId: '', tags: '' });
+    loadOwnerOptions();
+  };
+
+  const openEditStore = async (store) => {
+    setShowAddModal('store');
+    setEditingId(store.id);
+    setFormData({ name: store.name, email: store.email, ...addressFormData(store), ownerId: '', categoryId: store.category_id || '', tags: store.tags.join(', ') });
+    setFormErrors({});
+    await loadOwnerOptions();
+  };
+
   const handleAddUser = async (e) => {
     e.preventDefault();
     const errors = validateForm(formData, false);
@@ -396,9 +2912,8 @@ const AdminDashboard = ({ user, onLogout }) => {
     try {
       await API.addUser(formData);
       await loadData();
-      setShowAddModal(null);
-      setFormData({});
-      setFormErrors({});
+      await loadList();
+      closeModal();
     } catch (err) {
       setFormErrors({ general: err.message });
     }
@@ -406,8 +2921,7 @@ const AdminDashboard = ({ user, onLogout }) => {
 
   const handleAddStore = async (e) => {
     e.preventDefault();
-    // Use dummy password for validation of store_owner account
-    const errors = validateForm({ ...formData, password: 'Store@123', role: 'store_owner' }, true);
+    const errors = validateForm(formData, true);
     
     if (Object.keys(errors).length > 0) {
       setFormErrors(errors);
@@ -415,17 +2929,118 @@ const AdminDashboard = ({ user, onLogout }) => {
     }
     
     try {
-      // The mock API.addStore handles creating a user with 'store_owner' role and default password
-      await API.addStore({ ...formData, password: 'Store@123' });
+      // Without an existing owner, the server creates the store_owner account
+      // with a one-time password
+      const created = await API.addStore(formData);
       await loadData();
-      setShowAddModal(null);
-      setFormData({});
-      setFormErrors({});
+      await loadList();
+      closeModal();
+      if (created.temporaryPassword) {
+        alert(`Store created. The owner's one-time password is ${created.temporaryPassword}\n\nIt has also been emailed to ${formData.email}. The owner must change it at first login.`);
+      }
+    } catch (err) {
+      setFormErrors({ general: err.message });
+    }
+  };
+
+  const handleUpdateUser = async (e) => {
+    e.preventDefault();
+    const errors = validateForm(formData, false, true);
+
+    if (Object.keys(errors).length > 0) {
+      setFormErrors(errors);
+      return;
+    }
+
+    try {
+      await API.updateUser(editingId, formData);
+      await loadList();
+      closeModal();
+    } catch (err) {
+      setFormErrors({ general: err.message });
+    }
+  };
+
+  const handleUpdateStore = async (e) => {
+    e.preventDefault();
+    const errors = validateForm(formData, true, true);
+
+    if (Object.keys(errors).length > 0) {
+      setFormErrors(errors);
+      return;
+    }
+
+    try {
+      await API.updateStore(editingId, formData);
+      await loadList();
+      closeModal();
     } catch (err) {
       setFormErrors({ general: err.message });
     }
   };
 
+  // Suspend, reactivate or purge the user/store held in pendingAction
+  const handleConfirmAction = async () => {
+    const { type, action, item } = pendingAction;
+    try {
+      if (action === 'purge') {
+        await (type === 'user' ? API.deleteUser(item.id) : API.deleteStore(item.id));
+      } else if (action === 'unlock') {
+        await API.unlockUser(item.id);
+      } else if (action === 'resetTwoFactor') {
+        await API.resetUserTwoFactor(item.id);
+      } else if (action === 'resetPassword') {
+        const { temporaryPassword } = await API.resetUserPassword(item.id);
+        alert(`${item.name}'s one-time password is ${temporaryPassword}\n\nIt has also been emailed to ${item.email}. They must change it at their next login.`);
+      } else if (type === 'user') {
+        await API.setUserStatus(item.id, action === 'suspend' ? 'suspended' : 'active');
+      } else {
+        await API.setStoreStatus(item.id, action === 'suspend' ? 'inactive' : 'active');
+      }
+      await loadData();
+      await loadList();
+      closeActionDialog();
+    } catch (err) {
+      setActionError(err.message || 'Action failed.');
+    }
+  };
+
+  const closeActionDialog = () => {
+    setPendingAction(null);
+    setActionError(null);
+  };
+
+  const describeAction = ({ type, action, item }) => {
+    if (action === 'purge') {
+      return type === 'user'
+        ? `Permanently delete ${item.name}? Their ratings${item.role === 'store_owner' ? ', any store they are the only owner of and its ratings' : ''} will be removed from every average.`
+        : `Permanently delete ${item.name}? All of its ratings will be removed and its owner becomes a normal user.`;
+    }
+    if (action === 'suspend') {
+      return type === 'user'
+        ? `Suspend ${item.name}? They will not be able to log in. Their ratings stay in the averages.`
+        : `Deactivate ${item.name}? It will be hidden from users. Its ratings are kept.`;
+    }
+    if (action === 'resetPassword') {
+      return `Reset the password for ${item.name}? They are logged out everywhere and get a one-time password that must be changed at their next login.`;
+    }
+    if (action === 'resetTwoFactor') {
+      return `Turn off two-factor authentication for ${item.name}? Use this when they have lost their authenticator app and recovery codes. They are logged out everywhere and log in with just their password.`;
+    }
+    if (action === 'unlock') {
+      return `Unlock ${item.name}? They are locked out after too many failed logins until ${new Date(item.lockedUntil).toLocaleString()}.`;
+    }
+    return `Reactivate ${item.name}?`;
+  };
+
+
+  const handleModalSubmit = (e) => {
+    if (showAddModal === 'user') {
+      return editingId ? handleUpdateUser(e) : handleAddUser(e);
+    }
+    return editingId ? handleUpdateStore(e) : handleAddStore(e);
+  };
+
   return (
     <div className="min-h-screen bg-gray-50">
       <nav className="bg-indigo-600 text-white p-4 shadow-lg">
@@ -435,6 +3050,13 @@ const AdminDashboard = ({ user, onLogout }) => {
             <h1 className="text-xl font-bold">Admin Dashboard</h1>
           </div>
           <div className="flex items-center gap-4">
+            <button
+              onClick={() => setShowTwoFactorModal(true)}
+              className="flex items-center gap-2 bg-indigo-700 px-4 py-2 rounded hover:bg-indigo-800"
+            >
+              <LucideIcon name="shield-check" className="w-4 h-4" />
+              Two-Factor
+            </button>
             <button
               onClick={() => setShowPasswordModal(true)}
               className="flex items-center gap-2 bg-indigo-700 px-4 py-2 rounded hover:bg-indigo-800"
@@ -455,82 +3077,112 @@ const AdminDashboard = ({ user, onLogout }) => {
 
       <div className="container mx-auto p-6">
         <div className="flex gap-4 mb-6">
-          <button
-            onClick={() => { setView('dashboard'); setSearchTerm(''); setFilterRole('all'); setSortConfig({ key: null, direction: 'asc' }); }}
-            className={'px-4 py-2 rounded ' + (view === 'dashboard' ? 'bg-indigo-600 text-white' : 'bg-white')}
-          >
-            Dashboard
-          </button>
-          <button
-            onClick={() => { setView('stores'); setSearchTerm(''); setFilterRole('all'); setSortConfig({ key: null, direction: 'asc' }); }}
-            className={'px-4 py-2 rounded ' + (view === 'stores' ? 'bg-indigo-600 text-white' : 'bg-white')}
-          >
-            Stores
-          </button>
-          <button
-            onClick={() => { setView('users'); setSearchTerm(''); setFilterRole('all'); setSortConfig({ key: null, direction: 'asc' }); }}
-            className={'px-4 py-2 rounded ' + (view === 'users' ? 'bg-indigo-600 text-white' : 'bg-white')}
-          >
-            Users
-          </button>
+          {views.map(v => (
+            <button
+              key={v.key}
+              onClick={() => changeView(v.key)}
+              className={'px-4 py-2 rounded ' + (view === v.key ? 'bg-indigo-600 text-white' : 'bg-white')}
+            >
+              {v.label}
+            </button>
+          ))}
         </div>
 
         {view === 'dashboard' && (
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-            <div className="bg-white p-6 rounded-lg shadow">
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="text-gray-600 text-sm">Total Users</p>
-                  <p className="text-3xl font-bold text-indigo-600">{users.length}</p>
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+              <div className="bg-white p-6 rounded-lg shadow">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-gray-600 text-sm">Total Users</p>
+                    <p className="text-3xl font-bold text-indigo-600">{stats.total_users}</p>
+                  </div>
+                  <LucideIcon name="users" className="w-12 h-12 text-indigo-600 opacity-20" />
                 </div>
-                <LucideIcon name="users" className="w-12 h-12 text-indigo-600 opacity-20" />
               </div>
-            </div>
-            <div className="bg-white p-6 rounded-lg shadow">
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="text-gray-600 text-sm">Total Stores</p>
-                  <p className="text-3xl font-bold text-indigo-600">{stores.length}</p>
+              <div className="bg-white p-6 rounded-lg shadow">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-gray-600 text-sm">Total Stores</p>
+                    <p className="text-3xl font-bold text-indigo-600">{stats.total_stores}</p>
+                  </div>
+                  <LucideIcon name="store" className="w-12 h-12 text-indigo-600 opacity-20" />
                 </div>
-                <LucideIcon name="store" className="w-12 h-12 text-indigo-600 opacity-20" />
               </div>
-            </div>
-            <div className="bg-white p-6 rounded-lg shadow">
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="text-gray-600 text-sm">Total Ratings</p>
-                  <p className="text-3xl font-bold text-indigo-600">{ratings.length}</p>
+              <div className="bg-white p-6 rounded-lg shadow">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-gray-600 text-sm">Total Ratings</p>
+                    <p className="text-3xl font-bold text-indigo-600">{stats.total_ratings}</p>
+                  </div>
+                  <LucideIcon name="star" className="w-12 h-12 text-indigo-600 opacity-20" />
                 </div>
-                <LucideIcon name="star" className="w-12 h-12 text-indigo-600 opacity-20" />
               </div>
             </div>
-          </div>
+            {can(user, 'settings:write') && <TwoFactorPolicy />}
+            <AdminAnalytics />
+          </>
         )}
 
+        {view === 'ratings' && <RatingModeration user={user} />}
+
+        {view === 'roles' && <RoleManager user={user} onRolesChanged={loadRoleOptions} />}
+
+        {view === 'audit' && <AuditLog />}
+
         {view === 'stores' && (
           <div className="bg-white rounded-lg shadow p-6">
             <div className="flex justify-between items-center mb-4">
               <h2 className="text-2xl font-bold">Stores</h2>
-              <button
-                onClick={() => { setShowAddModal('store'); setFormData({}); setFormErrors({}); }}
-                className="flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded hover:bg-indigo-700"
-              >
-                <LucideIcon name="plus" className="w-4 h-4" />
-                Add Store
-              </button>
+              <div className="flex gap-2">
+                <ExportMenu kind="stores" params={listParams()} />
+                {can(user, 'stores:write') && (
+                  <>
+                    <button
+                      onClick={() => setShowCategories(true)}
+                      className="flex items-center gap-2 border px-4 py-2 rounded hover:bg-gray-50"
+                    >
+                      <LucideIcon name="tags" className="w-4 h-4" />
+                      Categories
+                    </button>
+                    <button
+                      onClick={() => setImportKind('stores')}
+                      className="flex items-center gap-2 border px-4 py-2 rounded hover:bg-gray-50"
+                    >
+                      <LucideIcon name="upload" className="w-4 h-4" />
+                      Import
+                    </button>
+                    <button
+                      onClick={openAddStore}
+                      className="flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded hover:bg-indigo-700"
+                    >
+                      <LucideIcon name="plus" className="w-4 h-4" />
+                      Add Store
+                    </button>
+                  </>
+                )}
+              </div>
             </div>
             
-            <div className="mb-4">
-              <div className="relative">
-                <LucideIcon name="search" className="absolute left-3 top-3 w-5 h-5 text-gray-400" />
-                <input
-                  type="text"
-                  placeholder="Search stores by name or address..."
-                  value={searchTerm}
-                  onChange={(e) => setSearchTerm(e.target.value)}
-                  className="w-full pl-10 pr-4 py-2 border rounded-lg"
+            <div className="flex gap-4 mb-4">
+              <div className="flex-1">
+                <StoreSearchBox
+                  placeholder="Search stores by name, address or review..."
+                  onSearch={handleSearchChange}
+                  params={{ status: filterStatus === 'all' ? null : filterStatus }}
                 />
               </div>
+              {can(user, 'stores:write') && (
+                <select
+                  value={filterStatus}
+                  onChange={(e) => { setFilterStatus(e.target.value); setPage(1); }}
+                  className="px-4 py-2 border rounded-lg"
+                >
+                  <option value="all">All Statuses</option>
+                  <option value="active">Active</option>
+                  <option value="inactive">Inactive</option>
+                </select>
+              )}
             </div>
 
             <div className="overflow-x-auto">
@@ -546,19 +3198,67 @@ const AdminDashboard = ({ user, onLogout }) => {
                     <th className="px-4 py-2 text-left cursor-pointer" onClick={() => handleSort('address', 'stores')}>
                       Address {sortConfig.key === 'address' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
                     </th>
-                    <th className="px-4 py-2 text-left">Rating</th>
+                    <th className="px-4 py-2 text-left cursor-pointer" onClick={() => handleSort('category', 'stores')}>
+                      Category {sortConfig.key === 'category' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
+                    </th>
+                    <th className="px-4 py-2 text-left cursor-pointer" onClick={() => handleSort('rating', 'stores')}>
+                      Rating {sortConfig.key === 'rating' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
+                    </th>
+                    <th className="px-4 py-2 text-left cursor-pointer" onClick={() => handleSort('status', 'stores')}>
+                      Status {sortConfig.key === 'status' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
+                    </th>
+                    <th className="px-4 py-2 text-left">Actions</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {filteredStores.map(store => (
+                  {storeList.items.map(store => (
                     <tr key={store.id} className="border-t hover:bg-gray-50">
-                      <td className="px-4 py-2">{store.name}</td>
+                      <td className="px-4 py-2">
+                        {store.name}
+                        <TagList tags={store.tags} />
+                      </td>
                       <td className="px-4 py-2">{store.email}</td>
                       <td className="px-4 py-2">{store.address}</td>
+                      <td className="px-4 py-2">{store.category_name || <span className="text-gray-400">None</span>}</td>
                       <td className="px-4 py-2">
                         <div className="flex items-center gap-1">
                           <LucideIcon name="star" className="w-4 h-4 text-yellow-400 fill-current" />
-                          {getStoreRating(store.id)}
+                          {formatRating(store.average_rating)}
+                          <span className="text-xs text-gray-500">({store.rating_count})</span>
+                        </div>
+                      </td>
+                      <td className="px-4 py-2"><StatusBadge status={store.status} /></td>
+                      <td className="px-4 py-2">
+                        <div className="flex items-center gap-2">
+                          {can(user, 'stores:write') && (
+                            <button onClick={() => openEditStore(store)} className="text-indigo-600 hover:text-indigo-800" title="Edit store">
+                              <LucideIcon name="pencil" className="w-4 h-4" />
+                            </button>
+                          )}
+                          {can(user, 'stores:write') && (
+                            <button onClick={() => setMembersStore(store)} className="text-indigo-600 hover:text-indigo-800" title="Owners and managers">
+                              <LucideIcon name="users" className="w-4 h-4" />
+                            </button>
+                          )}
+                          {can(user, 'ratings:read') && (
+                            <button onClick={() => setHistoryStore(store)} className="text-gray-600 hover:text-gray-800" title="Rating history">
+                              <LucideIcon name="history" className="w-4 h-4" />
+                            </button>
+                          )}
+                          {!can(user, 'stores:write') ? null : store.status === 'active' ? (
+                            <button onClick={() => setPendingAction({ type: 'store', action: 'suspend', item: store })} className="text-yellow-600 hover:text-yellow-800" title="Deactivate store">
+                              <LucideIcon name="pause-circle" className="w-4 h-4" />
+                            </button>
+                          ) : (
+                            <>
+                              <button onClick={() => setPendingAction({ type: 'store', action: 'reactivate', item: store })} className="text-green-600 hover:text-green-800" title="Reactivate store">
+                                <LucideIcon name="play-circle" className="w-4 h-4" />
+                              </button>
+                              <button onClick={() => setPendingAction({ type: 'store', action: 'purge', item: store })} className="text-red-600 hover:text-red-800" title="Purge store">
+                                <LucideIcon name="trash-2" className="w-4 h-4" />
+                              </button>
+                            </>
+                          )}
                         </div>
                       </td>
                     </tr>
@@ -566,6 +3266,12 @@ const AdminDashboard = ({ user, onLogout }) => {
                 </tbody>
               </table>
             </div>
+            <Pagination
+              page={storeList.page}
+              totalPages={storeList.totalPages}
+              total={storeList.total}
+              onPageChange={setPage}
+            />
           </div>
         )}
 
@@ -573,13 +3279,27 @@ const AdminDashboard = ({ user, onLogout }) => {
           <div className="bg-white rounded-lg shadow p-6">
             <div className="flex justify-between items-center mb-4">
               <h2 className="text-2xl font-bold">Users</h2>
-              <button
-                onClick={() => { setShowAddModal('user'); setFormData({}); setFormErrors({}); }}
-                className="flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded hover:bg-indigo-700"
-              >
-                <LucideIcon name="plus" className="w-4 h-4" />
-                Add User
-              </button>
+              <div className="flex gap-2">
+                <ExportMenu kind="users" params={listParams()} />
+                {can(user, 'users:write') && (
+                  <>
+                    <button
+                      onClick={() => setImportKind('users')}
+                      className="flex items-center gap-2 border px-4 py-2 rounded hover:bg-gray-50"
+                    >
+                      <LucideIcon name="upload" className="w-4 h-4" />
+                      Import
+                    </button>
+                    <button
+                      onClick={() => { closeModal(); setShowAddModal('user'); }}
+                      className="flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded hover:bg-indigo-700"
+                    >
+                      <LucideIcon name="plus" className="w-4 h-4" />
+                      Add User
+                    </button>
+                  </>
+                )}
+              </div>
             </div>
             
             <div className="flex gap-4 mb-4">
@@ -589,19 +3309,28 @@ const AdminDashboard = ({ user, onLogout }) => {
                   type="text"
                   placeholder="Search users by name, email, or address..."
                   value={searchTerm}
-                  onChange={(e) => setSearchTerm(e.target.value)}
+                  onChange={(e) => handleSearchChange(e.target.value)}
                   className="w-full pl-10 pr-4 py-2 border rounded-lg"
                 />
               </div>
               <select
                 value={filterRole}
-                onChange={(e) => setFilterRole(e.target.value)}
+                onChange={(e) => { setFilterRole(e.target.value); setPage(1); }}
                 className="px-4 py-2 border rounded-lg"
               >
                 <option value="all">All Roles</option>
-                <option value="admin">Admin</option>
-                <option value="user">User</option>
-                <option value="store_owner">Store Owner</option>
+                {roleOptions.map(role => (
+                  <option key={role} value={role}>{role.replace('_', ' ')}</option>
+                ))}
+              </select>
+              <select
+                value={filterStatus}
+                onChange={(e) => { setFilterStatus(e.target.value); setPage(1); }}
+                className="px-4 py-2 border rounded-lg"
+              >
+                <option value="all">All Statuses</option>
+                <option value="active">Active</option>
+                <option value="suspended">Suspended</option>
               </select>
             </div>
 
@@ -622,10 +3351,14 @@ const AdminDashboard = ({ user, onLogout }) => {
                       Role {sortConfig.key === 'role' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
                     </th>
                     <th className="px-4 py-2 text-left">Store Rating</th>
+                    <th className="px-4 py-2 text-left cursor-pointer" onClick={() => handleSort('status', 'users')}>
+                      Status {sortConfig.key === 'status' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
+                    </th>
+                    <th className="px-4 py-2 text-left">Actions</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {filteredUsers.map(u => (
+                  {userList.items.map(u => (
                     <tr key={u.id} className="border-t hover:bg-gray-50">
                       <td className="px-4 py-2">{u.name}</td>
                       <td className="px-4 py-2">{u.email}</td>
@@ -634,24 +3367,76 @@ const AdminDashboard = ({ user, onLogout }) => {
                         <span className={'px-2 py-1 rounded text-xs font-medium ' + (
                           u.role === 'admin' ? 'bg-purple-100 text-purple-800' :
                           u.role === 'store_owner' ? 'bg-green-100 text-green-800' :
-                          'bg-blue-100 text-blue-800'
+                          u.role === 'user' ? 'bg-blue-100 text-blue-800' :
+                          'bg-amber-100 text-amber-800'
                         )}>
                           {u.role.replace('_', ' ')}
                         </span>
                       </td>
                       <td className="px-4 py-2">
-                        {u.role === 'store_owner' ? (
+                        {u.storeCount > 0 ? (
                           <div className="flex items-center gap-1">
                             <LucideIcon name="star" className="w-4 h-4 text-yellow-400 fill-current" />
-                            {getStoreRating(u.storeId)}
+                            {formatRating(u.storeRating)}
+                            {u.storeCount > 1 && <span className="text-xs text-gray-500">({u.storeCount} stores)</span>}
                           </div>
                         ) : 'N/A'}
                       </td>
+                      <td className="px-4 py-2">
+                        <StatusBadge status={u.status} />
+                        {u.lockedUntil && (
+                          <p className="text-xs text-red-600 mt-1">Locked until {new Date(u.lockedUntil).toLocaleTimeString()}</p>
+                        )}
+                      </td>
+                      <td className="px-4 py-2">
+                        {can(user, 'users:write') && (
+                          <div className="flex items-center gap-2">
+                            <button onClick={() => openEditUser(u)} className="text-indigo-600 hover:text-indigo-800" title="Edit user">
+                              <LucideIcon name="pencil" className="w-4 h-4" />
+                            </button>
+                            {u.id !== user.id && (
+                              <button onClick={() => setPendingAction({ type: 'user', action: 'resetPassword', item: u })} className="text-gray-600 hover:text-gray-800" title="Reset password">
+                                <LucideIcon name="key-round" className="w-4 h-4" />
+                              </button>
+                            )}
+                            {u.twoFactorEnabled && u.id !== user.id && (
+                              <button onClick={() => setPendingAction({ type: 'user', action: 'resetTwoFactor', item: u })} className="text-gray-600 hover:text-gray-800" title="Reset two-factor authentication">
+                                <LucideIcon name="shield-off" className="w-4 h-4" />
+                              </button>
+                            )}
+                            {u.lockedUntil && (
+                              <button onClick={() => setPendingAction({ type: 'user', action: 'unlock', item: u })} className="text-orange-600 hover:text-orange-800" title="Unlock account">
+                                <LucideIcon name="unlock" className="w-4 h-4" />
+                              </button>
+                            )}
+                            {u.id !== user.id && (u.status === 'active' ? (
+                              <button onClick={() => setPendingAction({ type: 'user', action: 'suspend', item: u })} className="text-yellow-600 hover:text-yellow-800" title="Suspend user">
+                                <LucideIcon name="user-x" className="w-4 h-4" />
+                              </button>
+                            ) : (
+                              <>
+                                <button onClick={() => setPendingAction({ type: 'user', action: 'reactivate', item: u })} className="text-green-600 hover:text-green-800" title="Reactivate user">
+                                  <LucideIcon name="user-check" className="w-4 h-4" />
+                                </button>
+                                <button onClick={() => setPendingAction({ type: 'user', action: 'purge', item: u })} className="text-red-600 hover:text-red-800" title="Purge user">
+                                  <LucideIcon name="trash-2" className="w-4 h-4" />
+                                </button>
+                              </>
+                            ))}
+                          </div>
+                        )}
+                      </td>
                     </tr>
                   ))}
                 </tbody>
               </table>
             </div>
+            <Pagination
+              page={userList.page}
+              totalPages={userList.totalPages}
+              total={userList.total}
+              onPageChange={setPage}
+            />
           </div>
         )}
       </div>
@@ -660,13 +3445,13 @@ const AdminDashboard = ({ user, onLogout }) => {
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
           <div className="bg-white rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
             <div className="flex justify-between items-center mb-4">
-              <h3 className="text-xl font-bold">Add {showAddModal === 'user' ? 'User' : 'Store'}</h3>
-              <button onClick={() => { setShowAddModal(null); setFormData({}); setFormErrors({}); }}>
+              <h3 className="text-xl font-bold">{editingId ? 'Edit' : 'Add'} {showAddModal === 'user' ? 'User' : 'Store'}</h3>
+              <button onClick={closeModal}>
                 <LucideIcon name="x" className="w-5 h-5" />
               </button>
             </div>
             
-            <form onSubmit={showAddModal === 'user' ? handleAddUser : handleAddStore} className="space-y-4">
+            <form onSubmit={handleModalSubmit} className="space-y-4">
               {formErrors.general && (
                 <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">
                   {formErrors.general}
@@ -701,37 +3486,31 @@ const AdminDashboard = ({ user, onLogout }) => {
                 {formErrors.email && <p className="text-red-600 text-xs mt-1">{formErrors.email}</p>}
               </div>
               
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Address (max 400 chars)
-                </label>
-                <textarea
-                  placeholder="Address"
-                  value={formData.address || ''}
-                  onChange={(e) => setFormData({ ...formData, address: e.target.value })}
-                  className="w-full px-4 py-2 border rounded-lg"
-                  rows="2"
-                  required
-                />
-                {formErrors.address && <p className="text-red-600 text-xs mt-1">{formErrors.address}</p>}
-              </div>
+              <AddressFields
+                value={formData}
+                onChange={(fields) => setFormData({ ...formData, ...fields })}
+                errors={formErrors}
+                withLocation={showAddModal === 'store'}
+              />
               
               {showAddModal === 'user' && (
                 <>
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">
-                      Password (8-16 chars, 1 uppercase, 1 special)
-                    </label>
-                    <input
-                      type="password"
-                      placeholder="Password"
-                      value={formData.password || ''}
-                      onChange={(e) => setFormData({ ...formData, password: e.target.value })}
-                      className="w-full px-4 py-2 border rounded-lg"
-                      required
-                    />
-                    {formErrors.password && <p className="text-red-600 text-xs mt-1">{formErrors.password}</p>}
-                  </div>
+                  {!editingId && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Password (8-16 chars, 1 uppercase, 1 special)
+                      </label>
+                      <input
+                        type="password"
+                        placeholder="Password"
+                        value={formData.password || ''}
+                        onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                        className="w-full px-4 py-2 border rounded-lg"
+                        required
+                      />
+                      {formErrors.password && <p className="text-red-600 text-xs mt-1">{formErrors.password}</p>}
+                    </div>
+                  )}
                   
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-1">Role</label>
@@ -739,34 +3518,144 @@ const AdminDashboard = ({ user, onLogout }) => {
                       value={formData.role || ''}
                       onChange={(e) => setFormData({ ...formData, role: e.target.value })}
                       className="w-full px-4 py-2 border rounded-lg"
+                      disabled={formData.role === 'store_owner'}
                       required
                     >
                       <option value="">Select Role</option>
-                      <option value="admin">Admin</option>
-                      <option value="user">Normal User</option>
+                      {roleOptions.filter(role => role !== 'store_owner').map(role => (
+                        <option key={role} value={role}>{role === 'user' ? 'Normal User' : role.replace('_', ' ')}</option>
+                      ))}
+                      {formData.role === 'store_owner' && <option value="store_owner">Store Owner</option>}
                     </select>
+                    {formData.role === 'store_owner' && (
+                      <p className="text-xs text-gray-500 mt-1">Store owner roles change by adding or removing their store memberships.</p>
+                    )}
                     {formErrors.role && <p className="text-red-600 text-xs mt-1">{formErrors.role}</p>}
                   </div>
                 </>
               )}
               
               {showAddModal === 'store' && (
-                <p className="text-sm text-gray-600 bg-blue-50 p-3 rounded">
-                  Default password for the new store owner will be: <strong>Store@123</strong>
-                </p>
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+                    <select
+                      value={formData.categoryId || ''}
+                      onChange={(e) => setFormData({ ...formData, categoryId: e.target.value })}
+                      className="w-full px-4 py-2 border rounded-lg"
+                    >
+                      <option value="">No category</option>
+                      {categories.map(category => (
+                        <option key={category.id} value={category.id}>{category.name}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Tags</label>
+                    <input
+                      type="text"
+                      placeholder="organic, open late"
+                      value={formData.tags || ''}
+                      onChange={(e) => setFormData({ ...formData, tags: e.target.value })}
+                      className="w-full px-4 py-2 border rounded-lg"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Separate tags with commas; up to 10.</p>
+                  </div>
+                </>
+              )}
+
+              {showAddModal === 'store' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Owner</label>
+                  <select
+                    value={formData.ownerId || ''}
+                    onChange={(e) => setFormData({ ...formData, ownerId: e.target.value })}
+                    className="w-full px-4 py-2 border rounded-lg"
+                  >
+                    <option value="">{editingId ? 'Keep current owners' : 'Create a new owner account'}</option>
+                    {ownerOptions.map(o => (
+                      <option key={o.id} value={o.id}>{o.name} ({o.email}){o.role === 'store_owner' ? ` - owns ${o.storeCount} ${o.storeCount === 1 ? 'store' : 'stores'}` : ''}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {editingId
+                      ? 'The new owner replaces the current owners; managers stay. Anyone left without a store becomes a normal user.'
+                      : formData.ownerId
+                        ? 'The store is added to this account\'s locations.'
+                        : 'A one-time password is generated for the new store owner and emailed to them. They must change it at first login.'}
+                  </p>
+                </div>
               )}
               
               <button
                 type="submit"
                 className="w-full bg-indigo-600 text-white py-2 rounded-lg hover:bg-indigo-700 transition"
               >
-                Add {showAddModal === 'user' ? 'User' : 'Store'}
+                {editingId ? 'Save Changes' : 'Add'} {showAddModal === 'user' ? 'User' : 'Store'}
               </button>
             </form>
           </div>
         </div>
       )}
 
+      {historyStore && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-xl font-bold">{historyStore.name}: Rating History</h3>
+              <button onClick={() => setHistoryStore(null)}><LucideIcon name="x" className="w-5 h-5" /></button>
+            </div>
+            <ScoreHistory storeId={historyStore.id} />
+          </div>
+        </div>
+      )}
+
+      {showCategories && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-xl font-bold">Store Categories</h3>
+              <button onClick={() => setShowCategories(false)}><LucideIcon name="x" className="w-5 h-5" /></button>
+            </div>
+            <CategoryManager onChanged={() => { loadCategories(); loadList(); }} />
+          </div>
+        </div>
+      )}
+
+      {importKind && (
+        <ImportModal
+          kind={importKind}
+          onClose={() => setImportKind(null)}
+          onImported={() => { loadList(); loadData(); }}
+        />
+      )}
+
+      {membersStore && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-xl font-bold">{membersStore.name}: Owners and Managers</h3>
+              <button onClick={() => { setMembersStore(null); loadList(); }}><LucideIcon name="x" className="w-5 h-5" /></button>
+            </div>
+            <StoreMembers storeId={membersStore.id} user={user} canManage />
+          </div>
+        </div>
+      )}
+
+      {pendingAction && (
+        <ConfirmDialog
+          title={pendingAction.action === 'resetPassword' || pendingAction.action === 'resetTwoFactor'
+            ? `${ACTION_LABELS.user[pendingAction.action]} for User`
+            : `${ACTION_LABELS[pendingAction.type][pendingAction.action]} ${pendingAction.type === 'user' ? 'User' : 'Store'}`}
+          message={describeAction(pendingAction)}
+          confirmLabel={ACTION_LABELS[pendingAction.type][pendingAction.action]}
+          error={actionError}
+          onConfirm={handleConfirmAction}
+          onCancel={closeActionDialog}
+        />
+      )}
+
       {showPasswordModal && (
         <PasswordUpdateModal
           userId={user.id}
@@ -777,39 +3666,124 @@ const AdminDashboard = ({ user, onLogout }) => {
           }}
         />
       )}
+
+      {showTwoFactorModal && (
+        <TwoFactorModal onClose={() => setShowTwoFactorModal(false)} />
+      )}
     </div>
   );
 };
 
+// A filter option with the number of matching stores
+const FacetChip = ({ label, count, selected, onClick }) => (
+  <button
+    onClick={onClick}
+    className={'px-3 py-1 rounded-full text-sm border ' + (selected ? 'bg-green-600 text-white border-green-600' : 'bg-white hover:bg-gray-50')}
+  >
+    {label} <span className={selected ? 'text-green-100' : 'text-gray-400'}>({count})</span>
+  </button>
+);
+
+const MIN_RATING_OPTIONS = [4, 3, 2, 1];
+
+// Stores without a location have no distance
+const formatDistance = (km) => {
+  if (km === null || km === undefined) return '-';
+  return km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(1)} km`;
+};
+
 const UserDashboard = ({ user, onLogout }) => {
-  const [stores, setStores] = React.useState([]);
-  const [ratings, setRatings] = React.useState([]);
+  const [storeList, setStoreList] = React.useState(EMPTY_PAGE);
+  const [page, setPage] = React.useState(1);
   const [searchTerm, setSearchTerm] = React.useState('');
   const [sortConfig, setSortConfig] = React.useState({ key: null, direction: 'asc' });
   const [showPasswordModal, setShowPasswordModal] = React.useState(false);
   const [currentRating, setCurrentRating] = React.useState({ storeId: null, rating: '' });
+  const [selectedStore, setSelectedStore] = React.useState(null);
   const [ratingError, setRatingError] = React.useState(null);
+  const [removingStore, setRemovingStore] = React.useState(null);
+  const [removeError, setRemoveError] = React.useState(null);
+  const [verificationNotice, setVerificationNotice] = React.useState(null);
+  const [facets, setFacets] = React.useState({ categories: [], uncategorized: 0, tags: [], cities: [] });
+  const [filterCategory, setFilterCategory] = React.useState('');
+  const [filterTags, setFilterTags] = React.useState([]);
+  const [minRating, setMinRating] = React.useState('');
+  const [filterCity, setFilterCity] = React.useState('');
+  // The user's position from the browser, for distances and sorting by them
+  const [origin, setOrigin] = React.useState(null);
+  const [locating, setLocating] = React.useState(false);
+  const [locationError, setLocationError] = React.useState(null);
 
   React.useEffect(() => {
     loadData();
-  }, []);
+  }, [page, searchTerm, sortConfig, filterCategory, filterTags, minRating, filterCity, origin]);
+
+  // Filters shared by the list, its facets and the search suggestions
+  const filterParams = () => ({
+    category: filterCategory,
+    tags: filterTags.join(','),
+    minRating,
+    city: filterCity,
+    latitude: origin && origin.latitude,
+    longitude: origin && origin.longitude,
+  });
 
   const loadData = async () => {
-    const storeData = await API.getStores();
-    const ratingData = await API.getRatings();
-    setStores(storeData);
-    setRatings(ratingData);
+    const filters = { search: searchTerm, ...filterParams() };
+    const [storeData, facetData] = await Promise.all([
+      API.getStores({
+        ...filters,
+        page,
+        pageSize: PAGE_SIZE,
+        sortBy: sortConfig.key,
+        sortOrder: sortConfig.direction,
+      }),
+      API.getStoreFacets(filters),
+    ]);
+    setStoreList(storeData);
+    setFacets(facetData);
   };
 
-  const getUserRating = (storeId) => {
-    const rating = ratings.find(r => r.userId === user.id && r.storeId === storeId);
-    return rating ? rating.rating : '-';
+  // Sort by distance from the user's current position. Clicking again goes
+  // back to the default order.
+  const toggleNearMe = () => {
+    setLocationError(null);
+    if (origin) {
+      setOrigin(null);
+      if (sortConfig.key === 'distance') setSortConfig({ key: null, direction: 'asc' });
+      setPage(1);
+      return;
+    }
+    if (!navigator.geolocation) {
+      setLocationError('Your browser cannot share your location.');
+      return;
+    }
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setLocating(false);
+        setOrigin({ latitude: position.coords.latitude, longitude: position.coords.longitude });
+        setSortConfig({ key: 'distance', direction: 'asc' });
+        setPage(1);
+      },
+      () => {
+        setLocating(false);
+        setLocationError('Could not get your location. Allow location access to sort stores by distance.');
+      },
+      { timeout: 10000 }
+    );
   };
 
-  const getOverallRating = (storeId) => {
-    const storeRatings = ratings.filter(r => r.storeId === storeId);
-    if (storeRatings.length === 0) return '0.0';
-    return (storeRatings.reduce((sum, r) => sum + r.rating, 0) / storeRatings.length).toFixed(1);
+  // Clicking the selected category again clears it
+  const handleCategoryChange = (category) => {
+    setFilterCategory(filterCategory === category ? '' : category);
+    setPage(1);
+  };
+
+  // Stores must have every selected tag
+  const toggleTag = (tag) => {
+    setFilterTags(filterTags.includes(tag) ? filterTags.filter(t => t !== tag) : [...filterTags, tag]);
+    setPage(1);
   };
 
   const handleRatingChange = (storeId, value) => {
@@ -828,7 +3802,7 @@ const UserDashboard = ({ user, onLogout }) => {
     }
 
     try {
-      await API.submitRating(user.id, storeId, ratingValue, user.email);
+      await API.submitRating(user.id, storeId, ratingValue);
       await loadData(); // Reload data to show updated rating
       setCurrentRating({ storeId: null, rating: '' });
       setRatingError(null);
@@ -838,42 +3812,43 @@ const UserDashboard = ({ user, onLogout }) => {
     }
   };
 
+  const handleResendVerification = async () => {
+    try {
+      await API.resendVerification();
+      setVerificationNotice(`We sent a new link to ${user.email}.`);
+    } catch (err) {
+      setVerificationNotice(err.message || 'Failed to send the verification email.');
+    }
+  };
+
+  const closeRemoveDialog = () => {
+    setRemovingStore(null);
+    setRemoveError(null);
+  };
+
+  const handleRemoveRating = async () => {
+    try {
+      await API.withdrawRating(removingStore.id);
+      await loadData(); // Reload so the average and count drop the removed rating
+      closeRemoveDialog();
+    } catch (err) {
+      setRemoveError(err.message || 'Failed to remove rating.');
+    }
+  };
+
   const handleSort = (key) => {
+    setPage(1);
     setSortConfig({
       key,
       direction: sortConfig.key === key && sortConfig.direction === 'asc' ? 'desc' : 'asc'
     });
   };
 
-  const sortData = (data) => {
-    if (!sortConfig.key) return data;
-    return [...data].sort((a, b) => {
-      const aVal = a[sortConfig.key] || '';
-      const bVal = b[sortConfig.key] || '';
-      if (typeof aVal === 'string' && typeof bVal === 'string') {
-        if (aVal.toLowerCase() < bVal.toLowerCase()) return sortConfig.direction === 'asc' ? -1 : 1;
-        if (aVal.toLowerCase() > bVal.toLowerCase()) return sortConfig.direction === 'asc' ? 1 : -1;
-      } else {
-        // Custom sort for rating
-        if (sortConfig.key === 'rating') {
-            const ratingA = parseFloat(getOverallRating(a.id));
-            const ratingB = parseFloat(getOverallRating(b.id));
-            if (ratingA < ratingB) return sortConfig.direction === 'asc' ? -1 : 1;
-            if (ratingA > ratingB) return sortConfig.direction === 'asc' ? 1 : -1;
-        } else {
-            if (aVal < bVal) return sortConfig.direction === 'asc' ? -1 : 1;
-            if (aVal > bVal) return sortConfig.direction === 'asc' ? 1 : -1;
-        }
-      }
-      return 0;
-    });
+  const handleSearchChange = (value) => {
+    setSearchTerm(value);
+    setPage(1);
   };
 
-  const filteredStores = sortData(stores.filter(s => {
-    const term = searchTerm.toLowerCase();
-    return s.name.toLowerCase().includes(term) || s.address.toLowerCase().includes(term);
-  }));
-
   return (
     <div className="min-h-screen bg-gray-50">
       <nav className="bg-green-600 text-white p-4 shadow-lg">
@@ -903,18 +3878,104 @@ const UserDashboard = ({ user, onLogout }) => {
       </nav>
 
       <div className="container mx-auto p-6">
+        {user.email_verified === false && (
+          <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded mb-6 flex flex-wrap items-center justify-between gap-2">
+            <span>
+              Confirm your email address to start rating stores. Check your inbox for the link we sent to {user.email}.
+              {verificationNotice && <span className="block text-sm mt-1">{verificationNotice}</span>}
+            </span>
+            <button onClick={handleResendVerification} className="text-sm font-medium text-yellow-900 underline">
+              Resend link
+            </button>
+          </div>
+        )}
+
         <h2 className="text-2xl font-bold mb-4">All Registered Stores</h2>
         
         <div className="mb-6">
-          <div className="relative">
-            <LucideIcon name="search" className="absolute left-3 top-3 w-5 h-5 text-gray-400" />
-            <input
-              type="text"
-              placeholder="Search stores by Name or Address..."
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-              className="w-full pl-10 pr-4 py-2 border rounded-lg"
-            />
+          <StoreSearchBox
+            placeholder="Search stores by name, address or review..."
+            onSearch={handleSearchChange}
+            onSelect={async (store) => setSelectedStore(await API.getStore(store.id))}
+            params={filterParams()}
+          />
+        </div>
+
+        <div className="bg-white rounded-lg shadow p-4 mb-6 space-y-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-sm font-medium text-gray-700 w-24">Category</span>
+            {facets.categories.filter(category => category.count > 0 || String(category.id) === filterCategory).map(category => (
+              <FacetChip
+                key={category.id}
+                label={category.name}
+                count={category.count}
+                selected={String(category.id) === filterCategory}
+                onClick={() => handleCategoryChange(String(category.id))}
+              />
+            ))}
+            {(facets.uncategorized > 0 || filterCategory === 'none') && (
+              <FacetChip
+                label="Uncategorized"
+                count={facets.uncategorized}
+                selected={filterCategory === 'none'}
+                onClick={() => handleCategoryChange('none')}
+              />
+            )}
+          </div>
+          {(facets.tags.length > 0 || filterTags.length > 0) && (
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-sm font-medium text-gray-700 w-24">Tags</span>
+              {filterTags.filter(tag => !facets.tags.some(facet => facet.tag === tag)).map(tag => (
+                <FacetChip key={tag} label={tag} count={0} selected onClick={() => toggleTag(tag)} />
+              ))}
+              {facets.tags.map(facet => (
+                <FacetChip
+                  key={facet.tag}
+                  label={facet.tag}
+                  count={facet.count}
+                  selected={filterTags.includes(facet.tag)}
+                  onClick={() => toggleTag(facet.tag)}
+                />
+              ))}
+            </div>
+          )}
+          <div className="flex items-center gap-2">
+            <label className="text-sm font-medium text-gray-700 w-24">Rating</label>
+            <select
+              value={minRating}
+              onChange={(e) => { setMinRating(e.target.value); setPage(1); }}
+              className="px-3 py-1 border rounded-lg text-sm"
+            >
+              <option value="">Any rating</option>
+              {MIN_RATING_OPTIONS.map(value => (
+                <option key={value} value={value}>{value}+ stars</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <label className="text-sm font-medium text-gray-700 w-24">Location</label>
+            <select
+              value={filterCity}
+              onChange={(e) => { setFilterCity(e.target.value); setPage(1); }}
+              className="px-3 py-1 border rounded-lg text-sm"
+            >
+              <option value="">Any city</option>
+              {filterCity && !facets.cities.some(facet => facet.city.toLowerCase() === filterCity.toLowerCase()) && (
+                <option value={filterCity}>{filterCity} (0)</option>
+              )}
+              {facets.cities.map(facet => (
+                <option key={facet.city} value={facet.city}>{facet.city} ({facet.count})</option>
+              ))}
+            </select>
+            <button
+              onClick={toggleNearMe}
+              disabled={locating}
+              className={'flex items-center gap-1 px-3 py-1 rounded-full text-sm border ' + (origin ? 'bg-green-600 text-white border-green-600' : 'bg-white hover:bg-gray-50')}
+            >
+              <LucideIcon name="map-pin" className="w-4 h-4" />
+              {locating ? 'Locating...' : 'Near me'}
+            </button>
+            {locationError && <span className="text-red-600 text-xs">{locationError}</span>}
           </div>
         </div>
 
@@ -928,6 +3989,11 @@ const UserDashboard = ({ user, onLogout }) => {
                 <th className="px-4 py-3 text-left cursor-pointer" onClick={() => handleSort('address')}>
                   Address {sortConfig.key === 'address' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
                 </th>
+                {origin && (
+                  <th className="px-4 py-3 text-left cursor-pointer" onClick={() => handleSort('distance')}>
+                    Distance {sortConfig.key === 'distance' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
+                  </th>
+                )}
                 <th className="px-4 py-3 text-left cursor-pointer" onClick={() => handleSort('rating')}>
                   Overall Rating {sortConfig.key === 'rating' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
                 </th>
@@ -936,18 +4002,29 @@ const UserDashboard = ({ user, onLogout }) => {
               </tr>
             </thead>
             <tbody>
-              {filteredStores.map(store => (
+              {storeList.items.map(store => (
                 <tr key={store.id} className="border-t hover:bg-gray-50">
-                  <td className="px-4 py-3">{store.name}</td>
+                  <td className="px-4 py-3">
+                    <button
+                      onClick={() => setSelectedStore(store)}
+                      className="text-left text-indigo-600 hover:text-indigo-800 hover:underline"
+                    >
+                      {store.name}
+                    </button>
+                    {store.category_name && <p className="text-xs text-gray-500">{store.category_name}</p>}
+                    <TagList tags={store.tags} />
+                  </td>
                   <td className="px-4 py-3">{store.address}</td>
+                  {origin && <td className="px-4 py-3 text-sm whitespace-nowrap">{formatDistance(store.distance_km)}</td>}
                   <td className="px-4 py-3 text-sm font-medium">
                     <div className="flex items-center gap-1">
                       <LucideIcon name="star" className="w-4 h-4 text-yellow-400 fill-current" />
-                      {getOverallRating(store.id)}
+                      {formatRating(store.average_rating)}
+                      <span className="text-xs text-gray-500">({store.rating_count})</span>
                     </div>
                   </td>
                   <td className="px-4 py-3 text-sm">
-                    {getUserRating(store.id)}
+                    {store.my_rating || '-'}
                   </td>
                   <td className="px-4 py-3">
                     <form onSubmit={(e) => handleSubmitRating(e, store.id)} className="flex items-center gap-2">
@@ -955,7 +4032,7 @@ const UserDashboard = ({ user, onLogout }) => {
                         type="number"
                         min="1"
                         max="5"
-                        placeholder={getUserRating(store.id) !== '-' ? 'Modify' : '1-5'}
+                        placeholder={store.my_rating ? 'Modify' : '1-5'}
                         value={currentRating.storeId === store.id ? currentRating.rating : ''}
                         onChange={(e) => handleRatingChange(store.id, e.target.value)}
                         className="w-20 px-2 py-1 border rounded-lg text-sm"
@@ -966,8 +4043,17 @@ const UserDashboard = ({ user, onLogout }) => {
                         className="bg-indigo-600 text-white px-3 py-1 rounded text-sm hover:bg-indigo-700 disabled:bg-gray-400 transition"
                         disabled={currentRating.storeId !== store.id || !currentRating.rating}
                       >
-                        {getUserRating(store.id) !== '-' ? 'Update' : 'Submit'}
+                        {store.my_rating ? 'Update' : 'Submit'}
                       </button>
+                      {store.my_rating && (
+                        <button
+                          type="button"
+                          onClick={() => setRemovingStore(store)}
+                          className="text-red-600 hover:text-red-800 text-sm font-medium"
+                        >
+                          Remove
+                        </button>
+                      )}
                     </form>
                     {currentRating.storeId === store.id && ratingError && (
                       <p className="text-red-600 text-xs mt-1">{ratingError}</p>
@@ -978,8 +4064,37 @@ const UserDashboard = ({ user, onLogout }) => {
             </tbody>
           </table>
         </div>
+        <Pagination
+          page={storeList.page}
+          totalPages={storeList.totalPages}
+          total={storeList.total}
+          onPageChange={setPage}
+        />
       </div>
 
+      {selectedStore && (
+        <StoreDetailModal
+          store={selectedStore}
+          user={user}
+          onClose={() => setSelectedStore(null)}
+          onSaved={async () => {
+            await loadData();
+            setSelectedStore(await API.getStore(selectedStore.id));
+          }}
+        />
+      )}
+
+      {removingStore && (
+        <ConfirmDialog
+          title="Remove Rating"
+          message={`Remove your ${removingStore.my_rating}-star rating for "${removingStore.name}"? Any written review goes with it.`}
+          confirmLabel="Remove"
+          error={removeError}
+          onConfirm={handleRemoveRating}
+          onCancel={closeRemoveDialog}
+        />
+      )}
+
       {showPasswordModal && (
         <PasswordUpdateModal
           userId={user.id}
@@ -994,29 +4109,80 @@ const UserDashboard = ({ user, onLogout }) => {
   );
 };
 
+// Owners and managers switch between their stores, or look at all of them
+// together: combined totals, a per-store summary and every store's ratings.
 const StoreOwnerDashboard = ({ user, onLogout }) => {
-  const [store, setStore] = React.useState(null);
+  const [stores, setStores] = React.useState(user.stores || []);
+  const [selectedStoreId, setSelectedStoreId] = React.useState(
+    user.stores && user.stores.length === 1 ? user.stores[0].id : 'all'
+  );
   const [storeRatings, setStoreRatings] = React.useState([]);
   const [showPasswordModal, setShowPasswordModal] = React.useState(false);
+  const [showTwoFactorModal, setShowTwoFactorModal] = React.useState(false);
+  const [replyDraft, setReplyDraft] = React.useState({ ratingId: null, body: '' });
+  const [replyError, setReplyError] = React.useState(null);
   
   React.useEffect(() => {
     loadData();
-  }, [user.storeId]);
+  }, [selectedStoreId]);
 
   const loadData = async () => {
-    const allStores = await API.getStores();
-    const allRatings = await API.getRatings();
+    const myStores = await API.getMyStores();
+    const ratingsForStores = await API.getRatings(selectedStoreId === 'all' ? {} : { storeId: selectedStoreId });
     
-    const ownerStore = allStores.find(s => s.id === user.storeId);
-    setStore(ownerStore);
+    setStores(myStores);
+    setStoreRatings(ratingsForStores);
+  };
+
+  // After leaving a store, fall back to the combined view
+  const handleLeftStore = () => {
+    setSelectedStoreId('all');
+    loadData();
+  };
+
+  const store = selectedStoreId === 'all' ? null : stores.find(s => s.id === selectedStoreId) || null;
+  const combined = selectedStoreId === 'all';
+  const totalRatings = stores.reduce((sum, s) => sum + s.rating_count, 0);
+  const combinedAverage = totalRatings > 0
+    ? stores.reduce((sum, s) => sum + s.average_rating * s.rating_count, 0) / totalRatings
+    : 0;
+
+  const startReply = (r) => {
+    setReplyDraft({ ratingId: r.id, body: r.replyBody || '' });
+    setReplyError(null);
+  };
+
+  const cancelReply = () => {
+    setReplyDraft({ ratingId: null, body: '' });
+    setReplyError(null);
+  };
+
+  const handleSaveReply = async (e) => {
+    e.preventDefault();
+    const error = validate.reply(replyDraft.body);
+    if (error) {
+      setReplyError(error);
+      return;
+    }
 
-    const ratingsForStore = allRatings.filter(r => r.storeId === user.storeId);
-    setStoreRatings(ratingsForStore);
+    try {
+      await API.saveReply(replyDraft.ratingId, replyDraft.body);
+      await loadData();
+      cancelReply();
+    } catch (err) {
+      setReplyError(err.message || 'Failed to save reply.');
+    }
   };
 
-  const averageRating = storeRatings.length > 0 
-    ? (storeRatings.reduce((sum, r) => sum + r.rating, 0) / storeRatings.length).toFixed(1)
-    : '0.0';
+  const handleDeleteReply = async (ratingId) => {
+    if (!window.confirm('Remove your reply to this review?')) return;
+    try {
+      await API.deleteReply(ratingId);
+      await loadData();
+    } catch (err) {
+      alert(err.message || 'Failed to remove reply.');
+    }
+  };
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -1028,6 +4194,24 @@ const StoreOwnerDashboard = ({ user, onLogout }) => {
           </div>
           <div className="flex items-center gap-4">
             <span className="text-sm font-medium">Welcome, {user.name}</span>
+            {stores.length > 1 && (
+              <select
+                value={selectedStoreId}
+                onChange={(e) => { cancelReply(); setSelectedStoreId(e.target.value === 'all' ? 'all' : Number(e.target.value)); }}
+                className="bg-orange-700 text-white px-3 py-2 rounded"
+                aria-label="Store"
+              >
+                <option value="all">All locations ({stores.length})</option>
+                {stores.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+              </select>
+            )}
+            <button
+              onClick={() => setShowTwoFactorModal(true)}
+              className="flex items-center gap-2 bg-orange-700 px-4 py-2 rounded hover:bg-orange-800"
+            >
+              <LucideIcon name="shield-check" className="w-4 h-4" />
+              Two-Factor
+            </button>
             <button
               onClick={() => setShowPasswordModal(true)}
               className="flex items-center gap-2 bg-orange-700 px-4 py-2 rounded hover:bg-orange-800"
@@ -1047,15 +4231,29 @@ const StoreOwnerDashboard = ({ user, onLogout }) => {
       </nav>
 
       <div className="container mx-auto p-6">
-        <h2 className="text-3xl font-bold mb-6 text-gray-800">{store?.name || 'Loading Store...'}</h2>
+        <h2 className="text-3xl font-bold mb-6 text-gray-800">
+          {combined ? 'All Locations' : (store?.name || 'Loading Store...')}
+        </h2>
+
+        {stores.length === 0 && (
+          <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded mb-6 text-sm">
+            You are no longer a member of any store. Log out and back in to continue as a normal user.
+          </div>
+        )}
+
+        {store?.status === 'inactive' && (
+          <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded mb-6 text-sm">
+            This store has been deactivated by an administrator and is hidden from users.
+          </div>
+        )}
 
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
           <div className="bg-white p-6 rounded-lg shadow-lg">
             <div className="flex items-center justify-between">
               <div>
-                <p className="text-gray-600 text-sm">Average Store Rating</p>
+                <p className="text-gray-600 text-sm">{combined ? 'Average Rating Across Stores' : 'Average Store Rating'}</p>
                 <div className="flex items-end gap-2">
-                    <p className="text-4xl font-bold text-orange-600">{averageRating}</p>
+                    <p className="text-4xl font-bold text-orange-600">{formatRating(combined ? combinedAverage : store?.average_rating)}</p>
                     <LucideIcon name="star" className="w-6 h-6 text-yellow-400 fill-current mb-1" />
                 </div>
               </div>
@@ -1067,26 +4265,68 @@ const StoreOwnerDashboard = ({ user, onLogout }) => {
             <div className="flex items-center justify-between">
               <div>
                 <p className="text-gray-600 text-sm">Total Ratings Submitted</p>
-                <p className="text-4xl font-bold text-orange-600">{storeRatings.length}</p>
+                <p className="text-4xl font-bold text-orange-600">{combined ? totalRatings : (store?.rating_count || 0)}</p>
               </div>
               <LucideIcon name="users" className="w-12 h-12 text-orange-600 opacity-20" />
             </div>
           </div>
         </div>
 
-        <h3 className="text-xl font-bold mb-4">Users Who Have Submitted Ratings</h3>
+        {combined && stores.length > 0 && (
+          <div className="overflow-x-auto bg-white rounded-lg shadow mb-8">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left">Store</th>
+                  <th className="px-4 py-3 text-left">Your Role</th>
+                  <th className="px-4 py-3 text-left">Average</th>
+                  <th className="px-4 py-3 text-left">Ratings</th>
+                  <th className="px-4 py-3 text-left">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stores.map(s => (
+                  <tr key={s.id} className="border-t hover:bg-gray-50">
+                    <td className="px-4 py-3">
+                      <button onClick={() => setSelectedStoreId(s.id)} className="text-orange-600 hover:text-orange-800 font-medium text-left">
+                        {s.name}
+                      </button>
+                    </td>
+                    <td className="px-4 py-3 capitalize">{s.member_role}</td>
+                    <td className="px-4 py-3">
+                      <div className="flex items-center gap-1">
+                        <LucideIcon name="star" className="w-4 h-4 text-yellow-400 fill-current" />
+                        {formatRating(s.average_rating)}
+                      </div>
+                    </td>
+                    <td className="px-4 py-3">{s.rating_count}</td>
+                    <td className="px-4 py-3"><StatusBadge status={s.status} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-bold">Users Who Have Submitted Ratings</h3>
+          <ExportMenu kind="ratings" params={combined ? {} : { storeId: selectedStoreId }} />
+        </div>
         
         <div className="overflow-x-auto bg-white rounded-lg shadow">
           <table className="w-full">
             <thead className="bg-gray-50">
               <tr>
+                {combined && <th className="px-4 py-3 text-left">Store</th>}
                 <th className="px-4 py-3 text-left">User Email</th>
                 <th className="px-4 py-3 text-left">Rating</th>
+                <th className="px-4 py-3 text-left">Review</th>
               </tr>
             </thead>
             <tbody>
               {storeRatings.map(r => (
                 <tr key={r.id} className="border-t hover:bg-gray-50">
+                  {combined && <td className="px-4 py-3">{r.storeName}</td>}
                   <td className="px-4 py-3">{r.userEmail}</td>
                   <td className="px-4 py-3">
                     <div className="flex items-center gap-1">
@@ -1094,18 +4334,80 @@ const StoreOwnerDashboard = ({ user, onLogout }) => {
                       {r.rating}
                     </div>
                   </td>
+                  <td className="px-4 py-3 text-sm">
+                    {r.reviewTitle && <p className="font-medium">{r.reviewTitle}</p>}
+                    {r.reviewBody && <p className="text-gray-700 whitespace-pre-line">{r.reviewBody}</p>}
+                    {!r.reviewTitle && !r.reviewBody && <span className="text-gray-400">No written review</span>}
+
+                    {replyDraft.ratingId === r.id ? (
+                      <form onSubmit={handleSaveReply} className="mt-2 space-y-2">
+                        <textarea
+                          value={replyDraft.body}
+                          onChange={(e) => setReplyDraft({ ...replyDraft, body: e.target.value })}
+                          placeholder="Write a public reply (max 1000 chars)"
+                          className="w-full px-3 py-2 border rounded-lg"
+                          rows="2"
+                          maxLength="1000"
+                        />
+                        {replyError && <p className="text-red-600 text-xs">{replyError}</p>}
+                        <div className="flex gap-2">
+                          <button type="submit" className="bg-orange-600 text-white px-3 py-1 rounded text-sm hover:bg-orange-700">
+                            Save Reply
+                          </button>
+                          <button type="button" onClick={cancelReply} className="px-3 py-1 rounded text-sm border hover:bg-gray-50">
+                            Cancel
+                          </button>
+                        </div>
+                      </form>
+                    ) : (
+                      <>
+                        {r.replyBody && (
+                          <div className="mt-2 pl-3 border-l-2 border-orange-300">
+                            <p className="text-xs font-semibold text-orange-700">Store reply</p>
+                            <p className="text-gray-700 whitespace-pre-line">{r.replyBody}</p>
+                          </div>
+                        )}
+                        {(r.reviewTitle || r.reviewBody) && (
+                          <div className="flex gap-3 mt-1">
+                            <button onClick={() => startReply(r)} className="text-orange-600 hover:text-orange-800 text-xs font-medium">
+                              {r.replyBody ? 'Edit reply' : 'Reply'}
+                            </button>
+                            {r.replyBody && (
+                              <button onClick={() => handleDeleteReply(r.id)} className="text-red-600 hover:text-red-800 text-xs font-medium">
+                                Remove reply
+                              </button>
+                            )}
+                          </div>
+                        )}
+                      </>
+                    )}
+                  </td>
                 </tr>
               ))}
               {storeRatings.length === 0 && (
                 <tr>
-                  <td colSpan="2" className="px-4 py-4 text-center text-gray-500">
-                    No ratings have been submitted for your store yet.
+                  <td colSpan={combined ? 4 : 3} className="px-4 py-4 text-center text-gray-500">
+                    {combined ? 'No ratings have been submitted for your stores yet.' : 'No ratings have been submitted for this store yet.'}
                   </td>
                 </tr>
               )}
             </tbody>
           </table>
         </div>
+
+        {store && (
+          <div className="bg-white rounded-lg shadow p-6 mt-8">
+            <h3 className="text-xl font-bold mb-4">Rating History</h3>
+            <ScoreHistory storeId={store.id} />
+          </div>
+        )}
+
+        {store && (
+          <div className="bg-white rounded-lg shadow p-6 mt-8">
+            <h3 className="text-xl font-bold mb-4">Team</h3>
+            <StoreMembers storeId={store.id} user={user} canManage={store.member_role === 'owner'} onLeft={handleLeftStore} />
+          </div>
+        )}
       </div>
 
       {showPasswordModal && (
@@ -1118,17 +4420,33 @@ const StoreOwnerDashboard = ({ user, onLogout }) => {
           }}
         />
       )}
+
+      {showTwoFactorModal && (
+        <TwoFactorModal onClose={() => setShowTwoFactorModal(false)} />
+      )}
     </div>
   );
 };
 
 // --- Login/Signup Components ---
 
-const Login = ({ onLogin, onShowSignup }) => {
+// Accounts with two-factor login get a second step asking for an
+// authenticator or recovery code after the password is accepted
+const Login = ({ onLogin, onShowSignup, onShowForgotPassword, notice }) => {
   const [email, setEmail] = React.useState('admin@app.com');
   const [password, setPassword] = React.useState('Admin@123');
+  const [challengeToken, setChallengeToken] = React.useState(null);
+  const [code, setCode] = React.useState('');
   const [error, setError] = React.useState(null);
 
+  const showLoginError = (err) => {
+    if (err.data && err.data.lockedUntil) {
+      setError(`Too many failed login attempts. Login is locked until ${new Date(err.data.lockedUntil).toLocaleTimeString()}.`);
+    } else {
+      setError(err.message || 'Login failed.');
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError(null);
@@ -1139,17 +4457,90 @@ const Login = ({ onLogin, onShowSignup }) => {
 
     try {
       const user = await API.login(email, password);
+      if (user.twoFactorRequired) {
+        setChallengeToken(user.challengeToken);
+        return;
+      }
       onLogin(user);
     } catch (err) {
-      setError(err.message || 'Login failed.');
+      showLoginError(err);
+    }
+  };
+
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+    setError(null);
+    if (!code.trim()) {
+      setError('Please enter a verification code.');
+      return;
+    }
+
+    try {
+      onLogin(await API.loginTwoFactor(challengeToken, secondFactorFields(code)));
+    } catch (err) {
+      showLoginError(err);
     }
   };
 
+  const backToPassword = () => {
+    setChallengeToken(null);
+    setCode('');
+    setError(null);
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-100 p-4">
+        <div className="w-full max-w-md bg-white p-8 rounded-xl shadow-2xl">
+          <h2 className="text-3xl font-bold text-center text-indigo-600 mb-2">Two-Factor Login</h2>
+          <p className="text-sm text-gray-600 text-center mb-6">
+            Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+          </p>
+
+          <form onSubmit={handleVerifyCode} className="space-y-4">
+            {error && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">
+                {error}
+              </div>
+            )}
+
+            <InputField
+              label="Verification Code"
+              placeholder="123456"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+            />
+
+            <button
+              type="submit"
+              className="w-full bg-indigo-600 text-white py-3 rounded-lg hover:bg-indigo-700 transition font-semibold"
+            >
+              Verify
+            </button>
+          </form>
+
+          <p className="mt-6 text-center text-sm">
+            <button onClick={backToPassword} className="text-indigo-600 hover:text-indigo-800">
+              Back to login
+            </button>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-100 p-4">
       <div className="w-full max-w-md bg-white p-8 rounded-xl shadow-2xl">
         <h2 className="text-3xl font-bold text-center text-indigo-600 mb-6">Login</h2>
         
+        {notice && (
+          <div className={`px-4 py-3 rounded text-sm mb-4 border ${notice.error ? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-700'}`}>
+            {notice.text}
+          </div>
+        )}
+        
         <form onSubmit={handleSubmit} className="space-y-4">
           {error && (
             <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">
@@ -1175,6 +4566,12 @@ const Login = ({ onLogin, onShowSignup }) => {
             required
           />
           
+          <div className="text-right">
+            <button type="button" onClick={onShowForgotPassword} className="text-sm text-indigo-600 hover:text-indigo-800">
+              Forgot password?
+            </button>
+          </div>
+          
           <button
             type="submit"
             className="w-full bg-indigo-600 text-white py-3 rounded-lg hover:bg-indigo-700 transition font-semibold"
@@ -1199,11 +4596,161 @@ const Login = ({ onLogin, onShowSignup }) => {
   );
 };
 
+// Asks for an email and sends a reset link. The server answers the same way
+// for unknown emails, so the confirmation is always shown.
+const ForgotPassword = ({ onShowLogin }) => {
+  const [email, setEmail] = React.useState('');
+  const [error, setError] = React.useState(null);
+  const [sent, setSent] = React.useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const emailError = validate.email(email);
+    if (emailError) {
+      setError(emailError);
+      return;
+    }
+
+    try {
+      await API.forgotPassword(email);
+      setSent(true);
+    } catch (err) {
+      setError(err.message || 'Failed to send reset link.');
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100 p-4">
+      <div className="w-full max-w-md bg-white p-8 rounded-xl shadow-2xl">
+        <h2 className="text-3xl font-bold text-center text-indigo-600 mb-6">Forgot Password</h2>
+
+        {sent ? (
+          <p className="text-gray-700 text-center">
+            If an account exists for <span className="font-medium">{email}</span>, a link to reset its password is on its way. The link works once and expires after an hour.
+          </p>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {error && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">
+                {error}
+              </div>
+            )}
+
+            <InputField
+              label="Email"
+              type="email"
+              placeholder="Email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+            />
+
+            <button
+              type="submit"
+              className="w-full bg-indigo-600 text-white py-3 rounded-lg hover:bg-indigo-700 transition font-semibold"
+            >
+              Send Reset Link
+            </button>
+          </form>
+        )}
+
+        <p className="mt-6 text-center text-sm text-gray-600">
+          Remembered it?{' '}
+          <button onClick={onShowLogin} className="text-indigo-600 hover:text-indigo-800 font-medium">
+            Log In
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+// Opened from the emailed link (?resetToken=...)
+const ResetPassword = ({ token, onReset, onShowLogin }) => {
+  const [newPassword, setNewPassword] = React.useState('');
+  const [confirmPassword, setConfirmPassword] = React.useState('');
+  const [error, setError] = React.useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const passwordError = validate.password(newPassword);
+    if (passwordError) {
+      setError(passwordError);
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      setError('Passwords do not match.');
+      return;
+    }
+
+    try {
+      await API.resetPassword(token, newPassword);
+      onReset();
+    } catch (err) {
+      setError(err.message || 'Failed to reset password.');
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100 p-4">
+      <div className="w-full max-w-md bg-white p-8 rounded-xl shadow-2xl">
+        <h2 className="text-3xl font-bold text-center text-indigo-600 mb-6">Choose a New Password</h2>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">
+              {error}
+            </div>
+          )}
+
+          <InputField
+            label="New Password (8-16 chars, 1 uppercase, 1 special)"
+            type="password"
+            placeholder="New password"
+            value={newPassword}
+            onChange={(e) => setNewPassword(e.target.value)}
+            required
+          />
+
+          <InputField
+            label="Confirm New Password"
+            type="password"
+            placeholder="Confirm new password"
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            required
+          />
+
+          <button
+            type="submit"
+            className="w-full bg-indigo-600 text-white py-3 rounded-lg hover:bg-indigo-700 transition font-semibold"
+          >
+            Reset Password
+          </button>
+        </form>
+
+        <p className="mt-6 text-center text-sm text-gray-600">
+          <button onClick={onShowLogin} className="text-indigo-600 hover:text-indigo-800 font-medium">
+            Back to Log In
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+};
+
 const Signup = ({ onSignup, onShowLogin }) => {
   const [formData, setFormData] = React.useState({
     name: '',
     email: '',
-    address: '',
+    street: '',
+    city: '',
+    postalCode: '',
+    country: '',
     password: ''
   });
   const [formErrors, setFormErrors] = React.useState({});
@@ -1218,7 +4765,7 @@ const Signup = ({ onSignup, onShowLogin }) => {
     const errors = {};
     if (validate.name(formData.name)) errors.name = validate.name(formData.name);
     if (validate.email(formData.email)) errors.email = validate.email(formData.email);
-    if (validate.address(formData.address)) errors.address = validate.address(formData.address);
+    Object.assign(errors, addressErrors(formData));
     if (validate.password(formData.password)) errors.password = validate.password(formData.password);
     return errors;
   };
@@ -1276,22 +4823,14 @@ const Signup = ({ onSignup, onShowLogin }) => {
             required
           />
 
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Address (max 400 chars)
-            </label>
-            <textarea
-              name="address"
-              placeholder="Address"
-              value={formData.address}
-              onChange={handleChange}
-              className={`w-full px-4 py-2 border rounded-lg ${formErrors.address ? 'border-red-500' : 'border-gray-300'}`}
-              rows="2"
-              maxLength="400"
-              required
-            />
-            {formErrors.address && <p className="text-red-600 text-xs mt-1">{formErrors.address}</p>}
-          </div>
+          <AddressFields
+            value={formData}
+            onChange={(fields) => {
+              setFormData({ ...formData, ...fields });
+              setFormErrors({ ...formErrors, ...Object.fromEntries(Object.keys(fields).map(name => [name, null])) }); // Clear error on change
+            }}
+            errors={formErrors}
+          />
           
           <InputField
             label="Password (8-16 chars, 1 uppercase, 1 special)"
@@ -1330,7 +4869,11 @@ const Signup = ({ onSignup, onShowLogin }) => {
 
 function App() {
   const [currentUser, setCurrentUser] = React.useState(null);
-  const [showSignup, setShowSignup] = React.useState(false);
+  // Signed-out screens: login, signup, forgot or reset. A reset link opens on reset.
+  // loginNotice is { text, error } shown above the login form.
+  const [resetToken, setResetToken] = React.useState(() => new URLSearchParams(window.location.search).get('resetToken'));
+  const [authScreen, setAuthScreen] = React.useState(resetToken ? 'reset' : 'login');
+  const [loginNotice, setLoginNotice] = React.useState(null);
 
   React.useEffect(() => {
     if (typeof window !== 'undefined' && window.lucide && typeof window.lucide.createIcons === 'function') {
@@ -1346,26 +4889,101 @@ function App() {
     setCurrentUser(user);
   };
 
-  const handleLogout = () => {
-    API.logout();
+  // Opened from the emailed verification link (?verifyToken=...)
+  React.useEffect(() => {
+    const verifyToken = new URLSearchParams(window.location.search).get('verifyToken');
+    if (!verifyToken) return;
+
+    window.history.replaceState(null, '', window.location.pathname);
+    API.verifyEmail(verifyToken)
+      .then(() => setLoginNotice({ text: 'Your email address is verified. Log in to start rating stores.' }))
+      .catch(err => setLoginNotice({ text: err.message || 'Email verification failed.', error: true }));
+  }, []);
+
+  React.useEffect(() => {
+    const handleSessionExpired = () => setCurrentUser(null);
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+  }, []);
+
+  const handleLogout = async () => {
+    try {
+      await API.logout();
+    } catch (err) {
+      console.error('Logout failed:', err);
+    }
     setCurrentUser(null);
-    setShowSignup(false);
+    setAuthScreen('login');
+  };
+
+  const showLogin = (notice = null) => {
+    // Drop the reset token from the address bar once it has been used or abandoned
+    if (resetToken) {
+      window.history.replaceState(null, '', window.location.pathname);
+      setResetToken(null);
+    }
+    setLoginNotice(notice);
+    setAuthScreen('login');
   };
 
   if (!currentUser) {
-    if (showSignup) {
-      return <Signup onSignup={handleSignup} onShowLogin={() => setShowSignup(false)} />;
+    if (authScreen === 'signup') {
+      return <Signup onSignup={handleSignup} onShowLogin={() => showLogin()} />;
+    }
+    if (authScreen === 'forgot') {
+      return <ForgotPassword onShowLogin={() => showLogin()} />;
+    }
+    if (authScreen === 'reset') {
+      return (
+        <ResetPassword
+          token={resetToken}
+          onReset={() => showLogin({ text: 'Your password has been reset. Log in with the new password.' })}
+          onShowLogin={() => showLogin()}
+        />
+      );
     }
-    return <Login onLogin={handleLogin} onShowSignup={() => setShowSignup(true)} />;
+    return (
+      <Login
+        onLogin={handleLogin}
+        onShowSignup={() => setAuthScreen('signup')}
+        onShowForgotPassword={() => setAuthScreen('forgot')}
+        notice={loginNotice}
+      />
+    );
   }
 
-  if (currentUser.role === 'admin') {
-    return <AdminDashboard user={currentUser} onLogout={handleLogout} />;
+  if (currentUser.must_change_password) {
+    return (
+      <div className="min-h-screen bg-gray-100">
+        <PasswordUpdateModal
+          userId={currentUser.id}
+          mandatory
+          onSuccess={() => setCurrentUser({ ...currentUser, must_change_password: false })}
+        />
+      </div>
+    );
+  }
+
+  if (currentUser.two_factor_setup_required) {
+    return (
+      <div className="min-h-screen bg-gray-100">
+        <TwoFactorModal
+          mandatory
+          onEnabled={() => setCurrentUser({ ...currentUser, two_factor_setup_required: false, totp_enabled: true })}
+        />
+      </div>
+    );
   }
 
   if (currentUser.role === 'store_owner') {
     return <StoreOwnerDashboard user={currentUser} onLogout={handleLogout} />;
   }
 
+  // Admins and custom staff roles share the admin dashboard, with the tabs
+  // their permissions allow
+  if (currentUser.permissions && currentUser.permissions.length > 0) {
+    return <AdminDashboard user={currentUser} onLogout={handleLogout} />;
+  }
+
   return <UserDashboard user={currentUser} onLogout={handleLogout} />;
 }
\ No newline at end of file